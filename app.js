@@ -21,6 +21,37 @@
 	 */
 	const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
+	/**
+	 * Delay calls to a function until they pause
+	 * @param {Function} fn - Function to call with the arguments of the last call
+	 * @param {number} ms - Pause in milliseconds
+	 * @returns {Function} Debounced function
+	 */
+	function debounce(fn, ms) {
+		let timer = null;
+		return (...args) => {
+			clearTimeout(timer);
+			timer = setTimeout(() => fn(...args), ms);
+		};
+	}
+
+	/**
+	 * Offer text content to the user as a file download
+	 * @param {string} filename - Suggested file name
+	 * @param {string} content - File content
+	 * @param {string} type - MIME type (default: 'text/plain;charset=utf-8')
+	 */
+	function downloadFile(filename, content, type = 'text/plain;charset=utf-8') {
+		const url = URL.createObjectURL(new Blob([content], { type }));
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = filename;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	}
+
 	// ============================================================================
 	// CACHE UTILITIES
 	// ============================================================================
@@ -100,14 +131,235 @@
 		return { set, get, remove, clearAll };
 	}
 
-	window.QD.cache = { createCache };
+	// IndexedDB schema version and the migration that upgrades to each version
+	// Add a migration (and bump the version) whenever the stores or stored shapes change
+	const IDB_CACHE_VERSION = 1;
+	const IDB_CACHE_MIGRATIONS = {
+		/**
+		 * v1: a `meta` store (one row per key with its expiry, plus the value for non-array values)
+		 * and a `records` store (one row per array element, keyed by [key, index]);
+		 * entries of the former localStorage cache are copied over and removed from localStorage once the
+		 * upgrade has committed, so an aborted upgrade loses nothing. An entry that cannot be read or copied
+		 * is skipped without stopping the others
+		 */
+		1(db, transaction, namespace) {
+			db.createObjectStore('meta', { keyPath: 'key' });
+			db.createObjectStore('records', { keyPath: ['key', 'index'] });
+
+			const prefix = `${namespace}:`;
+			const movedKeys = [];
+			let storageKeys = [];
+			try {
+				storageKeys = Object.keys(localStorage).filter(storageKey => storageKey.startsWith(prefix));
+			} catch (_) {}
+
+			for (const storageKey of storageKeys) {
+				try {
+					const payload = JSON.parse(localStorage.getItem(storageKey));
+					if (payload && typeof payload === 'object' && !(payload.e && Date.now() > payload.e)) {
+						writeCacheEntry(transaction, storageKey.slice(prefix.length), payload.v, payload.e);
+					}
+					movedKeys.push(storageKey);
+				} catch (error) {
+					console.warn(`Cache entry ${storageKey} was not moved to IndexedDB:`, error);
+				}
+			}
+
+			transaction.addEventListener('complete', () => {
+				movedKeys.forEach(storageKey => {
+					try { localStorage.removeItem(storageKey); } catch (_) {}
+				});
+			});
+		}
+	};
+
+	/**
+	 * Wrap an IndexedDB request in a promise
+	 * @param {IDBRequest} request - IndexedDB request
+	 * @returns {Promise<*>} Request result
+	 */
+	function idbRequest(request) {
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
+
+	/**
+	 * Wait for an IndexedDB transaction to commit
+	 * @param {IDBTransaction} transaction - IndexedDB transaction
+	 * @returns {Promise<void>} Resolves on commit, rejects if the transaction fails or is aborted
+	 */
+	function idbTransactionDone(transaction) {
+		return new Promise((resolve, reject) => {
+			transaction.oncomplete = () => resolve();
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+		});
+	}
+
+	/**
+	 * Key range covering every record row stored for a cache key
+	 * @param {string} key - Cache key
+	 * @returns {IDBKeyRange} Range over [key, 0] ... [key, Infinity]
+	 */
+	function recordRange(key) {
+		return IDBKeyRange.bound([key, 0], [key, Infinity]);
+	}
+
+	/**
+	 * Write one cache entry inside a readwrite transaction on the meta and records stores
+	 * Arrays are stored one element per row so large datasets are not serialized as a single value
+	 * @param {IDBTransaction} transaction - Transaction covering 'meta' and 'records'
+	 * @param {string} key - Cache key
+	 * @param {*} value - Value to store (structured-cloneable)
+	 * @param {number|null} expiresAt - Expiry timestamp (null = no expiration)
+	 */
+	function writeCacheEntry(transaction, key, value, expiresAt) {
+		const meta = transaction.objectStore('meta');
+		const records = transaction.objectStore('records');
+		records.delete(recordRange(key));
+
+		if (Array.isArray(value)) {
+			meta.put({ key, expiresAt, count: value.length });
+			value.forEach((item, index) => records.put({ key, index, value: item }));
+		} else {
+			meta.put({ key, expiresAt, value });
+		}
+	}
+
+	/**
+	 * Open (and if needed upgrade) the IndexedDB database behind a cache namespace
+	 * Runs every migration between the stored version and IDB_CACHE_VERSION in order
+	 * @param {string} namespace - Database name
+	 * @returns {Promise<IDBDatabase>} Open database
+	 * @throws {Error} If IndexedDB is unavailable or the database cannot be opened
+	 */
+	async function openCacheDatabase(namespace) {
+		if (!window.indexedDB) {
+			throw new Error('IndexedDB is not available');
+		}
+		const request = indexedDB.open(namespace, IDB_CACHE_VERSION);
+		request.onupgradeneeded = (event) => {
+			for (let version = event.oldVersion + 1; version <= IDB_CACHE_VERSION; version++) {
+				IDB_CACHE_MIGRATIONS[version](request.result, request.transaction, namespace);
+			}
+		};
+		const db = await idbRequest(request);
+		// Let a newer version of the app in another tab upgrade the database
+		db.onversionchange = () => db.close();
+		return db;
+	}
+
+	/**
+	 * Creates a namespaced IndexedDB cache with TTL support and the same methods as createCache,
+	 * but asynchronous; arrays are stored one element per record, so the cache is not limited by
+	 * the ~5MB localStorage quota
+	 * Falls back to the localStorage cache when IndexedDB is unavailable (e.g. some private browsing modes)
+	 * @param {string} namespace - Database name (default: 'qd')
+	 * @returns {Object} Cache object with async set, get, remove, and clearAll methods
+	 *
+	 * @example
+	 * const cache = QD.cache.createIDBCache('my-app');
+	 * await cache.set('entries', entries, 3600000); // 1 hour TTL
+	 * const value = await cache.get('entries');
+	 */
+	function createIDBCache(namespace) {
+		const ns = namespace || 'qd';
+		const fallback = createCache(ns);
+		const ready = openCacheDatabase(ns).catch(() => null);
+
+		/**
+		 * Store a value in cache with optional TTL
+		 * @param {string} key - Cache key
+		 * @param {*} value - Value to cache (arrays are stored one element per record)
+		 * @param {number|null} ttlMs - Time to live in milliseconds (null = no expiration)
+		 * @returns {Promise<boolean>} Resolves to true once stored
+		 * @throws {Error} If the value cannot be stored (e.g. QuotaExceededError)
+		 */
+		async function set(key, value, ttlMs) {
+			const expiresAt = typeof ttlMs === 'number' ? Date.now() + ttlMs : null;
+			const db = await ready;
+			if (!db) {
+				if (!fallback.set(key, value, ttlMs)) {
+					throw new Error(`Failed to store "${key}" in localStorage`);
+				}
+				return true;
+			}
+			const transaction = db.transaction(['meta', 'records'], 'readwrite');
+			writeCacheEntry(transaction, key, value, expiresAt);
+			await idbTransactionDone(transaction);
+			return true;
+		}
+
+		/**
+		 * Retrieve a value from cache, checking expiration
+		 * @param {string} key - Cache key
+		 * @returns {Promise<*>} Cached value or null if not found/expired
+		 */
+		async function get(key) {
+			const db = await ready;
+			if (!db) return fallback.get(key);
+			try {
+				const transaction = db.transaction(['meta', 'records'], 'readonly');
+				const [meta, rows] = await Promise.all([
+					idbRequest(transaction.objectStore('meta').get(key)),
+					idbRequest(transaction.objectStore('records').getAll(recordRange(key)))
+				]);
+				if (!meta) return null;
+				if (meta.expiresAt && Date.now() > meta.expiresAt) {
+					await remove(key);
+					return null;
+				}
+				if (!('count' in meta)) return meta.value;
+				// An interrupted write can leave fewer rows than expected; treat it as a miss
+				return rows.length === meta.count ? rows.map(row => row.value) : null;
+			} catch (_) { return null; }
+		}
+
+		/**
+		 * Remove a specific key from cache
+		 * @param {string} key - Cache key to remove
+		 * @returns {Promise<void>}
+		 */
+		async function remove(key) {
+			const db = await ready;
+			if (!db) return fallback.remove(key);
+			try {
+				const transaction = db.transaction(['meta', 'records'], 'readwrite');
+				transaction.objectStore('meta').delete(key);
+				transaction.objectStore('records').delete(recordRange(key));
+				await idbTransactionDone(transaction);
+			} catch (_) {}
+		}
+
+		/**
+		 * Clear all cache entries for this namespace
+		 * @returns {Promise<void>}
+		 */
+		async function clearAll() {
+			const db = await ready;
+			if (!db) return fallback.clearAll();
+			try {
+				const transaction = db.transaction(['meta', 'records'], 'readwrite');
+				transaction.objectStore('meta').clear();
+				transaction.objectStore('records').clear();
+				await idbTransactionDone(transaction);
+			} catch (_) {}
+		}
+
+		return { set, get, remove, clearAll };
+	}
+
+	window.QD.cache = { createCache, createIDBCache };
 
 	// ============================================================================
 	// CSV UTILITIES
 	// ============================================================================
 
 	/**
-	 * CSV parsing utilities with BOM handling, quoted field support, and HTML redirect detection
+	 * CSV parsing utilities: RFC 4180 streaming parser with multi-line quoted fields, delimiter detection,
+	 * row-level error reporting, BOM handling, and HTML redirect detection
 	 */
 	const csv = {
 		/**
@@ -179,29 +431,261 @@
 			return trimmed.startsWith('<!doctype html') || trimmed.startsWith('<html') || trimmed.includes('<title>');
 		},
 
+		/**
+		 * Detect the field delimiter of delimited text by sampling its first records
+		 * Counts each candidate outside quoted sections per record and prefers the candidate whose
+		 * count is the same on the most records, then the one with more fields
+		 * @param {string} text - Delimited text (only the first 8 KB are sampled)
+		 * @param {string[]} candidates - Delimiters to consider (default: comma, semicolon, tab)
+		 * @returns {string} Detected delimiter (',' if none of the candidates occurs)
+		 *
+		 * @example
+		 * detectDelimiter('a;b;c\n1;2;3') // ';'
+		 */
+		detectDelimiter(text, candidates = [',', ';', '\t']) {
+			const sample = csv.trimBOM(text || '').slice(0, 8192);
+			let best = ',';
+			let bestScore = 0;
+
+			candidates.forEach(candidate => {
+				const counts = [];
+				let count = 0;
+				let inQuotes = false;
+				for (const char of sample) {
+					if (char === '"') {
+						inQuotes = !inQuotes;
+					} else if (!inQuotes && char === candidate) {
+						count++;
+					} else if (!inQuotes && (char === '\n' || char === '\r')) {
+						if (count > 0) counts.push(count);
+						count = 0;
+						if (counts.length >= 20) break;
+					}
+				}
+				if (count > 0 && counts.length < 20) counts.push(count);
+				if (counts.length === 0) return;
+
+				const consistent = counts.filter(c => c === counts[0]).length;
+				const score = consistent * 1000 + counts[0];
+				if (score > bestScore) {
+					best = candidate;
+					bestScore = score;
+				}
+			});
+
+			return best;
+		},
+
+		/**
+		 * Create a streaming RFC 4180 CSV parser (state machine)
+		 * Handles quoted fields containing delimiters, escaped quotes ("") and line breaks, CRLF/CR/LF line
+		 * endings (also when split across chunks), a leading BOM, and blank lines (skipped).
+		 * Line breaks inside quoted fields are returned as '\n'.
+		 * Malformed input is parsed leniently and reported through onError
+		 * @param {Object} options - Parser options
+		 * @param {string} options.delimiter - Field delimiter, or 'auto' to detect comma/semicolon/tab (default: ',')
+		 * @param {Function} options.onRow - Called with (fields, { row, line }) for every record;
+		 *   row is the 0-based record index, line the 1-based line where the record starts
+		 * @param {Function} options.onError - Called with { type, message, row, line } for every parse error
+		 *   ('InvalidQuotes' or 'MissingQuotes')
+		 * @returns {{push: Function, end: Function, delimiter: string}} Parser: push(chunk) feeds text,
+		 *   end() flushes the last record, delimiter is the delimiter in use
+		 *
+		 * @example
+		 * const parser = QD.csv.createParser({ onRow: (fields) => console.log(fields) });
+		 * parser.push('id,meaning\n1,"first line\nsecond');
+		 * parser.push(' line"\n');
+		 * parser.end(); // logs ['id', 'meaning'] then ['1', 'first line\nsecond line']
+		 */
+		createParser(options = {}) {
+			const { onRow = () => {}, onError = () => {} } = options;
+			const AUTO_DETECT_SAMPLE = 8192;
+			let delimiter = options.delimiter || ',';
+			let pending = delimiter === 'auto' ? '' : null; // text buffered until the delimiter is detected
+			let started = false;
+			let state = 'start'; // start | unquoted | quoted | quoteInQuoted
+			let field = '';
+			let fields = [];
+			let recordQuoted = false;
+			let skipLF = false;
+			let line = 1;
+			let recordLine = 1;
+			let row = 0;
+
+			const report = (type, message) => onError({ type, message, row, line });
+
+			const endField = () => {
+				fields.push(field);
+				field = '';
+				state = 'start';
+			};
+
+			const endRecord = () => {
+				endField();
+				const blank = fields.length === 1 && !recordQuoted && fields[0].trim() === '';
+				if (!blank) {
+					onRow(fields, { row, line: recordLine });
+					row++;
+				}
+				fields = [];
+				recordQuoted = false;
+			};
+
+			const consume = (text) => {
+				for (let i = 0; i < text.length; i++) {
+					let char = text[i];
+					if (skipLF) {
+						skipLF = false;
+						if (char === '\n') continue;
+					}
+					if (char === '\r') {
+						// CR and CRLF are treated as LF
+						skipLF = true;
+						char = '\n';
+					}
+
+					if (state === 'quoted') {
+						if (char === '"') {
+							state = 'quoteInQuoted';
+						} else {
+							if (char === '\n') line++;
+							field += char;
+						}
+						continue;
+					}
+
+					if (state === 'quoteInQuoted') {
+						if (char === '"') {
+							// Escaped quote
+							field += '"';
+							state = 'quoted';
+							continue;
+						}
+						if (char !== delimiter && char !== '\n') {
+							report('InvalidQuotes', 'Unexpected character after closing quote');
+							field += char;
+							state = 'unquoted';
+							continue;
+						}
+					}
+
+					if (char === delimiter) {
+						endField();
+					} else if (char === '\n') {
+						endRecord();
+						line++;
+						recordLine = line;
+					} else if (char === '"' && state === 'start') {
+						state = 'quoted';
+						recordQuoted = true;
+					} else {
+						if (char === '"') report('InvalidQuotes', 'Quote inside unquoted field');
+						field += char;
+						state = 'unquoted';
+					}
+				}
+			};
+
+			const detect = () => {
+				delimiter = csv.detectDelimiter(pending);
+				const text = pending;
+				pending = null;
+				consume(text);
+			};
+
+			return {
+				get delimiter() {
+					return pending !== null ? csv.detectDelimiter(pending) : delimiter;
+				},
+
+				push(chunk) {
+					let text = chunk == null ? '' : String(chunk);
+					if (!started && text) {
+						started = true;
+						text = csv.trimBOM(text);
+					}
+					if (pending !== null) {
+						pending += text;
+						if (pending.length >= AUTO_DETECT_SAMPLE) detect();
+						return;
+					}
+					consume(text);
+				},
+
+				end() {
+					if (pending !== null) detect();
+					if (state === 'quoted') {
+						report('MissingQuotes', 'Quoted field is not terminated');
+					}
+					if (state !== 'start' || field !== '' || fields.length > 0) {
+						endRecord();
+					}
+				}
+			};
+		},
+
+		/**
+		 * Serialize rows to RFC 4180 delimited text
+		 * Fields containing the delimiter, quotes, line breaks, or leading/trailing spaces are quoted,
+		 * and records are separated by CRLF, so the output parses back to the same rows
+		 * @param {Array<Array<*>>} rows - Rows of field values (null/undefined become empty fields)
+		 * @param {Object} options - Serialization options
+		 * @param {string} options.delimiter - Field delimiter (default: ',')
+		 * @returns {string} Delimited text
+		 *
+		 * @example
+		 * stringify([['a', 'b'], ['x, y', 'Say "Hi"']]) // 'a,b\r\n"x, y","Say ""Hi"""'
+		 */
+		stringify(rows, options = {}) {
+			const { delimiter = ',' } = options;
+			const formatField = (value) => {
+				const text = value == null ? '' : String(value);
+				const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+				return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+			};
+			return (rows || []).map(row => row.map(formatField).join(delimiter)).join('\r\n');
+		},
+
+		/**
+		 * Parse delimited text into rows, collecting parse errors
+		 * @param {string} text - CSV text to parse
+		 * @param {Object} options - Parsing options
+		 * @param {string} options.delimiter - Field delimiter, or 'auto' to detect it (default: ',')
+		 * @returns {{rows: string[][], errors: Object[], delimiter: string}} Parsed rows, parse errors, and the delimiter used
+		 */
+		parse(text, options = {}) {
+			const rows = [];
+			const errors = [];
+			const parser = csv.createParser({
+				delimiter: options.delimiter,
+				onRow: (fields) => rows.push(fields),
+				onError: (error) => errors.push(error)
+			});
+			parser.push(text || '');
+			parser.end();
+			return { rows, errors, delimiter: parser.delimiter };
+		},
+
 		/**
 		 * Parse CSV string into an array of arrays (rows and columns)
+		 * Quoted fields may span multiple lines (RFC 4180)
 		 * @param {string} text - CSV text to parse
-		 * @param {string} delimiter - Field delimiter (default: ',')
+		 * @param {string} delimiter - Field delimiter, or 'auto' to detect it (default: ',')
 		 * @returns {string[][]} 2D array where each inner array is a row
 		 */
 		parseCSV(text, delimiter = ',') {
-			const lines = csv.splitLines(text);
-			const rows = [];
-			for (let i = 0; i < lines.length; i++) {
-				const raw = lines[i];
-				if (!raw || raw.trim() === '') continue;
-				rows.push(csv.parseCSVLine(raw, delimiter));
-			}
-			return rows;
+			return csv.parse(text, { delimiter }).rows;
 		},
 
 		/**
 		 * Parse CSV string into an array of objects using the first row as headers
+		 * Quoted fields may span multiple lines (RFC 4180)
 		 * @param {string} text - CSV text to parse
 		 * @param {Object} options - Parsing options
-		 * @param {string} options.delimiter - Field delimiter (default: ',')
+		 * @param {string} options.delimiter - Field delimiter, or 'auto' to detect comma/semicolon/tab (default: ',')
 		 * @param {boolean} options.trimHeaders - Whether to trim whitespace from header names (default: true)
+		 * @param {Function} options.onError - Called with { type, message, row, line } for parse errors and rows
+		 *   whose field count differs from the header ('FieldMismatch')
 		 * @returns {Object[]} Array of objects with properties matching header names
 		 * 
 		 * @example
@@ -209,21 +693,37 @@
 		 * // Returns: [{ Name: 'John', Age: '30' }, { Name: 'Jane', Age: '25' }]
 		 */
 		parseCSVToObjects(text, options = {}) {
-			const { delimiter = ',', trimHeaders = true } = options;
-			const rows = csv.parseCSV(text, delimiter);
-			if (rows.length < 2) return [];
-			let headers = rows[0].map(h => (trimHeaders ? (h || '').trim() : (h || '')));
+			const { delimiter = ',', trimHeaders = true, onError } = options;
+			let headers = null;
 			const data = [];
-			for (let i = 1; i < rows.length; i++) {
-				const row = rows[i];
-				if (!row || row.length === 0) continue;
-				const obj = {};
-				for (let j = 0; j < headers.length; j++) {
-					const key = headers[j] || `col_${j}`;
-					obj[key] = (row[j] ?? '').toString().trim();
+
+			const parser = csv.createParser({
+				delimiter,
+				onError,
+				onRow: (row, info) => {
+					if (!headers) {
+						headers = row.map(h => (trimHeaders ? (h || '').trim() : (h || '')));
+						return;
+					}
+					if (row.length !== headers.length && onError) {
+						onError({
+							type: 'FieldMismatch',
+							message: `Expected ${headers.length} fields but found ${row.length}`,
+							row: info.row,
+							line: info.line
+						});
+					}
+					const obj = {};
+					for (let j = 0; j < headers.length; j++) {
+						const key = headers[j] || `col_${j}`;
+						obj[key] = (row[j] ?? '').toString().trim();
+					}
+					data.push(obj);
 				}
-				data.push(obj);
-			}
+			});
+			parser.push(text || '');
+			parser.end();
+
 			return data;
 		}
 	};
@@ -243,12 +743,14 @@
 	 * @param {number} options.backoffMs - Initial backoff delay in milliseconds (default: 1000)
 	 * @param {number} options.factor - Exponential backoff multiplier (default: 2)
 	 * @param {number} options.timeoutMs - Request timeout in milliseconds (default: 15000)
+	 * @param {string} options.cache - Request cache mode; 'no-cache' also bypasses the service worker's cached copy (default: 'default')
 	 * @param {string} options.acceptTypes - Accept header value (default: 'text/csv, text/plain, any')
 	 * @param {string} options.method - HTTP method (default: 'GET')
 	 * @param {Object} options.headers - Additional headers to include
 	 * @param {*} options.body - Request body (for POST/PUT requests)
 	 * @returns {Promise<{ok: boolean, status: number, text: string}>} Response object with ok flag, status, and text
-	 * @throws {Error} If all retry attempts fail
+	 * @throws {Error} If all retry attempts fail; the error has a `status` when the server answered (an HTTP
+	 * error, or an HTML page instead of the data) and none for network failures and timeouts
 	 * 
 	 * @example
 	 * const response = await QD.http.fetchWithRetry('https://example.com/data.csv', {
@@ -263,6 +765,7 @@
 			factor = 2,
 			timeoutMs = 15000,
 			acceptTypes = 'text/csv, text/plain, */*',
+			cache = 'default',
 			method = 'GET',
 			headers = {},
 			body
@@ -277,6 +780,7 @@
 					method,
 					headers: { 'Accept': acceptTypes, 'Cache-Control': 'no-cache', ...headers },
 					body,
+					cache,
 					redirect: 'follow',
 					signal: controller.signal
 				});
@@ -284,12 +788,12 @@
 
 				const text = await response.text();
 				if (!response.ok) {
-					throw new Error(`HTTP error ${response.status}`);
+					throw Object.assign(new Error(`HTTP error ${response.status}`), { status: response.status });
 				}
 
 				// Detect HTML redirects disguised as CSV/text
 				if (window.QD?.csv?.detectRedirectHTML && window.QD.csv.detectRedirectHTML(text)) {
-					throw new Error('Received HTML instead of expected text response');
+					throw Object.assign(new Error('Received HTML instead of expected text response'), { status: response.status });
 				}
 
 				return { ok: true, status: response.status, text };
@@ -311,6 +815,9 @@
 	// OFFLINE UTILITIES
 	// ============================================================================
 
+	// Offline banner message; apps with a localized UI replace it with setBannerText
+	let offlineBannerText = 'لا يوجد اتصال بالإنترنت. سيتم إعادة المحاولة بالخلفية.';
+
 	/**
 	 * Creates an offline banner element if it doesn't exist
 	 * @returns {HTMLElement} Banner element
@@ -325,11 +832,21 @@
 			'background: #A73F46','color:#fff','padding:8px 12px','text-align:center',
 			'font-family: "IBM Plex Sans Arabic", sans-serif','box-shadow:0 2px 6px rgba(0,0,0,.2)'
 		].join(';');
-		el.innerHTML = 'لا يوجد اتصال بالإنترنت. سيتم إعادة المحاولة بالخلفية.';
+		el.textContent = offlineBannerText;
 		document.body.appendChild(el);
 		return el;
 	}
 
+	/**
+	 * Set the offline banner message, e.g. when the UI language changes
+	 * @param {string} text - Message
+	 */
+	function setBannerText(text) {
+		offlineBannerText = text;
+		const el = document.getElementById('qd-offline-banner');
+		if (el) el.textContent = text;
+	}
+
 	/**
 	 * Show the offline banner
 	 */
@@ -393,709 +910,6777 @@
 		}
 	}
 
-	window.QD.offline = { runWithOfflineRetry, showBanner, hideBanner };
-
-	// ============================================================================
-	// APPLICATION CONSTANTS AND STATE
-	// ============================================================================
-
-	const CSV_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQ8oogghrnWECWF88DzTCKaEu9KlBjVq28-QV_eJn-rp9ZXTy49T0bEEUFJRv7F5aDKGnUGYaVMsIrp/pub?output=csv';
-	const CACHE_KEY = 'quran-dict-data';
-	const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+	/**
+	 * Register the service worker that keeps the app usable offline (see sw.js)
+	 * Does nothing where service workers are unavailable, e.g. pages opened from file:// or plain http
+	 * @param {string} scriptUrl - Service worker script URL (default: 'sw.js')
+	 * @param {Object} options - Registration options
+	 * @param {string[]} options.cacheUrls - URLs the worker should cache right away, such as the data source,
+	 *   which the page fetches before the worker controls it on the first visit
+	 * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported or failed
+	 *
+	 * @example
+	 * await QD.offline.registerServiceWorker('sw.js', { cacheUrls: ['dictionary.csv'] });
+	 */
+	async function registerServiceWorker(scriptUrl = 'sw.js', options = {}) {
+		const { cacheUrls = [] } = options;
+		if (!('serviceWorker' in navigator) || !window.isSecureContext) return null;
 
-	let dictionaryData = [];
-	let filteredData = [];
-	let selectedCategories = new Set();
-	let searchQuery = '';
-	let viewMode = 'grid';
-	let sortBy = 'arabic';
-	let sortOrder = 'asc';
+		try {
+			const registration = await navigator.serviceWorker.register(scriptUrl);
+			if (cacheUrls.length > 0) {
+				const ready = await navigator.serviceWorker.ready;
+				ready.active?.postMessage({
+					type: 'CACHE_URLS',
+					urls: cacheUrls.map(url => new URL(url, document.baseURI).href)
+				});
+			}
+			return registration;
+		} catch (error) {
+			console.warn('Service worker registration failed:', error);
+			return null;
+		}
+	}
 
-	const cache = window.QD?.cache?.createCache('quran-dict');
-	const searchInput = document.getElementById('searchInput');
-	const categoryFilters = document.getElementById('categoryFilters');
-	const resultsContainer = document.getElementById('resultsContainer');
-	const loadingState = document.getElementById('loadingState');
-	const emptyState = document.getElementById('emptyState');
-	const resultsCount = document.getElementById('resultsCount');
-	const darkModeToggle = document.getElementById('darkModeToggle');
-	const viewToggle = document.getElementById('viewToggle');
-	const resultsTableContainer = document.getElementById('resultsTableContainer');
-	const sunIcon = document.getElementById('sunIcon');
-	const moonIcon = document.getElementById('moonIcon');
-	const modal = document.getElementById('modal');
-	const modalBackdrop = document.getElementById('modalBackdrop');
-	const modalClose = document.getElementById('modalClose');
+	window.QD.offline = { runWithOfflineRetry, showBanner, hideBanner, setBannerText, registerServiceWorker };
 
 	// ============================================================================
-	// DATA LOADING
+	// SEARCH INDEX UTILITIES
 	// ============================================================================
 
 	/**
-	 * Load dictionary data from cache or fetch from URL
-	 * Checks cache first, then fetches from CSV URL with offline retry support
-	 * Parses CSV data and normalizes it into dictionary entry objects
-	 * @returns {Promise<void>}
+	 * Split text into lowercase search tokens
+	 * Splits on anything that is not a letter, combining mark or digit, so Arabic and Latin words stay intact
+	 * @param {string} text - Text to tokenize
+	 * @returns {string[]} Array of tokens
+	 *
+	 * @example
+	 * tokenize('Ṣalāh (prayer)') // ['ṣalāh', 'prayer']
 	 */
-	async function loadData() {
-		try {
-			// Check cache first
-			const cached = cache?.get(CACHE_KEY);
-			if (cached) {
-				dictionaryData = cached;
-				initializeApp();
-				return;
-			}
+	function tokenize(text) {
+		if (!text || typeof text !== 'string') return [];
+		return text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+	}
 
-			// Fetch from URL with offline retry
-			const loader = async () => {
-				const response = await window.QD.http.fetchWithRetry(CSV_URL, {
-					retries: 3,
-					backoffMs: 1000,
-					timeoutMs: 15000
-				});
+	/**
+	 * Compute the Damerau-Levenshtein (optimal string alignment) distance between two strings
+	 * Counts insertions, deletions, substitutions and adjacent transpositions
+	 * Stops early once every alignment exceeds maxDistance
+	 * @param {string} a - First string
+	 * @param {string} b - Second string
+	 * @param {number} maxDistance - Largest distance of interest (default: Infinity)
+	 * @returns {number} Edit distance, or maxDistance + 1 if it is larger than maxDistance
+	 *
+	 * @example
+	 * editDistance('salat', 'salah') // 1
+	 */
+	function editDistance(a, b, maxDistance = Infinity) {
+		if (a === b) return 0;
+		if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
 
-				if (!response.ok || !response.text) {
-					throw new Error('Failed to fetch dictionary data');
+		let prevPrev = null;
+		let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+		for (let i = 1; i <= a.length; i++) {
+			const curr = [i];
+			let rowMin = i;
+			for (let j = 1; j <= b.length; j++) {
+				const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				let value = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+				if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+					value = Math.min(value, prevPrev[j - 2] + 1);
 				}
+				curr[j] = value;
+				rowMin = Math.min(rowMin, value);
+			}
+			if (rowMin > maxDistance) return maxDistance + 1;
+			prevPrev = prev;
+			prev = curr;
+		}
+		return Math.min(prev[b.length], maxDistance + 1);
+	}
 
-				// Parse CSV
-				const parsed = window.QD.csv.parseCSVToObjects(response.text, {
-					delimiter: ',',
-					trimHeaders: true
-				});
+	/**
+	 * Creates an inverted index over a list of documents for ranked full-text search
+	 * Each field is normalized and tokenized once; queries are matched against the term dictionary
+	 * instead of rescanning every document
+	 * @param {Object[]} docs - Documents to index
+	 * @param {Object} options - Index options
+	 * @param {Object<string, number>} options.fields - Map of field name to ranking weight for fields searched by default
+	 * @param {Object<string, number>} options.scopedFields - Fields that are only searched when a query term names them (default: none)
+	 * @param {Function} options.normalize - Text normalizer applied to fields and queries (default: identity)
+	 * @param {Function} options.stem - Optional stemmer mapping a token to its root/stem ('' if not applicable)
+	 * @param {string[]} options.fuzzyFields - Fields where misspelled tokens may match by edit distance (default: none)
+	 * @returns {Object} Index object with lookup, lookupStem, lookupFuzzy, matchPhrase, evaluate, search, suggest, and highlight methods
+	 *
+	 * @example
+	 * const index = QD.search.createSearchIndex(entries, {
+	 *   fields: { arabic: 8, translation: 4, meaning: 1 },
+	 *   normalize: (text) => text.toLowerCase()
+	 * });
+	 * const scores = index.search('prayer'); // Map<doc, score>
+	 */
+	function createSearchIndex(docs, options = {}) {
+		const { fields = {}, scopedFields = {}, normalize = (text) => text, stem, fuzzyFields = [] } = options;
+		const weights = { ...fields, ...scopedFields };
+		const fieldNames = Object.keys(weights);
+		const defaultFields = Object.keys(fields);
+		const fuzzyFieldSet = new Set(fuzzyFields);
+		const terms = new Map(); // term -> Array<{ doc, field }>
+		const stems = new Map(); // stem -> Array<{ doc, field, term }>
+		const texts = new Map(); // doc -> { field: { text, words, tokens } }
+		const literalCache = new Map(); // token -> whether any indexed word contains it
 
-				// Normalize data structure
-				dictionaryData = parsed.map(item => ({
-					id: item['ID'] || '',
-					imageUrl: item['Image'] || '',
-					arabic: item['Arabic Term in Arabic'] || '',
-					transliteration: item['Transliteration'] || '',
-					translation: item['Translation in English'] || '',
-					meaning: item['Meaning in English'] || '',
-					arabicDescription: item['Meaning in Arabic'] || '',
-					category: item['Category of the Term'] || '',
-					color: item['color'] || item['Color'] || ''
-				})).filter(item => item.arabic || item.translation);
-
-				// Cache the data
-				cache?.set(CACHE_KEY, dictionaryData, CACHE_TTL);
+		const normalizeText = (value) => (normalize(String(value ?? '')) || '').toLowerCase();
 
-				return dictionaryData;
-			};
+		docs.forEach(doc => {
+			const normalized = {};
+			fieldNames.forEach(field => {
+				const text = normalizeText(doc[field]);
+				const tokens = tokenize(text);
+				normalized[field] = { text, words: ` ${tokens.join(' ')} `, tokens };
+				new Set(tokens).forEach(term => {
+					if (!terms.has(term)) terms.set(term, []);
+					terms.get(term).push({ doc, field });
 
-			dictionaryData = await window.QD.offline.runWithOfflineRetry(loader, {
-				retries: 5,
-				backoffMs: 2000,
-				onSuccess: () => {
-					loadingState.classList.add('hidden');
-				},
-				onError: (err) => {
-					loadingState.textContent = 'Failed to load dictionary data. Please check your connection.';
-					console.error('Failed to load data:', err);
-				}
+					const termStem = stem ? stem(term) : '';
+					if (termStem) {
+						if (!stems.has(termStem)) stems.set(termStem, []);
+						stems.get(termStem).push({ doc, field, term });
+					}
+				});
 			});
+			texts.set(doc, normalized);
+		});
 
-			initializeApp();
-		} catch (error) {
-			loadingState.textContent = 'Error loading dictionary data. Please refresh the page.';
-			console.error('Error loading data:', error);
+		/**
+		 * Find documents containing a single (already normalized) token
+		 * Exact term matches score highest, then prefix matches, then substring matches,
+		 * each multiplied by the weight of the field they were found in
+		 * @param {string} token - Normalized query token
+		 * @param {string[]} searchFields - Fields to search (default: the default fields)
+		 * @returns {Map<Object, number>} Map of matching document to its best score for this token
+		 */
+		function lookup(token, searchFields = defaultFields) {
+			const allowed = new Set(searchFields);
+			const scores = new Map();
+			for (const [term, postings] of terms) {
+				let quality = 0;
+				if (term === token) quality = 3;
+				else if (term.startsWith(token)) quality = 2;
+				else if (term.includes(token)) quality = 1;
+				if (!quality) continue;
+
+				postings.forEach(({ doc, field }) => {
+					if (!allowed.has(field)) return;
+					const score = weights[field] * quality;
+					if (score > (scores.get(doc) || 0)) scores.set(doc, score);
+				});
+			}
+			return scores;
 		}
-	}
 
-	// ============================================================================
+		/**
+		 * Find documents containing any word that shares a stem with the token
+		 * The literal word itself scores as an exact match, other words of the same stem as a prefix match
+		 * @param {string} tokenStem - Stem of the query token
+		 * @param {string} token - Normalized query token
+		 * @param {string[]} searchFields - Fields to search (default: the default fields)
+		 * @returns {Map<Object, number>} Map of matching document to its best score for this stem
+		 */
+		function lookupStem(tokenStem, token, searchFields = defaultFields) {
+			const allowed = new Set(searchFields);
+			const scores = new Map();
+			(stems.get(tokenStem) || []).forEach(({ doc, field, term }) => {
+				if (!allowed.has(field)) return;
+				const score = weights[field] * (term === token ? 3 : 2);
+				if (score > (scores.get(doc) || 0)) scores.set(doc, score);
+			});
+			return scores;
+		}
+
+		/**
+		 * Number of typos tolerated for a token: none below 4 characters, one up to 6, two from 7
+		 * @param {string} token - Normalized query token
+		 * @returns {number} Maximum edit distance
+		 */
+		function fuzzyMaxDistance(token) {
+			return token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+		}
+
+		/**
+		 * Find documents in fuzzy fields containing a word within a small edit distance of the token
+		 * Tolerates one typo for tokens of 4-6 characters and two for longer tokens; shorter tokens never match fuzzily
+		 * @param {string} token - Normalized query token
+		 * @param {string[]} searchFields - Fields to search (default: the default fields)
+		 * @returns {Map<Object, number>} Map of matching document to its best score for this token
+		 */
+		function lookupFuzzy(token, searchFields = defaultFields) {
+			const allowed = new Set(searchFields.filter(field => fuzzyFieldSet.has(field)));
+			const scores = new Map();
+			const maxDistance = fuzzyMaxDistance(token);
+			if (!maxDistance || allowed.size === 0) return scores;
+
+			for (const [term, postings] of terms) {
+				const distance = editDistance(token, term, maxDistance);
+				if (distance > maxDistance) continue;
+
+				const quality = distance === 1 ? 1 : 0.5;
+				postings.forEach(({ doc, field }) => {
+					if (!allowed.has(field)) return;
+					const score = weights[field] * quality;
+					if (score > (scores.get(doc) || 0)) scores.set(doc, score);
+				});
+			}
+			return scores;
+		}
+
+		/**
+		 * Find documents where the phrase occurs as consecutive whole words
+		 * @param {string} phrase - Raw phrase text
+		 * @param {string[]} searchFields - Fields to search (default: the default fields)
+		 * @returns {Map<Object, number>} Map of matching document to its best score for this phrase
+		 */
+		function matchPhrase(phrase, searchFields = defaultFields) {
+			const scores = new Map();
+			const words = tokenize(normalizeText(phrase)).join(' ');
+			if (!words) return scores;
+
+			texts.forEach((normalized, doc) => {
+				searchFields.forEach(field => {
+					if (!normalized[field].words.includes(` ${words} `)) return;
+					const score = weights[field] * 3;
+					if (score > (scores.get(doc) || 0)) scores.set(doc, score);
+				});
+			});
+			return scores;
+		}
+
+		/**
+		 * Find the indexed word closest to a token by edit distance
+		 * Allows more edits than lookupFuzzy so it can propose corrections when nothing matched;
+		 * ties are broken in favour of the word that occurs in more documents
+		 * @param {string} token - Normalized query token
+		 * @param {string[]} searchFields - Fields the word must occur in
+		 * @returns {string|null} Closest indexed word, or null if none is close enough
+		 */
+		function closestTerm(token, searchFields) {
+			if (token.length < 3) return null;
+			const allowed = new Set(searchFields);
+			const maxDistance = token.length >= 8 ? 3 : token.length >= 5 ? 2 : 1;
+			let best = null;
+			let bestDistance = maxDistance + 1;
+			let bestCount = 0;
+
+			for (const [term, postings] of terms) {
+				if (!postings.some(({ field }) => allowed.has(field))) continue;
+				const distance = editDistance(token, term, maxDistance);
+				if (distance < bestDistance || (distance === bestDistance && postings.length > bestCount)) {
+					best = distance <= maxDistance ? term : best;
+					bestDistance = distance;
+					bestCount = postings.length;
+				}
+			}
+			return best;
+		}
+
+		/**
+		 * Resolve the fields a query term searches: its named field, or the default fields
+		 * @param {Object} term - Query term ({ field, value, phrase })
+		 * @returns {string[]} Field names (empty if the named field is not indexed)
+		 */
+		function fieldsFor(term) {
+			if (!term.field) return defaultFields;
+			return fieldNames.includes(term.field) ? [term.field] : [];
+		}
+
+		/**
+		 * Match a single query term, requiring every token of its value to match
+		 * Tokens without any literal match fall back to fuzzy matching in fuzzy fields
+		 * @param {Object} term - Query term ({ field, value, phrase })
+		 * @param {Object} searchOptions - Search options (see evaluate)
+		 * @returns {Map<Object, number>|null} Map of matching document to score, or null if the term has no tokens
+		 */
+		function matchTerm(term, searchOptions) {
+			const searchFields = fieldsFor(term);
+			if (term.phrase) {
+				return tokenize(normalizeText(term.value)).length ? matchPhrase(term.value, searchFields) : null;
+			}
+
+			const tokens = [...new Set(tokenize(normalizeText(term.value)))];
+			if (tokens.length === 0) return null;
+
+			let results = null;
+			for (const token of tokens) {
+				const tokenStem = searchOptions.stem && stem ? stem(token) : '';
+				let scores = tokenStem ? lookupStem(tokenStem, token, searchFields) : lookup(token, searchFields);
+				if (scores.size === 0) scores = lookupFuzzy(token, searchFields);
+
+				if (results === null) {
+					results = scores;
+					continue;
+				}
+				const merged = new Map();
+				results.forEach((score, doc) => {
+					if (scores.has(doc)) merged.set(doc, score + scores.get(doc));
+				});
+				results = merged;
+				if (results.size === 0) break;
+			}
+			return results;
+		}
+
+		/**
+		 * Evaluate a parsed query (see QD.query.parse) against the index
+		 * Every positive clause must match (scores are summed); a clause matches if any of its OR-ed terms
+		 * matches (best score wins); documents matching a negated clause are excluded.
+		 * A field that equals the plain, unscoped query text (or a scoped term's value) earns an exact-match bonus
+		 * @param {Object} parsed - Parsed query ({ clauses: [{ negate, terms: [{ field, value, phrase }] }] })
+		 * @param {Object} searchOptions - Search options
+		 * @param {boolean} searchOptions.stem - Match tokens by stem instead of by substring (default: false)
+		 * @returns {Map<Object, number>|null} Map of matching document to relevance score,
+		 *   or null if the query contains no searchable terms
+		 */
+		function evaluate(parsed, searchOptions = {}) {
+			const clauses = (parsed && parsed.clauses) || [];
+			const excluded = new Set();
+			let results = null;
+			let hasTerms = false;
+
+			for (const clause of clauses) {
+				let clauseScores = null;
+				clause.terms.forEach(term => {
+					const scores = matchTerm(term, searchOptions);
+					if (!scores) return;
+					if (!clauseScores) {
+						clauseScores = scores;
+						return;
+					}
+					scores.forEach((score, doc) => {
+						if (score > (clauseScores.get(doc) || 0)) clauseScores.set(doc, score);
+					});
+				});
+				if (!clauseScores) continue;
+				hasTerms = true;
+
+				if (clause.negate) {
+					clauseScores.forEach((_, doc) => excluded.add(doc));
+					continue;
+				}
+				if (results === null) {
+					results = new Map(clauseScores);
+					continue;
+				}
+				const merged = new Map();
+				results.forEach((score, doc) => {
+					if (clauseScores.has(doc)) merged.set(doc, score + clauseScores.get(doc));
+				});
+				results = merged;
+			}
+
+			if (!hasTerms) return null;
+			if (results === null) results = new Map(docs.map(doc => [doc, 0]));
+			excluded.forEach(doc => results.delete(doc));
+
+			// Exact-match bonuses
+			const single = clauses.filter(clause => !clause.negate && clause.terms.length === 1).map(clause => clause.terms[0]);
+			const plainText = tokenize(normalizeText(single.filter(term => !term.field).map(term => term.value).join(' '))).join(' ');
+			const scoped = single.filter(term => term.field && fieldNames.includes(term.field));
+			results.forEach((score, doc) => {
+				const normalized = texts.get(doc);
+				if (plainText) {
+					defaultFields.forEach(field => {
+						if (normalized[field].words === ` ${plainText} `) score += weights[field] * 3;
+					});
+				}
+				scoped.forEach(term => {
+					if (normalized[term.field].words === ` ${tokenize(normalizeText(term.value)).join(' ')} `) {
+						score += weights[term.field] * 3;
+					}
+				});
+				results.set(doc, score);
+			});
+
+			return results;
+		}
+
+		/**
+		 * Search the index with plain text, requiring every query token to match
+		 * @param {string} query - Raw query text
+		 * @param {Object} searchOptions - Search options (see evaluate)
+		 * @returns {Map<Object, number>|null} Map of matching document to relevance score,
+		 *   or null if the query contains no searchable tokens
+		 */
+		function search(query, searchOptions = {}) {
+			return evaluate({ clauses: [{ negate: false, terms: [{ field: null, value: query, phrase: false }] }] }, searchOptions);
+		}
+
+		/**
+		 * Suggest a corrected query by replacing every token that has no literal match
+		 * with the closest indexed word in the fields the term searches
+		 * Phrases and negated clauses are left unchanged
+		 * @param {Object} parsed - Parsed query (see evaluate)
+		 * @returns {Object|null} Corrected parsed query, or null if no correction was found
+		 */
+		function suggest(parsed) {
+			let changed = false;
+			const clauses = ((parsed && parsed.clauses) || []).map(clause => {
+				if (clause.negate) return clause;
+				return {
+					...clause,
+					terms: clause.terms.map(term => {
+						if (term.phrase) return term;
+						const searchFields = fieldsFor(term);
+						let termChanged = false;
+						const corrected = tokenize(normalizeText(term.value)).map(token => {
+							if (lookup(token, searchFields).size > 0) return token;
+							const closest = closestTerm(token, searchFields);
+							if (!closest) return token;
+							termChanged = true;
+							return closest;
+						});
+						if (!termChanged) return term;
+						changed = true;
+						return { ...term, value: corrected.join(' ') };
+					})
+				};
+			});
+			return changed ? { clauses } : null;
+		}
+
+		/**
+		 * Check whether any indexed word contains the token literally (i.e. search will not fall back to fuzzy matching)
+		 * @param {string} token - Normalized query token
+		 * @returns {boolean} True if the token has a literal match somewhere in the index
+		 */
+		function hasLiteralMatch(token) {
+			if (!literalCache.has(token)) {
+				if (literalCache.size > 1000) literalCache.clear();
+				let found = false;
+				for (const term of terms.keys()) {
+					if (term.includes(token)) {
+						found = true;
+						break;
+					}
+				}
+				literalCache.set(token, found);
+			}
+			return literalCache.get(token);
+		}
+
+		/**
+		 * List the normalized strings to highlight in each field of a document for a parsed query
+		 * Mirrors matchTerm: literal tokens are highlighted wherever they occur, stem and fuzzy matches
+		 * highlight the whole matching words, and phrases highlight their words. Negated clauses are ignored
+		 * @param {Object} doc - Indexed document
+		 * @param {Object} parsed - Parsed query (see evaluate)
+		 * @param {Object} searchOptions - Search options (see evaluate)
+		 * @returns {Object<string, string[]>} Map of field name to normalized strings to highlight
+		 */
+		function highlight(doc, parsed, searchOptions = {}) {
+			const normalized = texts.get(doc);
+			const needles = {};
+			if (!normalized) return needles;
+
+			const add = (field, value) => {
+				if (!needles[field]) needles[field] = new Set();
+				needles[field].add(value);
+			};
+
+			((parsed && parsed.clauses) || []).forEach(clause => {
+				if (clause.negate) return;
+				clause.terms.forEach(term => {
+					const tokens = tokenize(normalizeText(term.value));
+					fieldsFor(term).forEach(field => {
+						const { words, tokens: fieldTokens } = normalized[field];
+						if (term.phrase) {
+							if (tokens.length && words.includes(` ${tokens.join(' ')} `)) {
+								tokens.forEach(token => add(field, token));
+							}
+							return;
+						}
+
+						tokens.forEach(token => {
+							const tokenStem = searchOptions.stem && stem ? stem(token) : '';
+							if (tokenStem) {
+								fieldTokens.forEach(word => {
+									if (stem(word) === tokenStem) add(field, word);
+								});
+							} else if (hasLiteralMatch(token)) {
+								if (fieldTokens.some(word => word.includes(token))) add(field, token);
+							} else if (fuzzyFieldSet.has(field)) {
+								const maxDistance = fuzzyMaxDistance(token);
+								fieldTokens.forEach(word => {
+									if (maxDistance && editDistance(token, word, maxDistance) <= maxDistance) add(field, word);
+								});
+							}
+						});
+					});
+				});
+			});
+
+			Object.keys(needles).forEach(field => {
+				needles[field] = [...needles[field]];
+			});
+			return needles;
+		}
+
+		return { lookup, lookupStem, lookupFuzzy, matchPhrase, evaluate, search, suggest, highlight };
+	}
+
+	window.QD.search = { tokenize, editDistance, createSearchIndex };
+
+	// ============================================================================
+	// QUERY PARSER UTILITIES
+	// ============================================================================
+
+	/**
+	 * Parse a search query with field scoping, phrases, exclusions and OR
+	 * Syntax: `word`, `"exact phrase"`, `field:word`, `field:"a phrase"`, `-excluded`, `a OR b`.
+	 * Space-separated clauses must all match; OR joins adjacent terms into one clause (it binds tighter than AND).
+	 * A negated term is never joined by OR: `-a OR b` parses as `-a b` (exclude a, require b).
+	 * Inside a phrase, `\"` is a literal quote and `\\` a literal backslash; a quote within a word is plain text.
+	 * A `name:` prefix is only treated as a field when the name is a known alias, so `http://` stays plain text
+	 * @param {string} text - Query text
+	 * @param {Object} options - Parsing options
+	 * @param {Object<string, string>} options.fields - Map of accepted field alias (lowercase) to field name (default: none)
+	 * @returns {{clauses: Array<{negate: boolean, terms: Array<{field: string|null, value: string, phrase: boolean}>}>}} Parsed query
+	 *
+	 * @example
+	 * parseQuery('arabic:صلاة OR زكاة -"obligatory charity"', { fields: { arabic: 'arabic' } })
+	 * // { clauses: [
+	 * //   { negate: false, terms: [{ field: 'arabic', value: 'صلاة', phrase: false }, { field: null, value: 'زكاة', phrase: false }] },
+	 * //   { negate: true, terms: [{ field: null, value: 'obligatory charity', phrase: true }] }
+	 * // ] }
+	 */
+	function parseQuery(text, options = {}) {
+		const { fields = {} } = options;
+		const input = typeof text === 'string' ? text : '';
+		const items = [];
+		let i = 0;
+
+		while (i < input.length) {
+			if (/\s/.test(input[i])) {
+				i++;
+				continue;
+			}
+
+			let negate = false;
+			if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+				negate = true;
+				i++;
+			}
+
+			let field = null;
+			const prefix = /^([\p{L}_]+):(?=\S)/u.exec(input.slice(i));
+			if (prefix && fields[prefix[1].toLowerCase()]) {
+				field = fields[prefix[1].toLowerCase()];
+				i += prefix[0].length;
+			}
+
+			let value;
+			let phrase = false;
+			if (input[i] === '"') {
+				value = '';
+				i++;
+				while (i < input.length && input[i] !== '"') {
+					if (input[i] === '\\' && (input[i + 1] === '"' || input[i + 1] === '\\')) i++;
+					value += input[i++];
+				}
+				i++;
+				phrase = true;
+			} else {
+				const start = i;
+				while (i < input.length && !/\s/.test(input[i])) i++;
+				value = input.slice(start, i);
+			}
+
+			if (!negate && !field && !phrase && value === 'OR') {
+				items.push({ or: true });
+			} else if (value.trim()) {
+				items.push({ negate, term: { field, value: value.trim(), phrase } });
+			}
+		}
+
+		const clauses = [];
+		items.forEach((item, index) => {
+			if (item.or) return;
+			const previous = clauses[clauses.length - 1];
+			const joined = index > 0 && items[index - 1].or && previous && !previous.negate && !item.negate;
+			if (joined) {
+				previous.terms.push(item.term);
+			} else {
+				clauses.push({ negate: item.negate, terms: [item.term] });
+			}
+		});
+
+		return { clauses };
+	}
+
+	/**
+	 * Serialize a parsed query back to canonical query text
+	 * Uses the first alias listed for each field; values that would not survive re-parsing as a plain word
+	 * are quoted, with their quotes and backslashes escaped, so parseQuery(stringifyQuery(parsed)) yields an
+	 * equivalent query
+	 * @param {Object} parsed - Parsed query (see parseQuery)
+	 * @param {Object} options - Serialization options
+	 * @param {Object<string, string>} options.fields - Map of field alias to field name (default: none)
+	 * @returns {string} Query text
+	 */
+	function stringifyQuery(parsed, options = {}) {
+		const { fields = {} } = options;
+		const aliasFor = (field) => Object.keys(fields).find(alias => fields[alias] === field) || field;
+
+		const formatTerm = (term) => {
+			const value = term.value;
+			const fieldPrefix = /^([\p{L}_]+):/u.exec(value);
+			const needsQuotes = term.phrase || /\s/.test(value) || value === 'OR' || /^["-]/.test(value) ||
+				Boolean(fieldPrefix && fields[fieldPrefix[1].toLowerCase()]);
+			const prefix = term.field ? `${aliasFor(term.field)}:` : '';
+			return prefix + (needsQuotes ? `"${value.replace(/["\\]/g, '\\$&')}"` : value);
+		};
+
+		return ((parsed && parsed.clauses) || [])
+			.map(clause => (clause.negate ? '-' : '') + clause.terms.map(formatTerm).join(' OR '))
+			.join(' ');
+	}
+
+	window.QD.query = { parse: parseQuery, stringify: stringifyQuery };
+
+	// ============================================================================
+	// SPACED REPETITION UTILITIES
+	// ============================================================================
+
+	const DAY_MS = 24 * 60 * 60 * 1000;
+
+	/**
+	 * Schedule the next review of a card with the SM-2 algorithm
+	 * Grades follow SM-2: 0-2 = forgotten, 3 = recalled with difficulty, 4 = recalled, 5 = recalled easily.
+	 * A forgotten card restarts its repetitions and comes back after `relearnDelay` (instead of SM-2's
+	 * full day) so it can be repeated in the same session; the ease factor is updated for every grade
+	 * @param {Object|null} card - Current card state, or null for a new card
+	 * @param {number} card.repetitions - Successful reviews in a row
+	 * @param {number} card.interval - Current interval in days (0 while relearning)
+	 * @param {number} card.easeFactor - SM-2 ease factor (>= 1.3)
+	 * @param {number} card.lapses - Times the card was forgotten
+	 * @param {number} grade - Grade from 0 to 5
+	 * @param {number} now - Review time in milliseconds (default: Date.now())
+	 * @param {Object} options - Scheduling options
+	 * @param {number} options.relearnDelay - Delay before a forgotten card is due again in ms (default: 10 minutes)
+	 * @returns {{repetitions: number, interval: number, easeFactor: number, lapses: number, reviewedAt: number, dueAt: number}} New card state
+	 *
+	 * @example
+	 * let card = review(null, 4);  // interval 1 (day)
+	 * card = review(card, 4);      // interval 6
+	 * card = review(card, 5);      // interval 16 (6 × 2.6)
+	 */
+	function review(card, grade, now = Date.now(), options = {}) {
+		const { relearnDelay = 10 * 60 * 1000 } = options;
+		const q = Math.max(0, Math.min(5, Math.round(grade)));
+		const previous = {
+			repetitions: card?.repetitions || 0,
+			interval: card?.interval || 0,
+			easeFactor: card?.easeFactor || 2.5,
+			lapses: card?.lapses || 0
+		};
+
+		const easeFactor = Math.max(1.3, previous.easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+		if (q < 3) {
+			return {
+				repetitions: 0,
+				interval: 0,
+				easeFactor,
+				lapses: previous.lapses + 1,
+				reviewedAt: now,
+				dueAt: now + relearnDelay
+			};
+		}
+
+		const repetitions = previous.repetitions + 1;
+		let interval;
+		if (repetitions === 1) {
+			interval = 1;
+		} else if (repetitions === 2) {
+			interval = 6;
+		} else {
+			interval = Math.round(Math.max(1, previous.interval) * previous.easeFactor);
+		}
+
+		return {
+			repetitions,
+			interval,
+			easeFactor,
+			lapses: previous.lapses,
+			reviewedAt: now,
+			dueAt: now + interval * DAY_MS
+		};
+	}
+
+	/**
+	 * Check whether a card is due for review
+	 * @param {Object|null} card - Card state from review(), or null for a new card
+	 * @param {number} now - Time in milliseconds (default: Date.now())
+	 * @returns {boolean} True if the card is new or its due time has passed
+	 */
+	function isDue(card, now = Date.now()) {
+		return !card || card.dueAt <= now;
+	}
+
+	window.QD.srs = { review, isDue };
+
+	// ============================================================================
+	// SEEDED RANDOM UTILITIES
+	// ============================================================================
+
+	/**
+	 * Create a seeded pseudo-random generator (mulberry32 over an FNV-1a hash of the seed)
+	 * The same seed always produces the same sequence, in every browser
+	 * @param {string|number} seed - Seed
+	 * @returns {Object} Generator with next(), int(max), shuffle(array) and sample(array, count)
+	 *
+	 * @example
+	 * const random = createRandom('k3x9a2');
+	 * random.shuffle([1, 2, 3, 4]); // same order for every 'k3x9a2' generator
+	 */
+	function createRandom(seed) {
+		let state = 0x811c9dc5;
+		for (const char of String(seed)) {
+			state ^= char.codePointAt(0);
+			state = Math.imul(state, 0x01000193);
+		}
+
+		/**
+		 * Next number in [0, 1)
+		 * @returns {number}
+		 */
+		function next() {
+			state = (state + 0x6d2b79f5) | 0;
+			let t = Math.imul(state ^ (state >>> 15), 1 | state);
+			t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		}
+
+		/**
+		 * Next integer in [0, max)
+		 * @param {number} max - Exclusive upper bound
+		 * @returns {number}
+		 */
+		function int(max) {
+			return Math.floor(next() * max);
+		}
+
+		/**
+		 * Shuffled copy of an array (Fisher-Yates)
+		 * @param {Array} array - Items
+		 * @returns {Array} New array
+		 */
+		function shuffle(array) {
+			const result = [...array];
+			for (let i = result.length - 1; i > 0; i--) {
+				const j = int(i + 1);
+				[result[i], result[j]] = [result[j], result[i]];
+			}
+			return result;
+		}
+
+		/**
+		 * Random items of an array, without repetition
+		 * @param {Array} array - Items
+		 * @param {number} count - Number of items (at most array.length)
+		 * @returns {Array} New array
+		 */
+		function sample(array, count) {
+			return shuffle(array).slice(0, count);
+		}
+
+		return { next, int, shuffle, sample };
+	}
+
+	window.QD.random = { createRandom };
+
+	// ============================================================================
+	// COLLATION UTILITIES
+	// ============================================================================
+
+	// Letters in abjad order (أبجد هوز حطي كلمن سعفص قرشت ثخذ ضظغ)
+	const ABJAD_ORDER = 'ابجدهوزحطيكلمنسعفصقرشتثخذضظغ';
+
+	// Letter forms ranked as another letter in abjad order: hamza and its carriers, alif maqsura, taa marbuta
+	const ABJAD_LETTER_FORMS = {
+		'\u0621': '\u0627', '\u0622': '\u0627', '\u0623': '\u0627', '\u0625': '\u0627', '\u0671': '\u0627', // ء آ أ إ ٱ → ا
+		'\u0624': '\u0648', // ؤ → و
+		'\u0626': '\u064A', '\u0649': '\u064A', // ئ ى → ي
+		'\u0629': '\u0647' // ة → ه
+	};
+
+	// ʿayn/hamza marks and apostrophes in transliterations, which collators do not ignore
+	const TRANSLITERATION_MARKS = /[\u02BE\u02BF\u02BB\u02BC\u2018\u2019'`]/g;
+
+	/**
+	 * Create a compare function for a locale: case- and accent-insensitive, ignoring punctuation, with
+	 * digit sequences compared as numbers
+	 * Falls back to comparing lowercased strings by code unit in browsers without Intl.Collator
+	 * @param {string} locale - Locale code (e.g. 'en', 'ar')
+	 * @returns {Function} compare(a, b) returning a negative number, zero, or a positive number
+	 */
+	function createLocaleCompare(locale) {
+		if (typeof Intl !== 'undefined' && Intl.Collator) {
+			return new Intl.Collator(locale, { sensitivity: 'base', ignorePunctuation: true, numeric: true }).compare;
+		}
+		return (a, b) => {
+			const x = a.toLowerCase();
+			const y = b.toLowerCase();
+			return x < y ? -1 : x > y ? 1 : 0;
+		};
+	}
+
+	/**
+	 * Map Arabic text to a string that orders by abjad letter order when compared by code unit
+	 * Letters become consecutive characters from 'A', spaces are kept so shorter words come first, and
+	 * everything else (diacritics, tatweel, punctuation) is dropped
+	 * @param {string} text - Arabic text
+	 * @returns {string} Abjad sort key
+	 */
+	function getAbjadKey(text) {
+		let key = '';
+		for (const char of String(text || '')) {
+			const rank = ABJAD_ORDER.indexOf(ABJAD_LETTER_FORMS[char] || char);
+			if (rank !== -1) {
+				key += String.fromCharCode(0x41 + rank);
+			} else if (/\s/.test(char) && key && !key.endsWith(' ')) {
+				key += ' ';
+			}
+		}
+		return key.trimEnd();
+	}
+
+	/**
+	 * Create a collator for Arabic text
+	 * Sorting compares keys made once per text with getKey, so long lists do not re-derive roots or
+	 * abjad keys for every comparison
+	 * @param {Object} options - Collation options
+	 * @param {string} options.mode - 'alphabetical' (Intl.Collator's Arabic order, ignoring diacritics),
+	 *   'root' (by the root of the first word, then alphabetically) or 'abjad' (أبجد هوز order, then
+	 *   alphabetically); default: 'alphabetical'
+	 * @param {Function} options.getRoot - Root of a word, required for the 'root' mode (returns '' for none)
+	 * @returns {{getKey: Function, compare: Function}} getKey(text) and compare(keyA, keyB)
+	 *
+	 * @example
+	 * const collator = createArabicCollator({ mode: 'abjad' });
+	 * ['جنة', 'باب', 'أمر'].map(collator.getKey).sort(collator.compare); // keys of أمر, باب, جنة
+	 */
+	function createArabicCollator(options = {}) {
+		const { mode = 'alphabetical', getRoot } = options;
+		const compareText = createLocaleCompare('ar');
+
+		if (mode === 'root') {
+			return {
+				getKey: (text) => ({ text, root: getRoot(String(text || '').trim().split(/\s+/)[0]) }),
+				compare: (a, b) => {
+					// Entries without an Arabic root come last
+					if (!a.root !== !b.root) return a.root ? -1 : 1;
+					return compareText(a.root, b.root) || compareText(a.text, b.text);
+				}
+			};
+		}
+
+		if (mode === 'abjad') {
+			return {
+				getKey: (text) => ({ text, abjad: getAbjadKey(text) }),
+				compare: (a, b) => (a.abjad < b.abjad ? -1 : a.abjad > b.abjad ? 1 : compareText(a.text, b.text))
+			};
+		}
+
+		return {
+			getKey: (text) => String(text || ''),
+			compare: compareText
+		};
+	}
+
+	/**
+	 * Create a collator for Latin-script text (English, transliterations)
+	 * Case, accents and the ʿayn/hamza marks of transliterations are ignored, so "Ṣalāh" sorts with "salah"
+	 * and "ʿAql" with "Aql"
+	 * @param {string} locale - Locale code (default: 'en')
+	 * @returns {{getKey: Function, compare: Function}} getKey(text) and compare(keyA, keyB)
+	 */
+	function createTextCollator(locale = 'en') {
+		return {
+			getKey: (text) => String(text || '').replace(TRANSLITERATION_MARKS, ''),
+			compare: createLocaleCompare(locale)
+		};
+	}
+
+	window.QD.collation = { ABJAD_ORDER, getAbjadKey, createArabicCollator, createTextCollator };
+
+	// ============================================================================
+	// QURAN REFERENCE UTILITIES
+	// ============================================================================
+
+	// Number of verses (ayat) in each surah, in the Hafs numbering (6236 in total)
+	const QURAN_AYAH_COUNTS = [
+		7, 286, 200, 176, 120, 165, 206, 75, 129, 109, 123, 111, 43, 52, 99, 128, 111, 110, 98,
+		135, 112, 78, 118, 64, 77, 227, 93, 88, 69, 60, 34, 30, 73, 54, 45, 83, 182, 88,
+		75, 85, 54, 53, 89, 59, 37, 35, 38, 29, 18, 45, 60, 49, 62, 55, 78, 96, 29,
+		22, 24, 13, 14, 11, 11, 18, 12, 12, 30, 52, 52, 44, 28, 28, 20, 56, 40, 31,
+		50, 40, 46, 42, 29, 19, 36, 25, 22, 17, 19, 26, 30, 20, 15, 21, 11, 8, 8,
+		19, 5, 8, 8, 11, 11, 8, 3, 9, 5, 4, 7, 3, 6, 3, 5, 4, 5, 6
+	];
+
+	/**
+	 * Check whether a surah and verse number exist
+	 * @param {number} surah - Surah number (1-114)
+	 * @param {number} ayah - Verse number within the surah
+	 * @returns {boolean} True if the verse exists
+	 */
+	function isValidReference(surah, ayah) {
+		return surah >= 1 && surah <= QURAN_AYAH_COUNTS.length && ayah >= 1 && ayah <= QURAN_AYAH_COUNTS[surah - 1];
+	}
+
+	/**
+	 * Parse verse references written as surah:ayah
+	 * References are separated by commas, semicolons or spaces (Latin or Arabic punctuation), and a range
+	 * such as 2:255-257 stands for each verse in it; Arabic-Indic digits are accepted.
+	 * The result is sorted in mushaf order without duplicates
+	 * @param {string} text - Reference text, e.g. "2:43; 2:110, 9:5"
+	 * @returns {{references: {surah: number, ayah: number}[], invalid: string[]}} Parsed verses and the
+	 *   parts that are not valid references (malformed, or past the end of the surah)
+	 *
+	 * @example
+	 * parseReferences('2:255-257; 1:1');
+	 * // { references: [{ surah: 1, ayah: 1 }, { surah: 2, ayah: 255 }, { surah: 2, ayah: 256 }, { surah: 2, ayah: 257 }], invalid: [] }
+	 */
+	function parseReferences(text) {
+		const references = new Map();
+		const invalid = [];
+		const normalized = String(text || '')
+			.replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+			.replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+			.replace(/\s*([:\-–—])\s*/g, '$1');
+
+		normalized.split(/[\s,;\u060C\u061B]+/).filter(Boolean).forEach(token => {
+			const match = /^(\d{1,3}):(\d{1,3})(?:[-–—](\d{1,3}))?$/.exec(token);
+			const surah = match ? Number(match[1]) : 0;
+			const first = match ? Number(match[2]) : 0;
+			const last = match?.[3] ? Number(match[3]) : first;
+			if (!match || last < first || !isValidReference(surah, first) || !isValidReference(surah, last)) {
+				invalid.push(token);
+				return;
+			}
+			for (let ayah = first; ayah <= last; ayah++) {
+				references.set(surah * 1000 + ayah, { surah, ayah });
+			}
+		});
+
+		return {
+			references: [...references.entries()].sort((a, b) => a[0] - b[0]).map(([, reference]) => reference),
+			invalid
+		};
+	}
+
+	/**
+	 * Format a verse reference as surah:ayah
+	 * @param {{surah: number, ayah: number}} reference - Verse reference
+	 * @returns {string} Formatted reference, e.g. "2:43"
+	 */
+	function formatReference(reference) {
+		return `${reference.surah}:${reference.ayah}`;
+	}
+
+	/**
+	 * Parse a Quran text file in the Tanzil "sura|aya|text" format
+	 * Empty lines and # comment lines (Tanzil's license notice) are skipped
+	 * @param {string} text - File content
+	 * @returns {Map<string, string>} Verse text by reference (see formatReference)
+	 */
+	function parseText(text) {
+		const verses = new Map();
+		window.QD.csv.splitLines(text).forEach(line => {
+			const match = /^\s*(\d+)\|(\d+)\|(.*)$/.exec(line);
+			if (match && !line.startsWith('#')) {
+				verses.set(formatReference({ surah: Number(match[1]), ayah: Number(match[2]) }), match[3].trim());
+			}
+		});
+		return verses;
+	}
+
+	window.QD.quran = { AYAH_COUNTS: QURAN_AYAH_COUNTS, isValidReference, parseReferences, formatReference, parseText };
+
+	// ============================================================================
+	// LOCALIZATION UTILITIES
+	// ============================================================================
+
+	// Languages written right to left, matched on the primary language subtag
+	const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+	/**
+	 * Get the plural category of a count (CLDR rules)
+	 * Uses Intl.PluralRules, with the Arabic and English rules built in for browsers without it
+	 * @param {string} locale - BCP 47 language tag, e.g. 'ar'
+	 * @param {number} count - Count
+	 * @returns {string} 'zero', 'one', 'two', 'few', 'many' or 'other'
+	 *
+	 * @example
+	 * getPluralCategory('ar', 3); // 'few'
+	 * getPluralCategory('ar', 11); // 'many'
+	 */
+	function getPluralCategory(locale, count) {
+		if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+			return new Intl.PluralRules(locale).select(count);
+		}
+
+		const n = Math.abs(count);
+		if (locale.split('-')[0] !== 'ar') return n === 1 ? 'one' : 'other';
+		if (n === 0) return 'zero';
+		if (n === 1) return 'one';
+		if (n === 2) return 'two';
+		if (n % 100 >= 3 && n % 100 <= 10) return 'few';
+		if (n % 100 >= 11 && n % 100 <= 99) return 'many';
+		return 'other';
+	}
+
+	/**
+	 * Get the writing direction of a language
+	 * @param {string} locale - BCP 47 language tag
+	 * @returns {string} 'rtl' or 'ltr'
+	 */
+	function getTextDirection(locale) {
+		return RTL_LANGUAGES.includes(String(locale).split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
+	}
+
+	/**
+	 * Create a translator over message catalogs
+	 * A message is a string with {name} placeholders, or an object of plural forms (zero, one, two, few, many,
+	 * other) chosen by the `count` parameter; numbers are formatted for the current locale. Keys missing from
+	 * the current catalog fall back to the fallback locale, then to the key itself
+	 * @param {Object<string, Object>} catalogs - Messages by key, by locale
+	 * @param {Object} options - Translator options
+	 * @param {string} options.locale - Initial locale (default: the fallback locale)
+	 * @param {string} options.fallbackLocale - Locale used for missing keys (default: 'en')
+	 * @returns {Object} Translator with t(key, params), formatNumber(value), getLocale(), setLocale(locale)
+	 *   and getDirection()
+	 *
+	 * @example
+	 * const i18n = createTranslator({
+	 *   en: { results: { one: '{count} entry', other: '{count} entries' } },
+	 *   ar: { results: { zero: 'لا مدخلات', one: 'مدخل واحد', two: 'مدخلان', few: '{count} مدخلات', many: '{count} مدخلًا', other: '{count} مدخل' } }
+	 * }, { locale: 'ar' });
+	 * i18n.t('results', { count: 3 }); // '٣ مدخلات'
+	 */
+	function createTranslator(catalogs, options = {}) {
+		const { fallbackLocale = 'en' } = options;
+		let locale = catalogs[options.locale] ? options.locale : fallbackLocale;
+		let numberFormat = null;
+
+		/**
+		 * Format a number for the current locale
+		 * @param {number} value - Number
+		 * @returns {string} Formatted number
+		 */
+		function formatNumber(value) {
+			if (typeof Intl === 'undefined') return String(value);
+			numberFormat = numberFormat || new Intl.NumberFormat(locale);
+			return numberFormat.format(value);
+		}
+
+		/**
+		 * Translate a message
+		 * @param {string} key - Message key
+		 * @param {Object} params - Placeholder values; `count` also selects the plural form
+		 * @returns {string} Translated text
+		 */
+		function t(key, params = {}) {
+			let message = catalogs[locale]?.[key] ?? catalogs[fallbackLocale]?.[key];
+			if (message === undefined) return key;
+			if (typeof message === 'object') {
+				message = message[getPluralCategory(locale, params.count ?? 0)] ?? message.other;
+			}
+			return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+				if (!(name in params)) return placeholder;
+				return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+			});
+		}
+
+		/**
+		 * Switch the current locale
+		 * @param {string} next - Locale with a catalog
+		 * @returns {string} Current locale (unchanged if there is no catalog for the requested one)
+		 */
+		function setLocale(next) {
+			if (catalogs[next] && next !== locale) {
+				locale = next;
+				numberFormat = null;
+			}
+			return locale;
+		}
+
+		return {
+			t,
+			formatNumber,
+			setLocale,
+			getLocale: () => locale,
+			getDirection: () => getTextDirection(locale)
+		};
+	}
+
+	window.QD.i18n = { createTranslator, getPluralCategory, getTextDirection };
+
+	// ============================================================================
+	// DATA SOURCE UTILITIES
+	// ============================================================================
+
+	/**
+	 * Registered data-source adapters by type
+	 * Each adapter is a factory taking the source config and returning { load(options): Promise<Object[]> },
+	 * where load resolves to raw records (objects keyed by column/property name);
+	 * options.fresh asks for a copy straight from the network rather than from any cache
+	 */
+	const sourceAdapters = {};
+
+	/**
+	 * Register a data-source adapter
+	 * @param {string} type - Adapter type name used in source configs (e.g. 'csv')
+	 * @param {Function} factory - Function (config) => { load(options): Promise<Object[]> }
+	 *
+	 * @example
+	 * QD.sources.registerAdapter('inline', (config) => ({
+	 *   load: async () => config.records
+	 * }));
+	 */
+	function registerAdapter(type, factory) {
+		sourceAdapters[type] = factory;
+	}
+
+	/**
+	 * Fetch a text resource for an adapter, rejecting empty responses
+	 * @param {string} url - URL to fetch
+	 * @param {string} acceptTypes - Accept header value
+	 * @param {Object} options - Load options
+	 * @param {boolean} options.fresh - Revalidate with the server instead of using a cached response
+	 * @returns {Promise<string>} Response text
+	 * @throws {Error} If the request fails or returns no content
+	 */
+	async function fetchSourceText(url, acceptTypes, options = {}) {
+		const response = await window.QD.http.fetchWithRetry(url, {
+			retries: 3,
+			backoffMs: 1000,
+			timeoutMs: 15000,
+			cache: options.fresh ? 'no-cache' : 'default',
+			acceptTypes
+		});
+		if (!response.ok || !response.text) {
+			throw new Error(`Failed to fetch data source: ${url}`);
+		}
+		return response.text;
+	}
+
+	/**
+	 * Create a delimited-text adapter (CSV, TSV, ...)
+	 * Config: { url } or { text } (inline content), plus optional { delimiter } ('auto' to detect it; the csv
+	 * adapter detects it by default, so semicolon- and tab-separated exports load as CSV too)
+	 * and { onError } for parse errors (logged as warnings by default; createSource collects them into source.errors)
+	 * @param {string} defaultDelimiter - Delimiter used when the config does not set one
+	 * @returns {Function} Adapter factory
+	 */
+	function delimitedAdapter(defaultDelimiter) {
+		return (config) => ({
+			async load(options) {
+				const text = config.text ?? await fetchSourceText(config.url, 'text/csv, text/tab-separated-values, text/plain, */*', options);
+				return window.QD.csv.parseCSVToObjects(text, {
+					delimiter: config.delimiter || defaultDelimiter,
+					trimHeaders: true,
+					onError: config.onError || ((error) => console.warn(`CSV ${error.type} at line ${error.line}: ${error.message}`))
+				});
+			}
+		});
+	}
+
+	registerAdapter('csv', delimitedAdapter('auto'));
+	registerAdapter('tsv', delimitedAdapter('\t'));
+
+	/**
+	 * JSON adapter
+	 * Config: { url } or { text }, plus optional { path } (dot path to the records array, e.g. 'data.entries').
+	 * Without a path, accepts a top-level array or an object with an `entries`, `data`, or `items` array
+	 */
+	registerAdapter('json', (config) => ({
+		async load(options) {
+			const text = config.text ?? await fetchSourceText(config.url, 'application/json, text/plain, */*', options);
+			const json = JSON.parse(text);
+			const records = config.path
+				? config.path.split('.').reduce((value, key) => (value == null ? value : value[key]), json)
+				: (Array.isArray(json) ? json : (json?.entries || json?.data || json?.items));
+			if (!Array.isArray(records)) {
+				throw new Error('JSON data source does not contain an array of records');
+			}
+			return records;
+		}
+	}));
+
+	/**
+	 * Static file adapter for a data file shipped next to index.html
+	 * Config: { file } (path relative to the page), plus optional { format } ('csv', 'tsv', or 'json');
+	 * the format defaults to the file extension
+	 */
+	registerAdapter('static', (config) => {
+		const format = (config.format || (config.file || '').split('.').pop() || '').toLowerCase();
+		const adapter = sourceAdapters[format];
+		if (!adapter || format === 'static') {
+			throw new Error(`Unsupported static file format: ${format || '(none)'}`);
+		}
+		return adapter({ ...config, url: new URL(config.file, document.baseURI).href });
+	});
+
+	/**
+	 * Get the URL a source config loads its data from
+	 * @param {Object} config - Source config
+	 * @returns {string|null} Absolute URL of the static file or the source URL, or null for inline text
+	 */
+	function getSourceUrl(config) {
+		if (config.file) return new URL(config.file, document.baseURI).href;
+		if (config.text != null) return null;
+		return config.url || null;
+	}
+
+	/**
+	 * Hash a string (32-bit FNV-1a) to tell inline sources apart
+	 * @param {string} text - Text to hash
+	 * @returns {string} Hash in base 36
+	 */
+	function hashText(text) {
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < text.length; i++) {
+			hash ^= text.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return (hash >>> 0).toString(36);
+	}
+
+	/**
+	 * Map a raw record to a dictionary entry using a header-to-field mapping
+	 * Each field takes the first non-empty value among its mapped headers (matched case-insensitively),
+	 * falling back to a property named like the field itself
+	 * @param {Object} record - Raw record (column/property name → value)
+	 * @param {Object<string, string|string[]>} mapping - Map of entry field to source header name(s)
+	 * @returns {Object} Entry object with one string property per mapped field
+	 *
+	 * @example
+	 * mapRecord({ 'Arabic Term': 'صلاة' }, { arabic: 'Arabic Term', translation: ['English', 'Translation'] })
+	 * // { arabic: 'صلاة', translation: '' }
+	 */
+	function mapRecord(record, mapping) {
+		const lookup = {};
+		Object.keys(record || {}).forEach(key => {
+			const normalizedKey = key.trim().toLowerCase();
+			if (!(normalizedKey in lookup)) lookup[normalizedKey] = record[key];
+		});
+
+		const entry = {};
+		Object.keys(mapping).forEach(field => {
+			const headers = [].concat(mapping[field] || [], field);
+			const header = headers.find(name => {
+				const value = lookup[name.trim().toLowerCase()];
+				return value != null && String(value).trim() !== '';
+			});
+			entry[field] = header ? String(lookup[header.trim().toLowerCase()]).trim() : '';
+		});
+		return entry;
+	}
+
+	/**
+	 * Create a data source from a config object
+	 * @param {Object} config - Source config
+	 * @param {string} config.type - Adapter type ('csv', 'tsv', 'json', 'static', or a registered custom type)
+	 * @param {Object<string, string|string[]>} config.mapping - Map of entry field to source header name(s)
+	 * @param {Function} config.onError - Optional callback for each parse error
+	 * @returns {{id: string, load: Function, errors: Object[]}} Source with a stable id (for cache keys),
+	 *   load(options): Promise<Object[]> resolving to mapped entries (pass { fresh: true } to bypass caches),
+	 *   and the parse errors of the last load
+	 * @throws {Error} If the adapter type is unknown
+	 *
+	 * @example
+	 * const source = QD.sources.createSource({
+	 *   type: 'static',
+	 *   file: 'glossary.json',
+	 *   mapping: { arabic: 'term', translation: 'english' }
+	 * });
+	 * const entries = await source.load();
+	 */
+	function createSource(config) {
+		const factory = sourceAdapters[config.type];
+		if (!factory) {
+			throw new Error(`Unknown data source type: ${config.type}`);
+		}
+		const errors = [];
+		const adapter = factory({
+			...config,
+			onError: (error) => {
+				errors.push(error);
+				if (config.onError) config.onError(error);
+			}
+		});
+		const mapping = config.mapping || {};
+
+		return {
+			// What the adapter loads: the static file, the URL, or a hash of inline text
+			id: `${config.type}:${getSourceUrl(config) || `inline:${hashText(String(config.text ?? ''))}`}`,
+			errors,
+			async load(options = {}) {
+				errors.length = 0;
+				const records = await adapter.load(options);
+				return records.map(record => mapRecord(record, mapping));
+			}
+		};
+	}
+
+	window.QD.sources = { registerAdapter, createSource, mapRecord, getSourceUrl };
+
+	// ============================================================================
+	// APPLICATION CONSTANTS AND STATE
+	// ============================================================================
+
+	const CSV_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQ8oogghrnWECWF88DzTCKaEu9KlBjVq28-QV_eJn-rp9ZXTy49T0bEEUFJRv7F5aDKGnUGYaVMsIrp/pub?output=csv';
+	const CACHE_KEY = 'quran-dict-data';
+	const CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days: cached data is shown at once and refreshed in the background
+	const DATA_REFRESH_INTERVAL = 15 * 60 * 1000; // 15 minutes between background refreshes of an open page
+
+	// Personal word lists: cache key (stored without TTL), the built-in list behind the star buttons,
+	// and the format tag of exported list files
+	const WORD_LISTS_KEY = 'word-lists';
+	const FAVORITES_LIST_ID = 'favorites';
+	const WORD_LISTS_FORMAT = 'quran-dictionary-word-lists';
+
+	// Study mode: cache key of the review progress (stored without TTL), new cards introduced per session,
+	// and the answer buttons with their SM-2 grades, label messages and keyboard shortcuts
+	const STUDY_PROGRESS_KEY = 'study-progress';
+	const STUDY_NEW_CARDS_PER_SESSION = 20;
+	const STUDY_GRADES = [
+		{ grade: 1, labelKey: 'study.grade.again', key: '1' },
+		{ grade: 3, labelKey: 'study.grade.hard', key: '2' },
+		{ grade: 4, labelKey: 'study.grade.good', key: '3' },
+		{ grade: 5, labelKey: 'study.grade.easy', key: '4' }
+	];
+
+	// Quizzes: question types (as written in the 'types' URL parameter), default and maximum length,
+	// answer options per multiple-choice question, and terms per category-matching exercise
+	const QUIZ_TYPES = ['ar-en', 'en-ar', 'image', 'match'];
+	const QUIZ_DEFAULT_COUNT = 10;
+	const QUIZ_MAX_COUNT = 50;
+	const QUIZ_OPTION_COUNT = 4;
+	const QUIZ_MATCH_TERMS = 4;
+
+	// Verse text shown next to an entry's references: a Quran text file in the Tanzil "sura|aya|text" format
+	// served with the app (see the README), loaded the first time an entry with references is opened
+	const QURAN_TEXT_URL = 'quran-text.txt';
+
+	// Related terms: entry fields listing the IDs of related entries, in the order and with the label messages
+	// shown in the modal and the relationship graph
+	const RELATION_TYPES = [
+		{ field: 'synonyms', labelKey: 'related.synonyms' },
+		{ field: 'antonyms', labelKey: 'related.antonyms' },
+		{ field: 'seeAlso', labelKey: 'related.seeAlso' },
+		{ field: 'sameRoot', labelKey: 'related.sameRoot' }
+	];
+
+	// Source header(s) for each entry field; the first non-empty header wins
+	const DEFAULT_FIELD_MAPPING = {
+		id: ['ID'],
+		imageUrl: ['Image'],
+		arabic: ['Arabic Term in Arabic'],
+		transliteration: ['Transliteration'],
+		translation: ['Translation in English'],
+		meaning: ['Meaning in English'],
+		arabicDescription: ['Meaning in Arabic'],
+		category: ['Category of the Term'],
+		color: ['color', 'Color'],
+		audioUrl: ['Audio'],
+		references: ['References'],
+		synonyms: ['Synonyms'],
+		antonyms: ['Antonyms'],
+		seeAlso: ['See Also'],
+		sameRoot: ['Same Root']
+	};
+
+	// Data source: the published Google Sheet unless index.html sets window.QD_CONFIG.source
+	// (a configured source does not inherit the sheet's URL, which would end up in its cache key)
+	const SOURCE_CONFIG = {
+		type: 'csv',
+		...(window.QD_CONFIG?.source || { url: CSV_URL }),
+		mapping: { ...DEFAULT_FIELD_MAPPING, ...(window.QD_CONFIG?.source?.mapping || {}) }
+	};
+
+	// Ranking weight of each searchable field (higher ranks first)
+	const SEARCH_FIELDS = {
+		arabic: 8,
+		transliteration: 4,
+		translation: 4,
+		meaning: 1,
+		arabicDescription: 1
+	};
+
+	// Fields only searched when a query term names them (e.g. category:"Acts of Worship")
+	const SCOPED_SEARCH_FIELDS = {
+		category: 2,
+		id: 2
+	};
+
+	// Latin-script fields where misspelled query words may still match
+	const FUZZY_SEARCH_FIELDS = ['transliteration', 'translation', 'meaning'];
+
+	// Field names accepted in `field:value` query terms; the first alias of each field is the canonical one
+	const QUERY_FIELD_ALIASES = {
+		arabic: 'arabic',
+		ar: 'arabic',
+		transliteration: 'transliteration',
+		translit: 'transliteration',
+		translation: 'translation',
+		en: 'translation',
+		english: 'translation',
+		meaning: 'meaning',
+		description: 'arabicDescription',
+		desc: 'arabicDescription',
+		category: 'category',
+		cat: 'category',
+		id: 'id'
+	};
+
+	// Affixes stripped by extractRoot, longest first
+	// (the dual ان is left out: it ends too many nouns such as قرآن, إيمان and رمضان)
+	const ROOT_ARTICLE_PREFIXES = ['وبال', 'وكال', 'فبال', 'وال', 'فال', 'بال', 'كال', 'ولل', 'فلل', 'لل', 'ال'];
+	const ROOT_SUFFIXES = ['كما', 'هما', 'تما', 'تين', 'تان', 'ات', 'ون', 'ين', 'ها', 'هم', 'هن', 'كم', 'كن', 'نا', 'وا', 'تم', 'تن', 'يه', 'ه', 'ي'];
+	const ROOT_PREFIX_LETTERS = 'اتيمنوفبلسك';
+	const ROOT_WEAK_LETTERS = 'اوي';
+
+	// Entry fields that should only hold English/Latin text
+	const LATIN_TEXT_FIELDS = ['transliteration', 'translation', 'meaning'];
+	const ARABIC_SCRIPT_PATTERN = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+	// Results rendering: lists longer than the threshold only render the rows within the overscan (in pixels)
+	// above and below the viewport, estimating row heights until rows have been measured; cards and table rows
+	// of recently shown entries are kept for reuse, images load when within the margin of the viewport,
+	// and searching waits for a pause in typing
+	const VIRTUAL_RENDER_THRESHOLD = 60;
+	const VIRTUAL_OVERSCAN = 800;
+	const ESTIMATED_CARD_ROW_HEIGHT = 360;
+	const ESTIMATED_TABLE_ROW_HEIGHT = 90;
+	const RESULT_NODE_CACHE_SIZE = 300;
+	const LAZY_IMAGE_MARGIN = '300px';
+	const SEARCH_DEBOUNCE_MS = 150;
+
+	// Result views, in the order the view toggle cycles through them
+	const VIEW_MODES = ['grid', 'table', 'browse'];
+
+	// Browse view: entries are grouped by the first letter of the Arabic term or by category; the letters are
+	// listed in alphabetical order (in abjad order when the Arabic order is abjad), with hamza under alif, and
+	// the jump bar shows the Arabic letters, or the Latin ones for categories
+	const BROWSE_GROUP_MODES = ['letter', 'category'];
+	const BROWSE_ARABIC_LETTERS = 'ابتثجحخدذرزسشصضطظعغفقكلمنهوي';
+	const BROWSE_LATIN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+	// Table view columns in their default order: the message key of the header, the field clicking the
+	// header sorts by, and whether the column is shown by default. Users can show, hide, reorder and resize
+	// them (see initializeTableColumns); the actions column (star and play buttons) has no visible header
+	const TABLE_COLUMNS = [
+		{ id: 'actions', labelKey: 'table.actions', visible: true, hideHeader: true },
+		{ id: 'image', labelKey: 'table.image', visible: true },
+		{ id: 'arabic', labelKey: 'table.arabic', sortField: 'arabic', visible: true },
+		{ id: 'transliteration', labelKey: 'table.transliteration', sortField: 'transliteration', visible: true },
+		{ id: 'translation', labelKey: 'table.translation', sortField: 'translation', visible: true },
+		{ id: 'meaning', labelKey: 'table.meaning', sortField: 'meaning', visible: true },
+		{ id: 'category', labelKey: 'table.category', sortField: 'category', visible: true },
+		{ id: 'arabicDescription', labelKey: 'table.arabicDescription', sortField: 'arabicDescription', visible: true },
+		{ id: 'id', labelKey: 'table.id', sortField: 'id', visible: false },
+		{ id: 'occurrences', labelKey: 'table.occurrences', sortField: 'occurrences', visible: false }
+	];
+	// Narrowest width a column can be resized to, and the step of resizing with the arrow keys (in pixels)
+	const MIN_COLUMN_WIDTH = 48;
+	const COLUMN_RESIZE_STEP = 16;
+
+	// Fields the results can be sorted by, with the order a new sort on each starts in
+	// (most frequent terms first for occurrences)
+	const SORT_FIELDS = {
+		arabic: 'asc',
+		transliteration: 'asc',
+		translation: 'asc',
+		meaning: 'asc',
+		arabicDescription: 'asc',
+		category: 'asc',
+		id: 'asc',
+		occurrences: 'desc'
+	};
+	const DEFAULT_SORT_KEYS = [{ field: 'arabic', order: 'asc' }];
+	// Orders available for the Arabic fields (see QD.collation.createArabicCollator)
+	const ARABIC_COLLATIONS = ['alphabetical', 'root', 'abjad'];
+
+	// Broken-image check: parallel image loads and per-image timeout
+	const IMAGE_CHECK_CONCURRENCY = 6;
+	const IMAGE_CHECK_TIMEOUT = 10000; // 10 seconds
+
+	// UI text in each interface language (see createTranslator): plural messages list the forms the language
+	// uses, and Arabic has all six. Data-quality issue messages stay in English, the language of the
+	// source sheet's headers, since they are exported for the sheet's editors
+	const I18N_MESSAGES = {
+		en: {
+			'app.title': 'Quran Dictionary',
+			'app.subtitle': 'Search and explore Quranic terminology',
+			'offline.banner': 'No internet connection. Retrying in the background.',
+			'common.allCategories': 'All categories',
+			'common.entries': { one: '{count} entry', other: '{count} entries' },
+			'common.listSeparator': ', ',
+			'common.breadcrumbSeparator': '›',
+			'common.linkCopied': 'Link copied',
+			'common.copyPrompt': 'Copy this link:',
+			'header.quiz': 'Quiz',
+			'header.graph': 'Related terms graph',
+			'header.study': 'Study flashcards',
+			'header.dataQuality': 'Data quality report',
+			'header.viewMode': 'Switch view (grid, table, browse)',
+			'header.language': 'Switch to Arabic',
+			'header.languageShort': 'ع',
+			'header.darkMode': 'Toggle dark mode',
+			'loading.message': 'Loading dictionary data...',
+			'loading.failed': 'Failed to load dictionary data. Please check your connection.',
+			'loading.error': 'Error loading dictionary data. Please refresh the page.',
+			'update.notice': 'Dictionary updated: {summary}.',
+			'update.updated.first': { one: '{count} entry updated', other: '{count} entries updated' },
+			'update.added.first': { one: '{count} entry added', other: '{count} entries added' },
+			'update.removed.first': { one: '{count} entry removed', other: '{count} entries removed' },
+			'update.updated': '{count} updated',
+			'update.added': '{count} added',
+			'update.removed': '{count} removed',
+			'update.apply': 'Update now',
+			'update.dismiss': 'Later',
+			'search.placeholder': 'Search by Arabic term, transliteration, translation, or meaning...',
+			'search.label': 'Search the dictionary',
+			'search.root': 'Root',
+			'search.rootLabel': 'Search by Arabic root',
+			'search.rootTitle': 'Match every word sharing the same Arabic root (e.g. كتب finds كاتب and مكتوب)',
+			'search.syntax': 'Search syntax',
+			'search.syntaxField': 'search one field',
+			'search.syntaxPhrase': 'match words in order',
+			'search.syntaxExclude': 'exclude entries containing a word',
+			'search.syntaxOr': 'match either term',
+			'search.syntaxOrExclude': 'an excluded term is not part of an OR: this excludes prayer and requires charity',
+			'search.syntaxQuote': 'quote values with spaces',
+			'search.didYouMean': 'Did you mean {suggestion}?',
+			'sort.label': 'Sort by:',
+			'sort.arabic': 'Arabic',
+			'sort.arabicLabel': 'Sort by Arabic term',
+			'sort.translation': 'Translation',
+			'sort.translationLabel': 'Sort by Translation',
+			'sort.category': 'Category',
+			'sort.categoryLabel': 'Sort by Category',
+			'sort.occurrences': 'Occurrences',
+			'sort.occurrencesLabel': 'Sort by number of occurrences in the Quran',
+			'sort.collation': 'Arabic order:',
+			'sort.collation.alphabetical': 'Alphabetical (أ ب ت ث)',
+			'sort.collation.root': 'By root',
+			'sort.collation.abjad': 'Abjad (أ ب ج د)',
+			'export.title': 'Export',
+			'export.label': 'Export or print the results',
+			'export.csv': 'CSV (spreadsheet)',
+			'export.anki': 'Anki (TSV)',
+			'export.print': 'Print handout',
+			'print.terms': { one: '{count} term', other: '{count} terms' },
+			'print.search': 'Search: {query}',
+			'results.filteredCount': { one: 'Showing {shown} of {count} entry', other: 'Showing {shown} of {count} entries' },
+			'results.empty': 'No results found. Try adjusting your search or category filter.',
+			'results.imageAlt': 'Dictionary entry',
+			'results.label': 'Dictionary entries',
+			'browse.groupBy': 'Group by:',
+			'browse.groupBy.letter': 'First letter',
+			'browse.groupBy.category': 'Category',
+			'browse.jumpLabel': 'Jump to letter',
+			'browse.jumpTo': 'Jump to {letter}',
+			'browse.other': 'Other',
+			'browse.uncategorized': 'Uncategorized',
+			'table.image': 'Image',
+			'table.arabic': 'Arabic Term',
+			'table.transliteration': 'Transliteration',
+			'table.translation': 'Translation',
+			'table.meaning': 'Meaning',
+			'table.category': 'Category',
+			'table.arabicDescription': 'Arabic Description',
+			'table.actions': 'Favorite and play',
+			'table.id': 'ID',
+			'table.occurrences': 'Occurrences',
+			'table.sortHint': 'Click to sort, Shift+click to sort by more columns',
+			'table.resize': 'Resize the {column} column',
+			'columns.title': 'Columns',
+			'columns.label': 'Choose, order and reset the table columns',
+			'columns.moveUp': 'Move {column} up',
+			'columns.moveDown': 'Move {column} down',
+			'columns.reset': 'Reset columns',
+			'favorites.add': 'Add to favorites',
+			'favorites.remove': 'Remove from favorites',
+			'lists.title': 'Word lists',
+			'lists.label': 'Lists:',
+			'lists.favorites': 'Favorites',
+			'lists.new': '+ New list',
+			'lists.newLabel': 'Create a new word list',
+			'lists.newPrompt': 'Name of the new list (e.g. "Week 3 vocabulary"):',
+			'lists.created': 'Created "{name}". Add entries from their details.',
+			'lists.rename': 'Rename',
+			'lists.renameLabel': 'Rename the selected word list',
+			'lists.renamePrompt': 'New name of the list:',
+			'lists.delete': 'Delete',
+			'lists.deleteLabel': 'Delete the selected word list',
+			'lists.deleteConfirm': 'Delete the list "{name}"?',
+			'lists.deleted': 'Deleted "{name}".',
+			'lists.export': 'Export',
+			'lists.exportLabel': 'Export word lists as JSON',
+			'lists.import': 'Import',
+			'lists.importLabel': 'Import word lists from JSON',
+			'lists.importEmpty': 'The file contains no word lists',
+			'lists.importedName': 'Imported list',
+			'lists.quotedName': '"{name}"',
+			'lists.imported': 'Imported {names}.',
+			'lists.unmatched': { one: '{count} entry is not in this dictionary.', other: '{count} entries are not in this dictionary.' },
+			'lists.importFailed': 'Could not import the file: {error}',
+			'modal.close': 'Close modal',
+			'modal.breadcrumb': 'Previously viewed entries',
+			'modal.meaningEnglish': 'Meaning (English)',
+			'modal.meaningArabic': 'Meaning (Arabic)',
+			'modal.copyLink': 'Copy link',
+			'modal.copyLinkLabel': 'Copy link to this entry',
+			'modal.navLabel': 'Results',
+			'modal.previous': '‹ Previous',
+			'modal.next': 'Next ›',
+			'modal.position': '{index} of {count}',
+			'pronunciation.play': 'Play pronunciation',
+			'pronunciation.stop': 'Stop pronunciation',
+			'pronunciation.stopShort': 'Stop',
+			'verses.title': 'Occurrences in the Quran',
+			'verses.count': { one: '{count} verse', other: '{count} verses' },
+			'verses.loading': 'Loading verse…',
+			'verses.unavailable': 'Verse text not available',
+			'verses.source': 'Quran text:',
+			'related.title': 'Related terms',
+			'related.synonyms': 'Synonyms',
+			'related.antonyms': 'Antonyms',
+			'related.seeAlso': 'See also',
+			'related.sameRoot': 'Same root',
+			'graph.title': 'Related terms',
+			'graph.close': 'Close related terms graph',
+			'graph.category': 'Category',
+			'graph.empty': 'No related terms in this category yet.',
+			'graph.summary': '{terms}, {links}',
+			'graph.terms': { one: '{count} term', other: '{count} terms' },
+			'graph.links': { one: '{count} link', other: '{count} links' },
+			'graph.labelInCategory': 'Related terms in {category}',
+			'study.title': 'Study',
+			'study.close': 'Close study mode',
+			'study.summary': '{deck}: {due} due · {fresh} new · {cards}',
+			'study.cards': { one: '{count} card', other: '{count} cards' },
+			'study.promptTerm': 'Prompt: Arabic term',
+			'study.promptImage': 'Prompt: image',
+			'study.promptLabel': 'Switch between Arabic term and image prompts',
+			'study.promptAlt': 'Study prompt',
+			'study.showAnswer': 'Show answer',
+			'study.spaceKey': 'Space',
+			'study.grade.again': 'Again',
+			'study.grade.hard': 'Hard',
+			'study.grade.good': 'Good',
+			'study.grade.easy': 'Easy',
+			'study.emptyDeck': 'No entries in the selected categories.',
+			'study.done': 'All caught up!',
+			'study.nextReview': 'Next review in {interval}.',
+			'study.moreNew': { one: 'Study {count} new card', other: 'Study {count} new cards' },
+			'interval.minutes': '{count} min',
+			'interval.hours': '{count} h',
+			'interval.days': { one: '{count} day', other: '{count} days' },
+			'interval.months': '{count} mo',
+			'interval.years': '{count} yr',
+			'quiz.title': 'Quiz',
+			'quiz.close': 'Close quiz',
+			'quiz.types': 'Question types',
+			'quiz.type.arEn': 'Arabic → English',
+			'quiz.type.enAr': 'English → Arabic',
+			'quiz.type.image': 'Image → term',
+			'quiz.type.match': 'Category matching',
+			'quiz.count': 'Questions',
+			'quiz.start': 'Start quiz',
+			'quiz.allCategories': 'all categories',
+			'quiz.pool': 'Questions from {from} ({entries})',
+			'quiz.noTypes': 'Choose at least one question type.',
+			'quiz.notEnoughEntries': 'Not enough entries for these question types. Select more categories or other question types.',
+			'quiz.progress': 'Question {number} of {total} · Score {score}',
+			'quiz.askMeaning': 'What does this term mean?',
+			'quiz.askTerm': 'Which term means:',
+			'quiz.askImage': 'Which term does this image show?',
+			'quiz.askMatch': 'Match each term to its category.',
+			'quiz.imageAlt': 'Quiz image',
+			'quiz.chooseCategory': 'Choose a category…',
+			'quiz.check': 'Check',
+			'quiz.next': 'Next',
+			'quiz.seeResults': 'See results',
+			'quiz.score': 'Score {score} of {total} ({percent}%)',
+			'quiz.allCorrect': 'All answers correct!',
+			'quiz.review': 'Review',
+			'quiz.reviewMatch': '{term} belongs to {category}; you chose {given}',
+			'quiz.reviewChoice': '{answer}; you chose {given}',
+			'quiz.nothing': 'nothing',
+			'quiz.retake': 'Retake',
+			'quiz.copyLink': 'Copy quiz link',
+			'quiz.new': 'New quiz',
+			'report.title': 'Data Quality Report',
+			'report.close': 'Close report',
+			'report.toggleLabel': { one: 'Data quality report ({count} issue)', other: 'Data quality report ({count} issues)' },
+			'report.rowsChecked': { one: '{count} row checked, {valid} without issues.', other: '{count} rows checked, {valid} without issues.' },
+			'report.issueSummary': '{errors}, {warnings}.',
+			'report.errors': { one: '{count} error', other: '{count} errors' },
+			'report.warnings': { one: '{count} warning', other: '{count} warnings' },
+			'report.column.row': 'Row',
+			'report.column.id': 'ID',
+			'report.column.arabic': 'Arabic Term',
+			'report.column.field': 'Field',
+			'report.column.issue': 'Issue',
+			'report.column.value': 'Value',
+			'report.checkImages': 'Check images',
+			'report.checkingImages': 'Checking images ({checked}/{total})...',
+			'report.exportCsv': 'Export CSV',
+			'report.exportJson': 'Export JSON'
+		},
+		ar: {
+			'app.title': 'القاموس القرآني',
+			'app.subtitle': 'ابحث في المصطلحات القرآنية واستكشفها',
+			'offline.banner': 'لا يوجد اتصال بالإنترنت. سيتم إعادة المحاولة بالخلفية.',
+			'common.allCategories': 'جميع الفئات',
+			'common.entries': { zero: 'لا مصطلحات', one: 'مصطلح واحد', two: 'مصطلحان', few: '{count} مصطلحات', many: '{count} مصطلحًا', other: '{count} مصطلح' },
+			'common.listSeparator': '، ',
+			'common.breadcrumbSeparator': '‹',
+			'common.linkCopied': 'تم نسخ الرابط',
+			'common.copyPrompt': 'انسخ هذا الرابط:',
+			'header.quiz': 'اختبار',
+			'header.graph': 'مخطط المصطلحات المرتبطة',
+			'header.study': 'بطاقات المراجعة',
+			'header.dataQuality': 'تقرير جودة البيانات',
+			'header.viewMode': 'تبديل طريقة العرض (بطاقات، جدول، تصفّح)',
+			'header.language': 'التبديل إلى الإنجليزية',
+			'header.languageShort': 'EN',
+			'header.darkMode': 'تبديل الوضع الداكن',
+			'loading.message': 'جارٍ تحميل بيانات القاموس...',
+			'loading.failed': 'تعذّر تحميل بيانات القاموس. يرجى التحقق من الاتصال.',
+			'loading.error': 'حدث خطأ أثناء تحميل بيانات القاموس. يرجى تحديث الصفحة.',
+			'update.notice': 'تم تحديث القاموس: {summary}.',
+			'update.updated.first': { one: 'تحديث مصطلح واحد', two: 'تحديث مصطلحين', few: 'تحديث {count} مصطلحات', many: 'تحديث {count} مصطلحًا', other: 'تحديث {count} مصطلح' },
+			'update.added.first': { one: 'إضافة مصطلح واحد', two: 'إضافة مصطلحين', few: 'إضافة {count} مصطلحات', many: 'إضافة {count} مصطلحًا', other: 'إضافة {count} مصطلح' },
+			'update.removed.first': { one: 'حذف مصطلح واحد', two: 'حذف مصطلحين', few: 'حذف {count} مصطلحات', many: 'حذف {count} مصطلحًا', other: 'حذف {count} مصطلح' },
+			'update.updated': 'تحديث {count}',
+			'update.added': 'إضافة {count}',
+			'update.removed': 'حذف {count}',
+			'update.apply': 'حدّث الآن',
+			'update.dismiss': 'لاحقًا',
+			'search.placeholder': 'ابحث بالمصطلح العربي أو النقحرة أو الترجمة أو المعنى...',
+			'search.label': 'البحث في القاموس',
+			'search.root': '',
+			'search.rootLabel': 'البحث بالجذر العربي',
+			'search.rootTitle': 'مطابقة كل كلمة تشترك في الجذر نفسه (مثلًا: كتب تجد كاتب ومكتوب)',
+			'search.syntax': 'صيغة البحث',
+			'search.syntaxField': 'البحث في حقل واحد',
+			'search.syntaxPhrase': 'مطابقة الكلمات بترتيبها',
+			'search.syntaxExclude': 'استبعاد المصطلحات التي تحتوي على كلمة',
+			'search.syntaxOr': 'مطابقة أيٍّ من الكلمتين',
+			'search.syntaxOrExclude': 'الكلمة المستبعدة لا تدخل في OR: هذا يستبعد prayer ويشترط charity',
+			'search.syntaxQuote': 'ضع القيم التي فيها مسافات بين علامتي تنصيص',
+			'search.didYouMean': 'هل تقصد {suggestion}؟',
+			'sort.label': 'الترتيب حسب:',
+			'sort.arabic': 'العربية',
+			'sort.arabicLabel': 'الترتيب حسب المصطلح العربي',
+			'sort.translation': 'الترجمة',
+			'sort.translationLabel': 'الترتيب حسب الترجمة',
+			'sort.category': 'الفئة',
+			'sort.categoryLabel': 'الترتيب حسب الفئة',
+			'sort.occurrences': 'مرات الورود',
+			'sort.occurrencesLabel': 'الترتيب حسب عدد مرات الورود في القرآن',
+			'sort.collation': 'الترتيب العربي:',
+			'sort.collation.alphabetical': 'ألفبائي (أ ب ت ث)',
+			'sort.collation.root': 'حسب الجذر',
+			'sort.collation.abjad': 'أبجدي (أ ب ج د)',
+			'export.title': 'تصدير',
+			'export.label': 'تصدير النتائج أو طباعتها',
+			'export.csv': 'CSV (جدول بيانات)',
+			'export.anki': 'Anki (TSV)',
+			'export.print': 'طباعة ورقة مراجعة',
+			'print.terms': { zero: 'لا مصطلحات', one: 'مصطلح واحد', two: 'مصطلحان', few: '{count} مصطلحات', many: '{count} مصطلحًا', other: '{count} مصطلح' },
+			'print.search': 'البحث: {query}',
+			'results.filteredCount': {
+				zero: 'عرض {shown} من {count} مصطلح',
+				one: 'عرض {shown} من مصطلح واحد',
+				two: 'عرض {shown} من مصطلحين',
+				few: 'عرض {shown} من {count} مصطلحات',
+				many: 'عرض {shown} من {count} مصطلحًا',
+				other: 'عرض {shown} من {count} مصطلح'
+			},
+			'results.empty': 'لا توجد نتائج. جرّب تعديل البحث أو الفئات المحددة.',
+			'results.imageAlt': 'صورة المصطلح',
+			'results.label': 'مصطلحات القاموس',
+			'browse.groupBy': 'التجميع حسب:',
+			'browse.groupBy.letter': 'الحرف الأول',
+			'browse.groupBy.category': 'الفئة',
+			'browse.jumpLabel': 'الانتقال إلى حرف',
+			'browse.jumpTo': 'الانتقال إلى {letter}',
+			'browse.other': 'أخرى',
+			'browse.uncategorized': 'بلا فئة',
+			'table.image': 'الصورة',
+			'table.arabic': 'المصطلح بالعربية',
+			'table.transliteration': 'النقحرة',
+			'table.translation': 'الترجمة',
+			'table.meaning': 'المعنى',
+			'table.category': 'الفئة',
+			'table.arabicDescription': 'الوصف بالعربية',
+			'table.actions': 'المفضلة والاستماع',
+			'table.id': 'المعرّف',
+			'table.occurrences': 'مرات الورود',
+			'table.sortHint': 'انقر للترتيب، واضغط Shift مع النقر للترتيب بأعمدة إضافية',
+			'table.resize': 'تغيير عرض عمود {column}',
+			'columns.title': 'الأعمدة',
+			'columns.label': 'اختيار أعمدة الجدول وترتيبها وإعادة ضبطها',
+			'columns.moveUp': 'نقل {column} إلى الأعلى',
+			'columns.moveDown': 'نقل {column} إلى الأسفل',
+			'columns.reset': 'إعادة ضبط الأعمدة',
+			'favorites.add': 'إضافة إلى المفضلة',
+			'favorites.remove': 'إزالة من المفضلة',
+			'lists.title': 'قوائم الكلمات',
+			'lists.label': 'القوائم:',
+			'lists.favorites': 'المفضلة',
+			'lists.new': '+ قائمة جديدة',
+			'lists.newLabel': 'إنشاء قائمة كلمات جديدة',
+			'lists.newPrompt': 'اسم القائمة الجديدة (مثل «مفردات الأسبوع الثالث»):',
+			'lists.created': 'تم إنشاء «{name}». أضف إليها المصطلحات من صفحة تفاصيلها.',
+			'lists.rename': 'إعادة تسمية',
+			'lists.renameLabel': 'إعادة تسمية قائمة الكلمات المحددة',
+			'lists.renamePrompt': 'الاسم الجديد للقائمة:',
+			'lists.delete': 'حذف',
+			'lists.deleteLabel': 'حذف قائمة الكلمات المحددة',
+			'lists.deleteConfirm': 'هل تريد حذف القائمة «{name}»؟',
+			'lists.deleted': 'تم حذف «{name}».',
+			'lists.export': 'تصدير',
+			'lists.exportLabel': 'تصدير قوائم الكلمات بصيغة JSON',
+			'lists.import': 'استيراد',
+			'lists.importLabel': 'استيراد قوائم الكلمات من ملف JSON',
+			'lists.importEmpty': 'لا يحتوي الملف على قوائم كلمات',
+			'lists.importedName': 'قائمة مستوردة',
+			'lists.quotedName': '«{name}»',
+			'lists.imported': 'تم استيراد {names}.',
+			'lists.unmatched': {
+				zero: 'لا توجد مصطلحات خارج هذا القاموس.',
+				one: 'مصطلح واحد غير موجود في هذا القاموس.',
+				two: 'مصطلحان غير موجودين في هذا القاموس.',
+				few: '{count} مصطلحات غير موجودة في هذا القاموس.',
+				many: '{count} مصطلحًا غير موجود في هذا القاموس.',
+				other: '{count} مصطلح غير موجود في هذا القاموس.'
+			},
+			'lists.importFailed': 'تعذّر استيراد الملف: {error}',
+			'modal.close': 'إغلاق النافذة',
+			'modal.breadcrumb': 'المصطلحات المعروضة سابقًا',
+			'modal.meaningEnglish': 'المعنى (بالإنجليزية)',
+			'modal.meaningArabic': 'المعنى (بالعربية)',
+			'modal.copyLink': 'نسخ الرابط',
+			'modal.copyLinkLabel': 'نسخ رابط هذا المصطلح',
+			'modal.navLabel': 'النتائج',
+			'modal.previous': '‹ السابق',
+			'modal.next': 'التالي ›',
+			'modal.position': '{index} من {count}',
+			'pronunciation.play': 'تشغيل النطق',
+			'pronunciation.stop': 'إيقاف النطق',
+			'pronunciation.stopShort': 'إيقاف',
+			'verses.title': 'المواضع في القرآن',
+			'verses.count': { zero: 'لا آيات', one: 'آية واحدة', two: 'آيتان', few: '{count} آيات', many: '{count} آية', other: '{count} آية' },
+			'verses.loading': 'جارٍ تحميل الآية…',
+			'verses.unavailable': 'نص الآية غير متوفر',
+			'verses.source': 'نص القرآن:',
+			'related.title': 'المصطلحات المرتبطة',
+			'related.synonyms': 'المترادفات',
+			'related.antonyms': 'الأضداد',
+			'related.seeAlso': 'انظر أيضًا',
+			'related.sameRoot': 'من الجذر نفسه',
+			'graph.title': 'المصطلحات المرتبطة',
+			'graph.close': 'إغلاق مخطط المصطلحات المرتبطة',
+			'graph.category': 'الفئة',
+			'graph.empty': 'لا توجد مصطلحات مرتبطة في هذه الفئة بعد.',
+			'graph.summary': '{terms}، {links}',
+			'graph.terms': { zero: 'لا مصطلحات', one: 'مصطلح واحد', two: 'مصطلحان', few: '{count} مصطلحات', many: '{count} مصطلحًا', other: '{count} مصطلح' },
+			'graph.links': { zero: 'لا روابط', one: 'رابط واحد', two: 'رابطان', few: '{count} روابط', many: '{count} رابطًا', other: '{count} رابط' },
+			'graph.labelInCategory': 'المصطلحات المرتبطة في {category}',
+			'study.title': 'المراجعة',
+			'study.close': 'إغلاق وضع المراجعة',
+			'study.summary': '{deck}: {due} مستحقة · {fresh} جديدة · {cards}',
+			'study.cards': { zero: 'لا بطاقات', one: 'بطاقة واحدة', two: 'بطاقتان', few: '{count} بطاقات', many: '{count} بطاقة', other: '{count} بطاقة' },
+			'study.promptTerm': 'السؤال: المصطلح العربي',
+			'study.promptImage': 'السؤال: الصورة',
+			'study.promptLabel': 'التبديل بين السؤال بالمصطلح العربي والسؤال بالصورة',
+			'study.promptAlt': 'صورة البطاقة',
+			'study.showAnswer': 'إظهار الإجابة',
+			'study.spaceKey': 'مسافة',
+			'study.grade.again': 'مرة أخرى',
+			'study.grade.hard': 'صعب',
+			'study.grade.good': 'جيد',
+			'study.grade.easy': 'سهل',
+			'study.emptyDeck': 'لا توجد مصطلحات في الفئات المحددة.',
+			'study.done': 'أنهيت جميع المراجعات!',
+			'study.nextReview': 'المراجعة التالية بعد {interval}.',
+			'study.moreNew': {
+				one: 'مراجعة بطاقة جديدة واحدة',
+				two: 'مراجعة بطاقتين جديدتين',
+				few: 'مراجعة {count} بطاقات جديدة',
+				many: 'مراجعة {count} بطاقة جديدة',
+				other: 'مراجعة {count} بطاقة جديدة'
+			},
+			'interval.minutes': { one: 'دقيقة', two: 'دقيقتين', few: '{count} دقائق', many: '{count} دقيقة', other: '{count} دقيقة' },
+			'interval.hours': { one: 'ساعة', two: 'ساعتين', few: '{count} ساعات', many: '{count} ساعة', other: '{count} ساعة' },
+			'interval.days': { one: 'يوم', two: 'يومين', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+			'interval.months': { one: 'شهر', two: 'شهرين', few: '{count} أشهر', many: '{count} شهرًا', other: '{count} شهر' },
+			'interval.years': { one: 'سنة', two: 'سنتين', few: '{count} سنوات', many: '{count} سنة', other: '{count} سنة' },
+			'quiz.title': 'اختبار',
+			'quiz.close': 'إغلاق الاختبار',
+			'quiz.types': 'أنواع الأسئلة',
+			'quiz.type.arEn': 'عربي ← إنجليزي',
+			'quiz.type.enAr': 'إنجليزي ← عربي',
+			'quiz.type.image': 'صورة ← مصطلح',
+			'quiz.type.match': 'مطابقة الفئات',
+			'quiz.count': 'عدد الأسئلة',
+			'quiz.start': 'ابدأ الاختبار',
+			'quiz.allCategories': 'جميع الفئات',
+			'quiz.pool': 'أسئلة من {from} ({entries})',
+			'quiz.noTypes': 'اختر نوعًا واحدًا من الأسئلة على الأقل.',
+			'quiz.notEnoughEntries': 'لا توجد مصطلحات كافية لأنواع الأسئلة هذه. اختر فئات أكثر أو أنواعًا أخرى من الأسئلة.',
+			'quiz.progress': 'السؤال {number} من {total} · النتيجة {score}',
+			'quiz.askMeaning': 'ما معنى هذا المصطلح؟',
+			'quiz.askTerm': 'أي مصطلح يعني:',
+			'quiz.askImage': 'أي مصطلح تعبّر عنه هذه الصورة؟',
+			'quiz.askMatch': 'صِل كل مصطلح بفئته.',
+			'quiz.imageAlt': 'صورة السؤال',
+			'quiz.chooseCategory': 'اختر فئة…',
+			'quiz.check': 'تحقّق',
+			'quiz.next': 'التالي',
+			'quiz.seeResults': 'عرض النتيجة',
+			'quiz.score': 'النتيجة {score} من {total} ({percent}٪)',
+			'quiz.allCorrect': 'جميع الإجابات صحيحة!',
+			'quiz.review': 'المراجعة',
+			'quiz.reviewMatch': '{term} من فئة {category}؛ اخترت {given}',
+			'quiz.reviewChoice': '{answer}؛ اخترت {given}',
+			'quiz.nothing': 'لا شيء',
+			'quiz.retake': 'إعادة الاختبار',
+			'quiz.copyLink': 'نسخ رابط الاختبار',
+			'quiz.new': 'اختبار جديد',
+			'report.title': 'تقرير جودة البيانات',
+			'report.close': 'إغلاق التقرير',
+			'report.toggleLabel': 'تقرير جودة البيانات (المشكلات: {count})',
+			'report.rowsChecked': 'الصفوف المفحوصة: {count}، السليمة منها: {valid}.',
+			'report.issueSummary': '{errors}، {warnings}.',
+			'report.errors': { zero: 'لا أخطاء', one: 'خطأ واحد', two: 'خطآن', few: '{count} أخطاء', many: '{count} خطأً', other: '{count} خطأ' },
+			'report.warnings': { zero: 'لا تحذيرات', one: 'تحذير واحد', two: 'تحذيران', few: '{count} تحذيرات', many: '{count} تحذيرًا', other: '{count} تحذير' },
+			'report.column.row': 'الصف',
+			'report.column.id': 'المعرّف',
+			'report.column.arabic': 'المصطلح بالعربية',
+			'report.column.field': 'الحقل',
+			'report.column.issue': 'المشكلة',
+			'report.column.value': 'القيمة',
+			'report.checkImages': 'فحص الصور',
+			'report.checkingImages': 'جارٍ فحص الصور ({checked}/{total})...',
+			'report.exportCsv': 'تصدير CSV',
+			'report.exportJson': 'تصدير JSON'
+		}
+	};
+
+	// Element attributes translated from data-i18n-<attribute> message keys (text content uses data-i18n)
+	const LOCALIZED_ATTRIBUTES = ['aria-label', 'title', 'placeholder'];
+
+	// Elements Tab moves between inside an open dialog (disabled and hidden ones are skipped)
+	const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+
+	let dictionaryData = [];
+	let filteredData = [];
+	let selectedCategories = new Set();
+	let searchQuery = '';
+	let viewMode = 'grid';
+	let sortKeys = DEFAULT_SORT_KEYS.map(key => ({ ...key }));
+	let tableColumns = [];
+	let arabicCollation = 'alphabetical';
+	let arabicCollator = null;
+	let browseGroupBy = 'letter';
+	let collapsedGroups = new Set();
+	let searchMode = 'text';
+	let parsedQuery = { clauses: [] };
+	let searchIndex = null;
+	let searchScores = new Map();
+	let dataQualityReport = null;
+	let reportCacheKey = '';
+	let dataSource = null;
+	let dataCacheKey = '';
+	let lastRefreshAt = 0;
+	let isRefreshing = false;
+	let pendingUpdate = null;
+	let openEntry = null;
+	let wordLists = [];
+	let selectedLists = new Set();
+	let studyProgress = {};
+	let studyQueue = [];
+	let studyRevealed = false;
+	let studyPrompt = 'term';
+	let quizSettings = null;
+	let quizKey = '';
+	let quizQuestions = [];
+	let quizIndex = 0;
+	let quizAnswers = [];
+	let pronunciationAudio = null;
+	let activePlayButton = null;
+	let quranTextPromise = null;
+	let relatedEntries = new Map();
+	let modalTrail = [];
+	let gridCardNodes = new Map();
+	let tableRowNodes = new Map();
+	let browseEntryNodes = new Map();
+	let resultsTableBody = null;
+	let measuredRowHeights = {};
+	let renderedWindowKey = '';
+	let resultsWindowFrame = 0;
+	let imageObserver = null;
+	let activeResult = null;
+	let openDialogs = [];
+
+	const cache = window.QD?.cache?.createIDBCache('quran-dict');
+	const translator = window.QD.i18n.createTranslator(I18N_MESSAGES, { fallbackLocale: 'en' });
+	const textCollator = window.QD.collation.createTextCollator('en');
+	const searchInput = document.getElementById('searchInput');
+	const rootSearchToggle = document.getElementById('rootSearchToggle');
+	const categoryFilters = document.getElementById('categoryFilters');
+	const resultsContainer = document.getElementById('resultsContainer');
+	const loadingState = document.getElementById('loadingState');
+	const emptyState = document.getElementById('emptyState');
+	const emptyStateSuggestion = document.getElementById('emptyStateSuggestion');
+	const resultsCount = document.getElementById('resultsCount');
+	const darkModeToggle = document.getElementById('darkModeToggle');
+	const languageToggle = document.getElementById('languageToggle');
+	const viewToggle = document.getElementById('viewToggle');
+	const resultsTableContainer = document.getElementById('resultsTableContainer');
+	const resultsBrowseContainer = document.getElementById('resultsBrowseContainer');
+	const browseToolbar = document.getElementById('browseToolbar');
+	const browseGroupBySelect = document.getElementById('browseGroupBy');
+	const browseJumpBar = document.getElementById('browseJumpBar');
+	const browseGroups = document.getElementById('browseGroups');
+	const sunIcon = document.getElementById('sunIcon');
+	const moonIcon = document.getElementById('moonIcon');
+	const modal = document.getElementById('modal');
+	const modalBackdrop = document.getElementById('modalBackdrop');
+	const modalClose = document.getElementById('modalClose');
+	const modalCopyLink = document.getElementById('modalCopyLink');
+	const modalFavorite = document.getElementById('modalFavorite');
+	const modalPlay = document.getElementById('modalPlay');
+	const modalLists = document.getElementById('modalLists');
+	const modalBreadcrumb = document.getElementById('modalBreadcrumb');
+	const modalRelated = document.getElementById('modalRelated');
+	const modalVerses = document.getElementById('modalVerses');
+	const modalOccurrences = document.getElementById('modalOccurrences');
+	const modalVerseList = document.getElementById('modalVerseList');
+	const modalNav = document.getElementById('modalNav');
+	const modalPrevious = document.getElementById('modalPrevious');
+	const modalNext = document.getElementById('modalNext');
+	const modalPosition = document.getElementById('modalPosition');
+	const listFilters = document.getElementById('listFilters');
+	const listStatus = document.getElementById('listStatus');
+	const newListButton = document.getElementById('newListButton');
+	const renameListButton = document.getElementById('renameListButton');
+	const deleteListButton = document.getElementById('deleteListButton');
+	const exportListsButton = document.getElementById('exportListsButton');
+	const importListsInput = document.getElementById('importListsInput');
+	const studyToggle = document.getElementById('studyToggle');
+	const studyModal = document.getElementById('studyModal');
+	const studyModalBackdrop = document.getElementById('studyModalBackdrop');
+	const studyModalClose = document.getElementById('studyModalClose');
+	const studySummary = document.getElementById('studySummary');
+	const studyPromptToggle = document.getElementById('studyPromptToggle');
+	const studyCard = document.getElementById('studyCard');
+	const studyActions = document.getElementById('studyActions');
+	const quizToggle = document.getElementById('quizToggle');
+	const quizModal = document.getElementById('quizModal');
+	const quizModalBackdrop = document.getElementById('quizModalBackdrop');
+	const quizModalClose = document.getElementById('quizModalClose');
+	const quizSummary = document.getElementById('quizSummary');
+	const quizSetup = document.getElementById('quizSetup');
+	const quizCountSelect = document.getElementById('quizCount');
+	const quizStartButton = document.getElementById('quizStart');
+	const quizSetupMessage = document.getElementById('quizSetupMessage');
+	const quizBody = document.getElementById('quizBody');
+	const graphToggle = document.getElementById('graphToggle');
+	const graphModal = document.getElementById('graphModal');
+	const graphModalBackdrop = document.getElementById('graphModalBackdrop');
+	const graphModalClose = document.getElementById('graphModalClose');
+	const graphCategorySelect = document.getElementById('graphCategory');
+	const graphLegend = document.getElementById('graphLegend');
+	const graphCanvas = document.getElementById('graphCanvas');
+	const graphMessage = document.getElementById('graphMessage');
+	const exportMenu = document.getElementById('exportMenu');
+	const columnMenu = document.getElementById('columnMenu');
+	const columnMenuList = document.getElementById('columnMenuList');
+	const arabicCollationSelect = document.getElementById('arabicCollation');
+	const printHandout = document.getElementById('printHandout');
+	const dataQualityToggle = document.getElementById('dataQualityToggle');
+	const dataQualityCount = document.getElementById('dataQualityCount');
+	const reportModal = document.getElementById('reportModal');
+	const reportModalBackdrop = document.getElementById('reportModalBackdrop');
+	const reportModalClose = document.getElementById('reportModalClose');
+	const reportSummary = document.getElementById('reportSummary');
+	const reportTableContainer = document.getElementById('reportTableContainer');
+	const checkImagesButton = document.getElementById('checkImagesButton');
+	const exportReportCsvButton = document.getElementById('exportReportCsv');
+	const exportReportJsonButton = document.getElementById('exportReportJson');
+	const updateNotice = document.getElementById('updateNotice');
+	const updateNoticeText = document.getElementById('updateNoticeText');
+	const applyUpdateButton = document.getElementById('applyUpdate');
+	const dismissUpdateButton = document.getElementById('dismissUpdate');
+
+	// ============================================================================
+	// DATA LOADING
+	// ============================================================================
+
+	/**
+	 * Store a value in the dictionary cache for CACHE_TTL
+	 * Runs in the background; a failed write (e.g. storage quota exceeded) is logged, not thrown
+	 * @param {string} key - Cache key
+	 * @param {*} value - Value to cache
+	 */
+	function cacheValue(key, value) {
+		cache?.set(key, value, CACHE_TTL).catch(error => {
+			console.warn(`Failed to cache ${key}:`, error);
+		});
+	}
+
+	/**
+	 * Load entries from the data source, parse their verse references, validate them, and drop rows without a term
+	 * @param {Object} options - Load options passed to the source (e.g. { fresh: true })
+	 * @returns {Promise<{entries: Object[], report: Object}>} Displayable entries and their data-quality report
+	 */
+	async function fetchEntries(options) {
+		const entries = await dataSource.load(options);
+		// Remember each entry's source row so report rows stay stable after filtering,
+		// and parse its verse references (invalid ones are reported by validateEntries)
+		entries.forEach((entry, index) => {
+			entry.sourceRow = index + 1;
+			entry.verses = window.QD.quran.parseReferences(entry.references).references;
+		});
+		const report = validateEntries(entries, dataSource.errors);
+		return { entries: entries.filter(item => item.arabic || item.translation), report };
+	}
+
+	/**
+	 * Load dictionary data from cache or from the configured data source
+	 * Cached data is rendered immediately and then refreshed in the background (see refreshData);
+	 * without a cache, loads from the source (see SOURCE_CONFIG) with offline retry support
+	 * The source adapter parses the data and maps it into dictionary entry objects,
+	 * which are validated (see validateEntries) before rows without a term are dropped
+	 * The page is translated first, so the loading message is shown in the reader's language
+	 * @returns {Promise<void>}
+	 */
+	async function loadData() {
+		initializeLanguage();
+		try {
+			dataSource = window.QD.sources.createSource(SOURCE_CONFIG);
+			dataCacheKey = `${CACHE_KEY}:${dataSource.id}`;
+			reportCacheKey = `${dataCacheKey}:report`;
+			await Promise.all([loadWordLists(), loadStudyProgress()]);
+
+			// Render from cache first, then check the source for edits
+			const cached = await cache?.get(dataCacheKey);
+			if (cached) {
+				dictionaryData = cached;
+				dataQualityReport = await cache?.get(reportCacheKey) || validateEntries(dictionaryData);
+				initializeApp();
+				refreshData();
+				return;
+			}
+
+			// Load from the data source with offline retry
+			const loader = async () => {
+				const { entries, report } = await fetchEntries();
+				dictionaryData = entries;
+				dataQualityReport = report;
+				lastRefreshAt = Date.now();
+
+				// Cache the data and its quality report
+				cacheValue(dataCacheKey, dictionaryData);
+				cacheValue(reportCacheKey, dataQualityReport);
+
+				return dictionaryData;
+			};
+
+			dictionaryData = await window.QD.offline.runWithOfflineRetry(loader, {
+				retries: 5,
+				backoffMs: 2000,
+				onSuccess: () => {
+					loadingState.classList.add('hidden');
+				},
+				onError: (err) => {
+					setLocalizedText(loadingState, 'loading.failed');
+					console.error('Failed to load data:', err);
+				}
+			});
+
+			initializeApp();
+		} catch (error) {
+			setLocalizedText(loadingState, 'loading.error');
+			console.error('Error loading data:', error);
+		}
+	}
+
+	/**
+	 * Key identifying an entry across data refreshes: its ID, or its term and translation when it has none
+	 * @param {Object} entry - Dictionary entry
+	 * @returns {string} Entry key
+	 */
+	function getEntryKey(entry) {
+		return entry.id ? `id:${entry.id}` : `term:${entry.arabic}\u0000${entry.translation}`;
+	}
+
+	/**
+	 * Compare two versions of the dictionary by entry key (see getEntryKey)
+	 * Only mapped fields are compared, so rows that merely moved in the sheet are not reported
+	 * @param {Object[]} oldEntries - Entries currently shown
+	 * @param {Object[]} newEntries - Freshly loaded entries
+	 * @returns {{added: Object[], updated: Object[], removed: Object[]}} Changed entries (new versions for added/updated)
+	 */
+	function diffEntries(oldEntries, newEntries) {
+		const fields = Object.keys(SOURCE_CONFIG.mapping);
+		const oldByKey = new Map(oldEntries.map(entry => [getEntryKey(entry), entry]));
+		const newKeys = new Set();
+		const changes = { added: [], updated: [], removed: [] };
+
+		newEntries.forEach(entry => {
+			const key = getEntryKey(entry);
+			const previous = oldByKey.get(key);
+			newKeys.add(key);
+			if (!previous) {
+				changes.added.push(entry);
+			} else if (fields.some(field => (previous[field] || '') !== (entry[field] || ''))) {
+				changes.updated.push(entry);
+			}
+		});
+		oldByKey.forEach((entry, key) => {
+			if (!newKeys.has(key)) changes.removed.push(entry);
+		});
+		return changes;
+	}
+
+	/**
+	 * Refresh the data source in the background
+	 * The fresh data is cached for the next visit right away; if entries changed, a notice offers to
+	 * apply the update (see applyPendingUpdate). Failures are logged and retried on the next refresh
+	 * @returns {Promise<void>}
+	 */
+	async function refreshData() {
+		if (isRefreshing || !dataSource) return;
+		isRefreshing = true;
+
+		try {
+			const { entries, report } = await fetchEntries({ fresh: true });
+			lastRefreshAt = Date.now();
+			cacheValue(dataCacheKey, entries);
+			cacheValue(reportCacheKey, report);
+
+			const changes = diffEntries(dictionaryData, entries);
+			if (changes.added.length + changes.updated.length + changes.removed.length === 0) {
+				pendingUpdate = null;
+				hideUpdateNotice();
+				return;
+			}
+			pendingUpdate = { entries, report, changes };
+			showUpdateNotice(changes);
+		} catch (error) {
+			console.warn('Background data refresh failed:', error);
+		} finally {
+			isRefreshing = false;
+		}
+	}
+
+	/**
+	 * Refresh the data if the last refresh is older than DATA_REFRESH_INTERVAL
+	 * Called when the page becomes visible again or the connection comes back
+	 */
+	function refreshDataIfStale() {
+		if (Date.now() - lastRefreshAt >= DATA_REFRESH_INTERVAL) {
+			refreshData();
+		}
+	}
+
+	/**
+	 * Summarize data changes, e.g. "3 entries updated / 1 added"
+	 * Only the first part names the entries (the update.*.first messages)
+	 * @param {{added: Object[], updated: Object[], removed: Object[]}} changes - Result of diffEntries
+	 * @returns {string} Summary text
+	 */
+	function formatChangeSummary(changes) {
+		const parts = [
+			[changes.updated.length, 'updated'],
+			[changes.added.length, 'added'],
+			[changes.removed.length, 'removed']
+		].filter(([count]) => count > 0);
+
+		return parts.map(([count, label], index) => t(`update.${label}${index === 0 ? '.first' : ''}`, { count })).join(' / ');
+	}
+
+	/**
+	 * Show the data update notice
+	 * @param {{added: Object[], updated: Object[], removed: Object[]}} changes - Result of diffEntries
+	 */
+	function showUpdateNotice(changes) {
+		if (!updateNotice) return;
+		if (updateNoticeText) {
+			updateNoticeText.textContent = t('update.notice', { summary: formatChangeSummary(changes) });
+		}
+		updateNotice.classList.remove('hidden');
+	}
+
+	/**
+	 * Hide the data update notice
+	 * The pending update stays cached, so it is shown on the next visit
+	 */
+	function hideUpdateNotice() {
+		if (!updateNotice) return;
+		updateNotice.classList.add('hidden');
+	}
+
+	/**
+	 * Replace the displayed data with the pending update without reloading the page
+	 * Keeps the current search, category filters, sort order and view mode. The open entry, its breadcrumb
+	 * and the active result are looked up again in the new data (by getEntryKey) and the open modal and graph
+	 * are redrawn from it; an open entry that was removed from the data stays shown as it was
+	 */
+	function applyPendingUpdate() {
+		if (!pendingUpdate) return;
+		dictionaryData = pendingUpdate.entries;
+		dataQualityReport = pendingUpdate.report;
+		pendingUpdate = null;
+		hideUpdateNotice();
+
+		const entriesByKey = new Map(dictionaryData.map(entry => [getEntryKey(entry), entry]));
+		const resolveEntry = entry => entry && entriesByKey.get(getEntryKey(entry));
+		activeResult = resolveEntry(activeResult) || null;
+
+		buildSearchIndex();
+		buildRelations();
+		renderCategoryFilters();
+		renderListFilters();
+		applyFilters();
+		updateDataQualityBadge();
+		if (reportModal && !reportModal.classList.contains('hidden')) {
+			renderReport();
+		}
+		if (openEntry && modal && !modal.classList.contains('hidden')) {
+			openEntry = resolveEntry(openEntry) || openEntry;
+			modalTrail = modalTrail.map(resolveEntry).filter(Boolean);
+			showModal(openEntry);
+		}
+		if (graphModal && !graphModal.classList.contains('hidden')) {
+			renderGraphCategoryOptions();
+			renderGraph();
+		}
+	}
+
+	// ============================================================================
+	// DATA QUALITY
+	// ============================================================================
+
+	/**
+	 * Check whether a value is a usable CSS color
+	 * Uses CSS.supports when available, otherwise checks whether a style declaration accepts the value
+	 * @param {string} value - Color value from the data source
+	 * @returns {boolean} True if the browser can apply the color
+	 */
+	function isValidColor(value) {
+		if (window.CSS?.supports) {
+			return CSS.supports('color', value);
+		}
+		const style = document.createElement('span').style;
+		style.color = value;
+		return style.color !== '';
+	}
+
+	/**
+	 * Check whether a value is a well-formed image URL
+	 * Relative paths are resolved against the page; only http(s) and data:image URLs are accepted,
+	 * and URLs containing whitespace are rejected (usually two URLs or text pasted into the cell)
+	 * @param {string} value - Image URL from the data source
+	 * @returns {boolean} True if the URL is well-formed
+	 */
+	function isValidImageUrl(value) {
+		if (/\s/.test(value)) return false;
+		try {
+			const url = new URL(value, document.baseURI);
+			return url.protocol === 'http:' || url.protocol === 'https:' ||
+				(url.protocol === 'data:' && /^data:image\//i.test(value));
+		} catch (_) {
+			return false;
+		}
+	}
+
+	/**
+	 * Create a data-quality issue record
+	 * @param {string} severity - 'error' (entry is hidden or broken) or 'warning' (entry needs editing)
+	 * @param {string} type - Issue type (e.g. 'duplicate-id', 'invalid-color')
+	 * @param {number} row - 1-based data row in the source (the header row is not counted)
+	 * @param {Object} entry - Entry the issue belongs to (optional)
+	 * @param {string} field - Entry field the issue is about (optional)
+	 * @param {string} message - Human-readable description
+	 * @returns {Object} Issue { severity, type, row, id, arabic, field, value, message }
+	 */
+	function createIssue(severity, type, row, entry, field, message) {
+		return {
+			severity,
+			type,
+			row,
+			id: entry?.id || '',
+			arabic: entry?.arabic || '',
+			field: field || '',
+			value: entry && field ? (entry[field] ?? '') : '',
+			message
+		};
+	}
+
+	/**
+	 * Validate loaded entries and build a data-quality report
+	 * Checks for rows without a term (which are not shown), duplicate and missing IDs, invalid colors,
+	 * malformed image URLs, invalid verse references, related IDs matching no entry, missing transliterations,
+	 * categories spelled more than one way, and Arabic text in English fields; parse errors from the data source
+	 * are included as well
+	 * Images that fail to load are only found by checkImages, which has to request every image
+	 * @param {Object[]} entries - Mapped entries in source order, before filtering
+	 *   (an entry's sourceRow, when set, is used as its row number)
+	 * @param {Object[]} parseErrors - Parse errors { type, message, row, line } from the data source
+	 * @returns {{generatedAt: string, total: number, valid: number, issues: Object[]}} Report with the issues sorted by row
+	 */
+	function validateEntries(entries, parseErrors = []) {
+		const issues = [];
+		const rowsById = new Map();
+		const categorySpellings = new Map();
+
+		const entryIds = new Set(entries.map(entry => entry.id).filter(Boolean));
+
+		parseErrors.forEach(error => {
+			issues.push(createIssue('error', 'parse-error', error.row, null, '', `${error.message} (line ${error.line})`));
+		});
+
+		entries.forEach((entry, index) => {
+			const row = entry.sourceRow ?? index + 1;
+
+			if (!entry.arabic && !entry.translation) {
+				issues.push(createIssue('error', 'missing-term', row, entry, '', 'Row has neither an Arabic term nor a translation and is not shown'));
+				return;
+			}
+
+			if (!entry.id) {
+				issues.push(createIssue('warning', 'missing-id', row, entry, 'id', 'Entry has no ID'));
+			} else if (rowsById.has(entry.id)) {
+				issues.push(createIssue('error', 'duplicate-id', row, entry, 'id', `ID is already used by row ${rowsById.get(entry.id)}`));
+			} else {
+				rowsById.set(entry.id, row);
+			}
+
+			if (entry.color && !isValidColor(entry.color)) {
+				issues.push(createIssue('error', 'invalid-color', row, entry, 'color', 'Color is not a valid CSS color'));
+			}
+
+			if (entry.imageUrl && !isValidImageUrl(entry.imageUrl)) {
+				issues.push(createIssue('error', 'invalid-image-url', row, entry, 'imageUrl', 'Image URL is malformed'));
+			}
+
+			const invalidReferences = window.QD.quran.parseReferences(entry.references).invalid;
+			if (invalidReferences.length > 0) {
+				issues.push(createIssue('warning', 'invalid-reference', row, entry, 'references',
+					`Not a valid surah:ayah reference: ${invalidReferences.join(', ')}`));
+			}
+
+			RELATION_TYPES.forEach(({ field }) => {
+				const unknownIds = parseIdList(entry[field]).filter(id => !entryIds.has(id));
+				if (unknownIds.length > 0) {
+					issues.push(createIssue('warning', 'unknown-related-id', row, entry, field,
+						`No entry has ID ${unknownIds.join(', ')}`));
+				}
+			});
+
+			if (!entry.transliteration) {
+				issues.push(createIssue('warning', 'missing-transliteration', row, entry, 'transliteration', 'Entry has no transliteration'));
+			}
+
+			LATIN_TEXT_FIELDS.forEach(field => {
+				if (entry[field] && ARABIC_SCRIPT_PATTERN.test(entry[field])) {
+					issues.push(createIssue('warning', 'arabic-in-english-field', row, entry, field, 'English field contains Arabic text'));
+				}
+			});
+
+			// Group category spellings that only differ in case, spacing, punctuation or diacritics
+			if (entry.category) {
+				const key = normalizeSearchText(entry.category).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+				if (!categorySpellings.has(key)) categorySpellings.set(key, new Map());
+				const spellings = categorySpellings.get(key);
+				if (!spellings.has(entry.category)) spellings.set(entry.category, []);
+				spellings.get(entry.category).push({ entry, row });
+			}
+		});
+
+		// Flag every spelling of a category except the most common one
+		categorySpellings.forEach(spellings => {
+			if (spellings.size < 2) return;
+			const [preferred, ...variants] = [...spellings.entries()].sort((a, b) => b[1].length - a[1].length);
+			variants.forEach(([, uses]) => {
+				uses.forEach(({ entry, row }) => {
+					issues.push(createIssue('warning', 'category-variant', row, entry, 'category',
+						`Category is also spelled "${preferred[0]}" (${preferred[1].length} entries)`));
+				});
+			});
+		});
+
+		issues.sort((a, b) => a.row - b.row);
+
+		const rowsWithIssues = new Set(issues.map(issue => issue.row));
+		return {
+			generatedAt: new Date().toISOString(),
+			total: entries.length,
+			valid: entries.filter((entry, index) => !rowsWithIssues.has(entry.sourceRow ?? index + 1)).length,
+			issues
+		};
+	}
+
+	/**
+	 * Try to load one image
+	 * @param {string} url - Image URL
+	 * @param {number} timeoutMs - Time to wait before treating the image as broken
+	 * @returns {Promise<boolean>} True if the image loaded
+	 */
+	function probeImage(url, timeoutMs) {
+		return new Promise(resolve => {
+			const img = new Image();
+			const timer = setTimeout(() => finish(false), timeoutMs);
+			function finish(loaded) {
+				clearTimeout(timer);
+				img.onload = img.onerror = null;
+				resolve(loaded);
+			}
+			img.onload = () => finish(true);
+			img.onerror = () => finish(false);
+			img.src = url;
+		});
+	}
+
+	/**
+	 * Find entries whose image fails to load
+	 * Each distinct URL is requested once, IMAGE_CHECK_CONCURRENCY at a time
+	 * @param {Object[]} entries - Entries to check (malformed URLs are skipped; validateEntries reports them)
+	 * @param {Function} onProgress - Optional callback (checked, total) after each URL
+	 * @returns {Promise<Object[]>} 'broken-image' issues
+	 */
+	async function checkImages(entries, onProgress) {
+		const urls = [...new Set(entries.map(entry => entry.imageUrl).filter(url => url && isValidImageUrl(url)))];
+		const broken = new Set();
+		let next = 0;
+		let checked = 0;
+
+		const worker = async () => {
+			while (next < urls.length) {
+				const url = urls[next++];
+				if (!await probeImage(url, IMAGE_CHECK_TIMEOUT)) broken.add(url);
+				checked++;
+				if (onProgress) onProgress(checked, urls.length);
+			}
+		};
+		await Promise.all(Array.from({ length: Math.min(IMAGE_CHECK_CONCURRENCY, urls.length) }, worker));
+
+		const issues = [];
+		entries.forEach((entry, index) => {
+			if (broken.has(entry.imageUrl)) {
+				issues.push(createIssue('error', 'broken-image', entry.sourceRow ?? index + 1, entry, 'imageUrl', 'Image failed to load'));
+			}
+		});
+		return issues;
+	}
+
+	/**
+	 * Update the data-quality button badge with the number of issues in the report
+	 */
+	function updateDataQualityBadge() {
+		if (!dataQualityCount) return;
+		const count = dataQualityReport ? dataQualityReport.issues.length : 0;
+		dataQualityCount.textContent = count > 99 ? '99+' : String(count);
+		dataQualityCount.classList.toggle('hidden', count === 0);
+		if (dataQualityToggle) {
+			dataQualityToggle.setAttribute('aria-label', t('report.toggleLabel', { count }));
+		}
+	}
+
+	/**
+	 * Render the data-quality report into the report modal
+	 * Shows a summary line, counts per issue type, and a table of issues by row
+	 */
+	function renderReport() {
+		if (!reportSummary || !reportTableContainer || !dataQualityReport) return;
+		const { total, valid, issues } = dataQualityReport;
+		const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+		reportSummary.innerHTML = '';
+		const overview = document.createElement('p');
+		overview.textContent = [
+			t('report.rowsChecked', { count: total, valid }),
+			t('report.issueSummary', {
+				errors: t('report.errors', { count: errorCount }),
+				warnings: t('report.warnings', { count: issues.length - errorCount })
+			})
+		].join(' ');
+		reportSummary.appendChild(overview);
+
+		const typeCounts = new Map();
+		issues.forEach(issue => typeCounts.set(issue.type, (typeCounts.get(issue.type) || 0) + 1));
+		if (typeCounts.size > 0) {
+			const typeList = document.createElement('div');
+			typeList.className = 'mt-2 flex flex-wrap gap-2';
+			typeCounts.forEach((count, type) => {
+				const badge = document.createElement('span');
+				badge.className = 'badge text-xs';
+				badge.textContent = `${type}: ${formatNumber(count)}`;
+				typeList.appendChild(badge);
+			});
+			reportSummary.appendChild(typeList);
+		}
+
+		reportTableContainer.innerHTML = '';
+		if (issues.length === 0) return;
+
+		const table = document.createElement('table');
+		table.className = 'results-table report-table';
+
+		const thead = document.createElement('thead');
+		const headerRow = document.createElement('tr');
+		['row', 'id', 'arabic', 'field', 'issue', 'value'].forEach(column => {
+			const th = document.createElement('th');
+			th.textContent = t(`report.column.${column}`);
+			headerRow.appendChild(th);
+		});
+		thead.appendChild(headerRow);
+		table.appendChild(thead);
+
+		const tbody = document.createElement('tbody');
+		issues.forEach(issue => {
+			const row = document.createElement('tr');
+			row.className = `report-${issue.severity}`;
+			[issue.row, issue.id, issue.arabic, issue.field, issue.message, issue.value].forEach((value, index) => {
+				const cell = document.createElement('td');
+				cell.textContent = value ?? '';
+				if (index === 2) cell.className = 'arabic';
+				row.appendChild(cell);
+			});
+			tbody.appendChild(row);
+		});
+		table.appendChild(tbody);
+		reportTableContainer.appendChild(table);
+	}
+
+	/**
+	 * Open the data-quality report modal
+	 */
+	function openReportModal() {
+		if (!reportModal) return;
+		renderReport();
+		reportModal.classList.remove('hidden');
+		document.body.style.overflow = 'hidden';
+		activateDialog(reportModal);
+	}
+
+	/**
+	 * Close the data-quality report modal
+	 * Hides the modal and restores body scroll and the focus
+	 */
+	function closeReportModal() {
+		if (!reportModal) return;
+		reportModal.classList.add('hidden');
+		document.body.style.overflow = '';
+		deactivateDialog(reportModal);
+	}
+
+	/**
+	 * Check every entry image and add the broken ones to the report
+	 * Replaces the results of any earlier check, then re-renders and re-caches the report
+	 * @returns {Promise<void>}
+	 */
+	async function runImageCheck() {
+		if (!dataQualityReport || !checkImagesButton) return;
+		checkImagesButton.disabled = true;
+
+		try {
+			const brokenImages = await checkImages(dictionaryData, (checked, total) => {
+				checkImagesButton.textContent = t('report.checkingImages', { checked, total });
+			});
+			dataQualityReport.issues = dataQualityReport.issues
+				.filter(issue => issue.type !== 'broken-image')
+				.concat(brokenImages)
+				.sort((a, b) => a.row - b.row);
+			const rowsWithIssues = new Set(dataQualityReport.issues.map(issue => issue.row));
+			dataQualityReport.valid = dataQualityReport.total - rowsWithIssues.size;
+
+			cacheValue(reportCacheKey, dataQualityReport);
+			updateDataQualityBadge();
+			renderReport();
+		} finally {
+			checkImagesButton.textContent = t('report.checkImages');
+			checkImagesButton.disabled = false;
+		}
+	}
+
+	/**
+	 * Download the data-quality report
+	 * @param {string} format - 'csv' (one issue per row) or 'json' (the whole report)
+	 */
+	function exportReport(format) {
+		if (!dataQualityReport) return;
+		const filename = `quran-dictionary-data-quality-${dataQualityReport.generatedAt.slice(0, 10)}`;
+
+		if (format === 'json') {
+			downloadFile(`${filename}.json`, JSON.stringify(dataQualityReport, null, 2), 'application/json');
+			return;
+		}
+
+		const columns = ['severity', 'type', 'row', 'id', 'arabic', 'field', 'value', 'message'];
+		const rows = [columns, ...dataQualityReport.issues.map(issue => columns.map(column => issue[column]))];
+		// Prefix a BOM so spreadsheet apps read the Arabic text as UTF-8
+		downloadFile(`${filename}.csv`, '\uFEFF' + window.QD.csv.stringify(rows), 'text/csv;charset=utf-8');
+	}
+
+	// ============================================================================
 	// INITIALIZATION
 	// ============================================================================
 
 	/**
-	 * Initialize the application after data is loaded
-	 * Sets up dark mode, view mode, category filters, URL params, sort buttons, filters, and event listeners
+	 * Initialize the application after data is loaded
+	 * Sets up dark mode, view mode, sorting, table columns, category and word list filters, URL params, sort
+	 * buttons, filters, the entry modal and quiz from the URL, the data-quality badge, and event listeners
+	 */
+	function initializeApp() {
+		loadingState.classList.add('hidden');
+		buildSearchIndex();
+		buildRelations();
+		initializeDarkMode();
+		initializeViewMode();
+		initializeSort();
+		initializeTableColumns();
+		initializeSearchMode();
+		renderCategoryFilters();
+		renderListFilters();
+		parseURLParams();
+		updateSortButtons();
+		applyFilters();
+		syncModalWithURL();
+		syncQuizWithURL();
+		updateDataQualityBadge();
+		setupEventListeners();
+	}
+
+	/**
+	 * Initialize dark mode from localStorage or default to dark theme
+	 * Updates document class and icon visibility
+	 */
+	function initializeDarkMode() {
+		const savedTheme = localStorage.getItem('theme');
+		const isDark = savedTheme === 'dark' || savedTheme === null; // Default to dark
+		
+		if (isDark) {
+			document.documentElement.classList.add('dark');
+			sunIcon.classList.remove('hidden');
+			moonIcon.classList.add('hidden');
+		} else {
+			document.documentElement.classList.remove('dark');
+			sunIcon.classList.add('hidden');
+			moonIcon.classList.remove('hidden');
+		}
+	}
+
+	/**
+	 * Toggle between dark and light mode
+	 * Updates localStorage, document class, and icon visibility
+	 */
+	function toggleDarkMode() {
+		const isDark = document.documentElement.classList.contains('dark');
+		
+		if (isDark) {
+			document.documentElement.classList.remove('dark');
+			localStorage.setItem('theme', 'light');
+			sunIcon.classList.add('hidden');
+			moonIcon.classList.remove('hidden');
+		} else {
+			document.documentElement.classList.add('dark');
+			localStorage.setItem('theme', 'dark');
+			sunIcon.classList.remove('hidden');
+			moonIcon.classList.add('hidden');
+		}
+	}
+
+	/**
+	 * Initialize view mode from localStorage or default to grid
+	 * Updates view toggle button appearance
+	 */
+	function initializeViewMode() {
+		const savedViewMode = localStorage.getItem('viewMode');
+		if (VIEW_MODES.includes(savedViewMode)) {
+			viewMode = savedViewMode;
+		} else {
+			viewMode = 'grid';
+		}
+		const savedGroupBy = localStorage.getItem('browseGroupBy');
+		browseGroupBy = BROWSE_GROUP_MODES.includes(savedGroupBy) ? savedGroupBy : 'letter';
+		if (browseGroupBySelect) browseGroupBySelect.value = browseGroupBy;
+		updateViewToggleButton();
+	}
+
+	/**
+	 * Initialize the sort keys from localStorage or default to DEFAULT_SORT_KEYS, and the order of the
+	 * Arabic fields or default to alphabetical
+	 * Unknown fields, invalid orders and repeated fields in the saved keys are dropped
+	 */
+	function initializeSort() {
+		const savedCollation = localStorage.getItem('arabicCollation');
+		arabicCollation = ARABIC_COLLATIONS.includes(savedCollation) ? savedCollation : 'alphabetical';
+		arabicCollator = null;
+		if (arabicCollationSelect) arabicCollationSelect.value = arabicCollation;
+
+		let saved = [];
+		try {
+			saved = JSON.parse(localStorage.getItem('sortKeys') || '[]');
+		} catch (_) {
+			// Corrupt value: use the default sort
+		}
+
+		const keys = [];
+		if (Array.isArray(saved)) {
+			saved.forEach(key => {
+				if (key && Object.hasOwn(SORT_FIELDS, key.field) && (key.order === 'asc' || key.order === 'desc') &&
+					!keys.some(entry => entry.field === key.field)) {
+					keys.push({ field: key.field, order: key.order });
+				}
+			});
+		}
+		sortKeys = keys.length > 0 ? keys : DEFAULT_SORT_KEYS.map(key => ({ ...key }));
+	}
+
+	/**
+	 * Initialize the table columns (order, visibility and widths) from localStorage or default to TABLE_COLUMNS
+	 * Unknown saved columns are dropped and columns missing from the saved ones are added at the end with
+	 * their default visibility; if no column would be visible, the defaults are used
+	 */
+	function initializeTableColumns() {
+		let saved = [];
+		try {
+			saved = JSON.parse(localStorage.getItem('tableColumns') || '[]');
+		} catch (_) {
+			// Corrupt value: use the default columns
+		}
+
+		const columns = [];
+		if (Array.isArray(saved)) {
+			saved.forEach(entry => {
+				if (!entry || !TABLE_COLUMNS.some(column => column.id === entry.id) ||
+					columns.some(column => column.id === entry.id)) return;
+				const column = { id: entry.id, visible: entry.visible !== false };
+				if (Number.isFinite(entry.width) && entry.width >= MIN_COLUMN_WIDTH) column.width = Math.round(entry.width);
+				columns.push(column);
+			});
+		}
+		TABLE_COLUMNS.forEach(({ id, visible }) => {
+			if (!columns.some(column => column.id === id)) columns.push({ id, visible });
+		});
+
+		tableColumns = columns.some(column => column.visible)
+			? columns
+			: TABLE_COLUMNS.map(({ id, visible }) => ({ id, visible }));
+		renderColumnMenu();
+	}
+
+	/**
+	 * Switch to the next view mode (grid, table, browse)
+	 * Saves preference to localStorage and re-renders results; entering or leaving the browse view re-sorts
+	 * them, since it orders them by group first (see applySort)
+	 */
+	function toggleViewMode() {
+		const wasBrowse = viewMode === 'browse';
+		viewMode = VIEW_MODES[(VIEW_MODES.indexOf(viewMode) + 1) % VIEW_MODES.length];
+		localStorage.setItem('viewMode', viewMode);
+		updateViewToggleButton();
+		if (wasBrowse || viewMode === 'browse') applySort();
+		renderResults();
+	}
+
+	/**
+	 * Update view toggle button appearance based on current view mode
+	 * Shows the icon of the current view (grid, table or browse), and shows the Columns menu only in table view
+	 */
+	function updateViewToggleButton() {
+		columnMenu?.classList.toggle('hidden', viewMode !== 'table');
+		if (!viewToggle) return;
+		VIEW_MODES.forEach(mode => {
+			viewToggle.querySelector(`#${mode}Icon`)?.classList.toggle('hidden', mode !== viewMode);
+		});
+	}
+
+	/**
+	 * Initialize search mode from localStorage or default to plain text search
+	 * Updates root search toggle appearance
+	 */
+	function initializeSearchMode() {
+		searchMode = localStorage.getItem('searchMode') === 'root' ? 'root' : 'text';
+		updateSearchModeToggle();
+	}
+
+	/**
+	 * Toggle search mode between plain text and Arabic root matching
+	 * Saves preference to localStorage and re-applies filters
+	 */
+	function toggleSearchMode() {
+		searchMode = searchMode === 'root' ? 'text' : 'root';
+		localStorage.setItem('searchMode', searchMode);
+		updateSearchModeToggle();
+		applyFilters();
+	}
+
+	/**
+	 * Update root search toggle appearance based on current search mode
+	 */
+	function updateSearchModeToggle() {
+		if (!rootSearchToggle) return;
+		const isRoot = searchMode === 'root';
+		rootSearchToggle.classList.toggle('active', isRoot);
+		rootSearchToggle.setAttribute('aria-pressed', String(isRoot));
+	}
+
+	// ============================================================================
+	// LOCALIZATION
+	// ============================================================================
+
+	/**
+	 * Translate a UI message into the current language
+	 * @param {string} key - Message key in I18N_MESSAGES
+	 * @param {Object} params - Placeholder values; `count` also selects the plural form
+	 * @returns {string} Translated text
+	 */
+	function t(key, params) {
+		return translator.t(key, params);
+	}
+
+	/**
+	 * Format a number for the current language
+	 * @param {number} value - Number
+	 * @returns {string} Formatted number
+	 */
+	function formatNumber(value) {
+		return translator.formatNumber(value);
+	}
+
+	/**
+	 * Get the UI language to start with: the saved choice, otherwise Arabic when it is the browser's
+	 * preferred language, otherwise English
+	 * @returns {string} Language code ('ar' or 'en')
+	 */
+	function getPreferredLanguage() {
+		const saved = localStorage.getItem('language');
+		if (saved && I18N_MESSAGES[saved]) return saved;
+		const preferred = (navigator.languages?.[0] || navigator.language || '').toLowerCase();
+		return preferred.split('-')[0] === 'ar' ? 'ar' : 'en';
+	}
+
+	/**
+	 * Initialize the UI language from localStorage or the browser language
+	 * Called before the data loads, so the loading message is translated too
+	 */
+	function initializeLanguage() {
+		translator.setLocale(getPreferredLanguage());
+		applyDocumentLanguage();
+	}
+
+	/**
+	 * Switch the UI language between Arabic and English
+	 * Saves preference to localStorage and re-renders everything showing UI text
+	 */
+	function toggleLanguage() {
+		translator.setLocale(translator.getLocale() === 'ar' ? 'en' : 'ar');
+		localStorage.setItem('language', translator.getLocale());
+		applyDocumentLanguage();
+		refreshLocalizedViews();
+	}
+
+	/**
+	 * Apply the current language to the page
+	 * Sets the language and writing direction of the document (the layout mirrors in Arabic), translates the
+	 * static text and attributes marked with data-i18n attributes (see LOCALIZED_ATTRIBUTES), the page title
+	 * and the offline banner
+	 */
+	function applyDocumentLanguage() {
+		document.documentElement.lang = translator.getLocale();
+		document.documentElement.dir = translator.getDirection();
+
+		document.querySelectorAll('[data-i18n]').forEach(element => {
+			element.textContent = t(element.dataset.i18n);
+		});
+		LOCALIZED_ATTRIBUTES.forEach(attribute => {
+			document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+				element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+			});
+		});
+
+		if (!openEntry) document.title = t('app.title');
+		window.QD.offline.setBannerText(t('offline.banner'));
+	}
+
+	/**
+	 * Set an element's text to a message and mark it with the message key, so it is translated again
+	 * when the language changes
+	 * @param {HTMLElement} element - Element
+	 * @param {string} key - Message key
+	 */
+	function setLocalizedText(element, key) {
+		element.dataset.i18n = key;
+		element.textContent = t(key);
+	}
+
+	/**
+	 * Re-render the parts of the page built with translated text after a language change
+	 * Cached result cards and table rows are dropped so they are built again, and open modals are redrawn
+	 * in place; the word list status message is cleared
+	 */
+	function refreshLocalizedViews() {
+		renderColumnMenu();
+		if (dictionaryData.length === 0) return;
+
+		gridCardNodes.clear();
+		tableRowNodes.clear();
+		browseEntryNodes.clear();
+		resultsTableBody = null;
+		renderListFilters();
+		renderResults();
+		updateDataQualityBadge();
+		if (listStatus) listStatus.textContent = '';
+		if (pendingUpdate && updateNotice && !updateNotice.classList.contains('hidden')) {
+			showUpdateNotice(pendingUpdate.changes);
+		}
+
+		if (openEntry) {
+			stopPronunciation();
+			showModal(openEntry);
+		}
+		if (reportModal && !reportModal.classList.contains('hidden')) {
+			renderReport();
+		}
+		if (studyModal && !studyModal.classList.contains('hidden')) {
+			updateStudyPromptToggle();
+			renderStudyCard();
+		}
+		if (quizModal && !quizModal.classList.contains('hidden')) {
+			if (quizQuestions.length > 0) renderQuizQuestion();
+			else renderQuizSetup();
+		}
+		if (graphCategorySelect?.options[0]) {
+			graphCategorySelect.options[0].text = t('common.allCategories');
+		}
+		if (graphModal && !graphModal.classList.contains('hidden')) {
+			renderGraph();
+		}
+	}
+
+	// ============================================================================
+	// URL PARAMETER HANDLING
+	// ============================================================================
+
+	/**
+	 * Parse URL parameters and apply them to filters
+	 * Supports 'q' or 'search' for search query, 'category' or 'categories' for category filters,
+	 * 'mode=root' for root search, 'entry' (an entry ID or slug) for the entry shown in the modal,
+	 * and 'quiz' (with 'questions' and 'types') for an open quiz
+	 * The modals themselves are shown or hidden by syncModalWithURL and syncQuizWithURL
+	 */
+	function parseURLParams() {
+		const params = new URLSearchParams(window.location.search);
+		
+		// Get search query from URL, normalized to its canonical form
+		const urlQuery = params.get('q') || params.get('search');
+		if (urlQuery) {
+			searchQuery = stringifySearchQuery(parseSearchQuery(urlQuery));
+			searchInput.value = searchQuery;
+		}
+		
+		// Get categories from URL (comma-separated)
+		const urlCategories = params.get('category') || params.get('categories');
+		if (urlCategories) {
+			selectedCategories = new Set(urlCategories.split(',').filter(Boolean));
+			// Update badge states (will be applied after renderCategoryFilters)
+		}
+
+		// Get search mode from URL
+		const urlMode = params.get('mode');
+		if (urlMode === 'root' || urlMode === 'text') {
+			searchMode = urlMode;
+			updateSearchModeToggle();
+		}
+
+		// Get the entry shown in the modal from URL
+		const urlEntry = params.get('entry');
+		openEntry = urlEntry ? findEntryByParam(urlEntry) : null;
+
+		// Get the quiz (seed, length and question types) from URL
+		quizSettings = parseQuizParams(params);
+	}
+
+	/**
+	 * Update URL with current filter state
+	 * Adds the canonical search query, selected categories, the entry open in the modal, and the open quiz as URL parameters
+	 * Uses pushState to update URL without page reload; an unchanged URL adds no history entry
+	 * @param {Object} options - Optional settings
+	 * @param {boolean} options.replace - Replace the current history entry instead of adding one
+	 */
+	function updateURL(options = {}) {
+		const params = new URLSearchParams();
+		const canonicalQuery = stringifySearchQuery(parsedQuery);
+		
+		if (canonicalQuery) {
+			params.set('q', canonicalQuery);
+		}
+		
+		if (selectedCategories.size > 0) {
+			params.set('category', Array.from(selectedCategories).join(','));
+		}
+
+		if (searchMode === 'root' && canonicalQuery) {
+			params.set('mode', 'root');
+		}
+
+		if (openEntry) {
+			params.set('entry', getEntrySlug(openEntry));
+		}
+
+		if (quizSettings) {
+			getQuizParams(quizSettings).forEach((value, key) => params.set(key, value));
+		}
+		
+		const newURL = params.toString() 
+			? `${window.location.pathname}?${params.toString()}`
+			: window.location.pathname;
+		
+		if (newURL !== `${window.location.pathname}${window.location.search}`) {
+			// The modal's breadcrumb trail and history depth let back/forward and closeModal restore it
+			const state = {
+				entry: openEntry ? getEntrySlug(openEntry) : null,
+				trail: openEntry ? modalTrail.map(getEntrySlug) : [],
+				modalDepth: openEntry ? getModalHistoryDepth() + (options.replace ? 0 : 1) : 0,
+				quiz: quizSettings ? quizSettings.seed : null
+			};
+			if (options.replace) {
+				window.history.replaceState(state, '', newURL);
+			} else {
+				window.history.pushState(state, '', newURL);
+			}
+		}
+	}
+
+	/**
+	 * Turn text into a URL slug: normalized (see normalizeSearchText), lowercased,
+	 * with runs of anything but letters and digits replaced by single hyphens
+	 * @param {string} text - Text to slugify
+	 * @returns {string} Slug (e.g. 'Ṣalāh al-Jumuʿah' → 'salah-al-jumuah')
+	 */
+	function slugify(text) {
+		return (normalizeSearchText(text || '') || '')
+			.toLowerCase()
+			.replace(/[^\p{L}\p{N}]+/gu, '-')
+			.replace(/^-+|-+$/g, '');
+	}
+
+	/**
+	 * Get the value identifying an entry in the 'entry' URL parameter
+	 * @param {Object} item - Dictionary entry
+	 * @returns {string} The entry ID, or a slug of its transliteration (or translation/term) when it has none
+	 */
+	function getEntrySlug(item) {
+		return item.id || slugify(item.transliteration || item.translation || item.arabic);
+	}
+
+	/**
+	 * Find the entry named by an 'entry' URL parameter
+	 * Matches an ID exactly first, then a slug of the transliteration, translation, or Arabic term,
+	 * so hand-written links such as ?entry=salah work too
+	 * @param {string} value - Parameter value
+	 * @returns {Object|null} Matching entry, or null if none matches
+	 */
+	function findEntryByParam(value) {
+		const byId = dictionaryData.find(item => item.id && item.id === value);
+		if (byId) return byId;
+		const slug = slugify(value);
+		if (!slug) return null;
+		return dictionaryData.find(item =>
+			[item.transliteration, item.translation, item.arabic].some(text => text && slugify(text) === slug)
+		) || null;
+	}
+
+	// ============================================================================
+	// CATEGORY FILTERING
+	// ============================================================================
+
+	/**
+	 * Get color for a category by finding the first dictionary entry with that category and a color
+	 * @param {string} category - Category name to look up
+	 * @returns {string} Color value or empty string if not found
+	 */
+	function getCategoryColor(category) {
+		const item = dictionaryData.find(d => d.category === category && d.color);
+		return item ? item.color : '';
+	}
+
+	/**
+	 * Extract unique categories and render filter badges
+	 * Creates clickable badge buttons for each category, applying colors if available
+	 * Marks categories as active (and pressed, for screen readers) if they're in the selectedCategories set
+	 */
+	function renderCategoryFilters() {
+		const categories = [...new Set(dictionaryData.map(item => item.category).filter(Boolean))].sort();
+		
+		categoryFilters.innerHTML = '';
+		
+		categories.forEach(category => {
+			const badge = document.createElement('button');
+			badge.className = 'badge';
+			badge.textContent = category;
+			badge.setAttribute('data-category', category);
+			badge.setAttribute('aria-pressed', String(selectedCategories.has(category)));
+			
+			// Apply color if available
+			const color = getCategoryColor(category);
+			if (color) {
+				badge.style.borderColor = color;
+				badge.style.color = color;
+			}
+			
+			// If category is selected (from URL params), mark as active and maintain color
+			if (selectedCategories.has(category)) {
+				badge.classList.add('active');
+				if (color) {
+					badge.style.backgroundColor = 'transparent';
+				}
+			}
+			
+			badge.addEventListener('click', () => toggleCategory(category, badge));
+			categoryFilters.appendChild(badge);
+		});
+	}
+
+	/**
+	 * Toggle category filter on/off
+	 * Updates selectedCategories set and badge appearance
+	 * @param {string} category - Category to toggle
+	 * @param {HTMLElement} badgeElement - Badge button element to update
+	 */
+	function toggleCategory(category, badgeElement) {
+		const color = getCategoryColor(category);
+		
+		if (selectedCategories.has(category)) {
+			selectedCategories.delete(category);
+			badgeElement.classList.remove('active');
+			badgeElement.setAttribute('aria-pressed', 'false');
+			// Restore original color when inactive
+			if (color) {
+				badgeElement.style.borderColor = color;
+				badgeElement.style.color = color;
+			}
+		} else {
+			selectedCategories.add(category);
+			badgeElement.classList.add('active');
+			badgeElement.setAttribute('aria-pressed', 'true');
+			// Maintain color when active
+			if (color) {
+				badgeElement.style.borderColor = color;
+				badgeElement.style.color = color;
+				badgeElement.style.backgroundColor = 'transparent';
+			}
+		}
+		
+		applyFilters();
+	}
+
+	/**
+	 * Get the dictionary entries in the selected categories (all entries when none is selected)
+	 * Used as the deck of study mode and the question pool of quizzes, ignoring the search query
+	 * @returns {Array} Entries in source order
+	 */
+	function getSelectedCategoryEntries() {
+		if (selectedCategories.size === 0) return dictionaryData;
+		return dictionaryData.filter(item => selectedCategories.has(item.category));
+	}
+
+	// ============================================================================
+	// WORD LISTS
+	// ============================================================================
+
+	/**
+	 * Load the saved word lists, making sure the Favorites list exists
+	 * @returns {Promise<void>}
+	 */
+	async function loadWordLists() {
+		const saved = await cache?.get(WORD_LISTS_KEY);
+		wordLists = Array.isArray(saved) ? saved : [];
+		if (!wordLists.some(list => list.id === FAVORITES_LIST_ID)) {
+			wordLists.unshift({ id: FAVORITES_LIST_ID, name: 'Favorites', keys: [] });
+		}
+	}
+
+	/**
+	 * Save the word lists (without TTL), logging failed writes
+	 */
+	function saveWordLists() {
+		cache?.set(WORD_LISTS_KEY, wordLists, null).catch(error => {
+			console.warn('Failed to save word lists:', error);
+		});
+	}
+
+	/**
+	 * Find a word list by ID
+	 * @param {string} listId - List ID
+	 * @returns {Object|undefined} List { id, name, keys }
+	 */
+	function getWordList(listId) {
+		return wordLists.find(list => list.id === listId);
+	}
+
+	/**
+	 * Get the name shown for a word list
+	 * The built-in Favorites list is named in the UI language; named lists keep the name they were given
+	 * @param {Object} list - Word list
+	 * @returns {string} Display name
+	 */
+	function getWordListName(list) {
+		return list.id === FAVORITES_LIST_ID ? t('lists.favorites') : list.name;
+	}
+
+	/**
+	 * Check whether an entry belongs to a word list
+	 * Entries are stored by getEntryKey, so lists survive data refreshes
+	 * @param {Object} list - Word list
+	 * @param {Object} item - Dictionary entry
+	 * @returns {boolean} True if the entry is in the list
+	 */
+	function isInWordList(list, item) {
+		return Boolean(list) && list.keys.includes(getEntryKey(item));
+	}
+
+	/**
+	 * Add an entry to a word list, or remove it if it is already there
+	 * Saves the lists and refreshes every view of list membership
+	 * @param {string} listId - List ID
+	 * @param {Object} item - Dictionary entry
+	 */
+	function toggleWordListEntry(listId, item) {
+		const list = getWordList(listId);
+		if (!list) return;
+		const key = getEntryKey(item);
+		list.keys = list.keys.includes(key) ? list.keys.filter(k => k !== key) : [...list.keys, key];
+		saveWordLists();
+		refreshWordListViews();
+	}
+
+	/**
+	 * Check whether an entry is starred (in the Favorites list)
+	 * @param {Object} item - Dictionary entry
+	 * @returns {boolean} True if starred
+	 */
+	function isFavorite(item) {
+		return isInWordList(getWordList(FAVORITES_LIST_ID), item);
+	}
+
+	/**
+	 * Re-render everything that shows list membership: list filters, results (stars and list filtering),
+	 * and the open modal's star and list checkboxes
+	 */
+	function refreshWordListViews() {
+		renderListFilters();
+		applyFilters();
+		if (openEntry) renderModalWordLists(openEntry);
+	}
+
+	/**
+	 * Create a star button that toggles an entry in the Favorites list
+	 * Clicks do not reach the card/row underneath
+	 * @param {Object} item - Dictionary entry
+	 * @returns {HTMLButtonElement} Star button
+	 */
+	function createStarButton(item) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		updateStarButton(button, isFavorite(item));
+		button.addEventListener('click', (e) => {
+			e.stopPropagation();
+			toggleWordListEntry(FAVORITES_LIST_ID, item);
+		});
+		return button;
+	}
+
+	/**
+	 * Update a star button's appearance and label
+	 * @param {HTMLButtonElement} button - Star button
+	 * @param {boolean} starred - Whether the entry is starred
+	 */
+	function updateStarButton(button, starred) {
+		button.className = `star-button${starred ? ' starred' : ''}`;
+		button.textContent = starred ? '★' : '☆';
+		button.setAttribute('aria-pressed', String(starred));
+		button.setAttribute('aria-label', t(starred ? 'favorites.remove' : 'favorites.add'));
+		button.title = t(starred ? 'favorites.remove' : 'favorites.add');
+	}
+
+	/**
+	 * Render the modal's star button and a checkbox for each named word list
+	 * @param {Object} item - Entry shown in the modal
+	 */
+	function renderModalWordLists(item) {
+		if (modalFavorite) updateStarButton(modalFavorite, isFavorite(item));
+		if (!modalLists) return;
+
+		modalLists.innerHTML = '';
+		const namedLists = wordLists.filter(list => list.id !== FAVORITES_LIST_ID);
+		modalLists.classList.toggle('hidden', namedLists.length === 0);
+		namedLists.forEach(list => {
+			const label = document.createElement('label');
+			label.className = 'badge text-xs';
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.className = 'me-1';
+			checkbox.checked = isInWordList(list, item);
+			checkbox.addEventListener('change', () => toggleWordListEntry(list.id, item));
+			label.appendChild(checkbox);
+			label.appendChild(document.createTextNode(list.name));
+			modalLists.appendChild(label);
+		});
+	}
+
+	/**
+	 * Render a filter badge for each word list, with its entry count
+	 * Selected lists filter the results like categories (see applyFilters);
+	 * Rename and Delete apply to the single selected named list
+	 */
+	function renderListFilters() {
+		if (!listFilters) return;
+		// Drop selections of lists that no longer exist
+		selectedLists = new Set([...selectedLists].filter(id => getWordList(id)));
+
+		listFilters.innerHTML = '';
+		wordLists.forEach(list => {
+			const badge = document.createElement('button');
+			badge.className = `badge${selectedLists.has(list.id) ? ' active' : ''}`;
+			badge.textContent = `${list.id === FAVORITES_LIST_ID ? '★ ' : ''}${getWordListName(list)} (${formatNumber(list.keys.length)})`;
+			badge.setAttribute('data-list', list.id);
+			badge.setAttribute('aria-pressed', String(selectedLists.has(list.id)));
+			badge.addEventListener('click', () => toggleListFilter(list.id));
+			listFilters.appendChild(badge);
+		});
+
+		const selectedNamedList = getSelectedNamedList();
+		if (renameListButton) renameListButton.disabled = !selectedNamedList;
+		if (deleteListButton) deleteListButton.disabled = !selectedNamedList;
+	}
+
+	/**
+	 * Get the named (non-Favorites) list when it is the only selected list
+	 * @returns {Object|null} Selected list, or null
+	 */
+	function getSelectedNamedList() {
+		if (selectedLists.size !== 1) return null;
+		const [listId] = selectedLists;
+		return listId === FAVORITES_LIST_ID ? null : getWordList(listId) || null;
+	}
+
+	/**
+	 * Toggle a word list filter on/off and re-apply filters
+	 * @param {string} listId - List ID
+	 */
+	function toggleListFilter(listId) {
+		if (selectedLists.has(listId)) {
+			selectedLists.delete(listId);
+		} else {
+			selectedLists.add(listId);
+		}
+		renderListFilters();
+		applyFilters();
+	}
+
+	/**
+	 * Show a short status message next to the word list controls
+	 * @param {string} message - Message text
+	 */
+	function showListStatus(message) {
+		if (listStatus) listStatus.textContent = message;
+	}
+
+	/**
+	 * Create a named word list from a name prompt, and select it
+	 */
+	function createWordList() {
+		const name = (window.prompt(t('lists.newPrompt')) || '').trim();
+		if (!name) return;
+		const list = { id: `list-${Date.now().toString(36)}`, name, keys: [] };
+		wordLists.push(list);
+		selectedLists = new Set([list.id]);
+		saveWordLists();
+		showListStatus(t('lists.created', { name }));
+		refreshWordListViews();
+	}
+
+	/**
+	 * Rename the selected named word list from a name prompt
+	 */
+	function renameWordList() {
+		const list = getSelectedNamedList();
+		if (!list) return;
+		const name = (window.prompt(t('lists.renamePrompt'), list.name) || '').trim();
+		if (!name || name === list.name) return;
+		list.name = name;
+		saveWordLists();
+		refreshWordListViews();
+	}
+
+	/**
+	 * Delete the selected named word list after confirmation
+	 */
+	function deleteWordList() {
+		const list = getSelectedNamedList();
+		if (!list || !window.confirm(t('lists.deleteConfirm', { name: list.name }))) return;
+		wordLists = wordLists.filter(l => l !== list);
+		selectedLists.delete(list.id);
+		saveWordLists();
+		showListStatus(t('lists.deleted', { name: list.name }));
+		refreshWordListViews();
+	}
+
+	/**
+	 * Download word lists as JSON
+	 * Each entry is written with its ID, Arabic term and translation, so the file stays readable
+	 * and can be matched against the dictionary on import
+	 * Exports the selected lists, or all lists when none is selected
+	 */
+	function exportWordLists() {
+		const lists = selectedLists.size > 0 ? wordLists.filter(list => selectedLists.has(list.id)) : wordLists;
+		const entriesByKey = new Map(dictionaryData.map(item => [getEntryKey(item), item]));
+
+		const file = {
+			format: WORD_LISTS_FORMAT,
+			version: 1,
+			exportedAt: new Date().toISOString(),
+			lists: lists.map(list => ({
+				name: list.name,
+				entries: list.keys.map(key => {
+					const item = entriesByKey.get(key);
+					return item
+						? { id: item.id, arabic: item.arabic, translation: item.translation }
+						: { key };
+				})
+			}))
+		};
+
+		const filename = lists.length === 1 ? `${slugify(lists[0].name) || 'word-list'}.json` : 'quran-dictionary-word-lists.json';
+		downloadFile(filename, JSON.stringify(file, null, 2), 'application/json');
+	}
+
+	/**
+	 * Get the entry key for an entry of an imported list
+	 * Accepts entries written by exportWordLists ({ id, arabic, translation } or { key })
+	 * as well as bare ID strings
+	 * @param {Object|string} entry - Imported entry
+	 * @returns {string|null} Entry key, or null if the entry identifies nothing
+	 */
+	function getImportedEntryKey(entry) {
+		if (typeof entry === 'string' || typeof entry === 'number') {
+			return String(entry).trim() ? `id:${String(entry).trim()}` : null;
+		}
+		if (!entry || typeof entry !== 'object') return null;
+		if (entry.key) return String(entry.key);
+		if (entry.id) return `id:${entry.id}`;
+		if (entry.arabic || entry.translation) return getEntryKey({ arabic: entry.arabic || '', translation: entry.translation || '' });
+		return null;
+	}
+
+	/**
+	 * Import word lists from a JSON file
+	 * Accepts an exported file, a single list ({ name, entries }), or an array of lists;
+	 * a list whose name matches an existing one is merged into it, so importing an updated file again is safe
+	 * @param {File} file - JSON file chosen by the user
+	 * @returns {Promise<void>}
+	 */
+	async function importWordLists(file) {
+		try {
+			const json = JSON.parse(await file.text());
+			const lists = Array.isArray(json) ? json : (Array.isArray(json?.lists) ? json.lists : [json]);
+			const validLists = lists.filter(list => list && typeof list.name === 'string' && Array.isArray(list.entries));
+			if (validLists.length === 0) {
+				throw new Error(t('lists.importEmpty'));
+			}
+
+			const knownKeys = new Set(dictionaryData.map(getEntryKey));
+			let unmatched = 0;
+			validLists.forEach(imported => {
+				const name = imported.name.trim() || t('lists.importedName');
+				let list = wordLists.find(l => l.name.toLowerCase() === name.toLowerCase());
+				if (!list) {
+					list = { id: `list-${Date.now().toString(36)}-${wordLists.length}`, name, keys: [] };
+					wordLists.push(list);
+				}
+				const keys = imported.entries.map(getImportedEntryKey).filter(Boolean);
+				unmatched += keys.filter(key => !knownKeys.has(key)).length;
+				list.keys = [...new Set([...list.keys, ...keys])];
+			});
+
+			saveWordLists();
+			const names = validLists.map(list => t('lists.quotedName', { name: list.name.trim() })).join(t('common.listSeparator'));
+			showListStatus([
+				t('lists.imported', { names }),
+				unmatched > 0 ? t('lists.unmatched', { count: unmatched }) : ''
+			].filter(Boolean).join(' '));
+			refreshWordListViews();
+		} catch (error) {
+			showListStatus(t('lists.importFailed', { error: error.message }));
+		}
+	}
+
+	// ============================================================================
+	// STUDY MODE
+	// ============================================================================
+
+	/**
+	 * Load the saved review progress
+	 * @returns {Promise<void>}
+	 */
+	async function loadStudyProgress() {
+		const saved = await cache?.get(STUDY_PROGRESS_KEY);
+		studyProgress = saved && typeof saved === 'object' ? saved : {};
+	}
+
+	/**
+	 * Save the review progress (without TTL), logging failed writes
+	 */
+	function saveStudyProgress() {
+		cache?.set(STUDY_PROGRESS_KEY, studyProgress, null).catch(error => {
+			console.warn('Failed to save study progress:', error);
+		});
+	}
+
+	/**
+	 * Build the review queue for a session
+	 * Due cards come first (most overdue first), followed by up to STUDY_NEW_CARDS_PER_SESSION new cards in deck order
+	 * @param {number} now - Session start in milliseconds
+	 * @returns {Array} Entries to review
+	 */
+	function buildStudyQueue(now = Date.now()) {
+		const deck = getSelectedCategoryEntries();
+		const due = deck
+			.filter(item => studyProgress[getEntryKey(item)] && window.QD.srs.isDue(studyProgress[getEntryKey(item)], now))
+			.sort((a, b) => studyProgress[getEntryKey(a)].dueAt - studyProgress[getEntryKey(b)].dueAt);
+		const fresh = deck.filter(item => !studyProgress[getEntryKey(item)]).slice(0, STUDY_NEW_CARDS_PER_SESSION);
+		return [...due, ...fresh];
+	}
+
+	/**
+	 * Format a review interval for the answer buttons and the summary (e.g. "10 min", "6 days", "3 mo")
+	 * @param {number} ms - Interval in milliseconds
+	 * @returns {string} Short interval label
+	 */
+	function formatStudyInterval(ms) {
+		const minutes = Math.max(1, Math.round(ms / 60000));
+		if (minutes < 60) return t('interval.minutes', { count: minutes });
+		const hours = Math.round(minutes / 60);
+		if (hours < 24) return t('interval.hours', { count: hours });
+		const days = Math.round(hours / 24);
+		if (days < 30) return t('interval.days', { count: days });
+		if (days < 365) return t('interval.months', { count: Math.round(days / 30) });
+		return t('interval.years', { count: Number((days / 365).toFixed(1)) });
+	}
+
+	/**
+	 * Render the deck summary: selected categories and due, new and total card counts
+	 */
+	function renderStudySummary() {
+		if (!studySummary) return;
+		const now = Date.now();
+		const deck = getSelectedCategoryEntries();
+		const deckName = selectedCategories.size > 0 ? [...selectedCategories].join(t('common.listSeparator')) : t('common.allCategories');
+		const due = deck.filter(item => studyProgress[getEntryKey(item)] && window.QD.srs.isDue(studyProgress[getEntryKey(item)], now)).length;
+		const fresh = deck.filter(item => !studyProgress[getEntryKey(item)]).length;
+		studySummary.textContent = t('study.summary', { deck: deckName, due, fresh, cards: t('study.cards', { count: deck.length }) });
+	}
+
+	/**
+	 * Update the prompt toggle label to the current prompt side
+	 */
+	function updateStudyPromptToggle() {
+		if (!studyPromptToggle) return;
+		studyPromptToggle.textContent = t(studyPrompt === 'image' ? 'study.promptImage' : 'study.promptTerm');
+	}
+
+	/**
+	 * Switch the card prompt between the Arabic term and the image
+	 * Saves preference to localStorage and re-renders the current card
+	 */
+	function toggleStudyPrompt() {
+		studyPrompt = studyPrompt === 'image' ? 'term' : 'image';
+		localStorage.setItem('studyPrompt', studyPrompt);
+		updateStudyPromptToggle();
+		renderStudyCard();
+	}
+
+	/**
+	 * Create a button for the study actions row
+	 * @param {string} label - Button text
+	 * @param {Function} onClick - Click handler
+	 * @param {string} hint - Optional second line (e.g. the next interval)
+	 * @returns {HTMLButtonElement} Button
+	 */
+	function createStudyButton(label, onClick, hint) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'badge study-button';
+		button.textContent = label;
+		if (hint) {
+			const small = document.createElement('span');
+			small.className = 'study-button-hint';
+			small.textContent = hint;
+			button.appendChild(small);
+		}
+		button.addEventListener('click', onClick);
+		return button;
+	}
+
+	/**
+	 * Append a labelled text line to the study card
+	 * @param {string} className - CSS class of the line
+	 * @param {string} text - Text (nothing is added when empty)
+	 */
+	function appendStudyText(className, text) {
+		if (!text) return;
+		const element = document.createElement('p');
+		element.className = className;
+		element.textContent = text;
+		studyCard.appendChild(element);
+	}
+
+	/**
+	 * Render the card at the front of the queue
+	 * Before the answer is revealed, only the prompt is shown: the image in image mode (for entries that have one),
+	 * otherwise the Arabic term. The answer adds the term, transliteration, translation and meaning,
+	 * with one answer button per grade showing when the card would be due next
+	 * Without cards left, shows when the next review is due
+	 */
+	function renderStudyCard() {
+		if (!studyCard || !studyActions) return;
+		renderStudySummary();
+		studyCard.innerHTML = '';
+		studyActions.innerHTML = '';
+
+		const item = studyQueue[0];
+		if (!item) {
+			renderStudyDone();
+			return;
+		}
+
+		const showImage = item.imageUrl && (studyRevealed || studyPrompt === 'image');
+		if (showImage) {
+			const imageContainer = document.createElement('div');
+			imageContainer.className = 'image-container-16-9 mb-4';
+			const img = document.createElement('img');
+			img.src = item.imageUrl;
+			img.alt = studyRevealed ? item.translation || item.arabic : t('study.promptAlt');
+			img.className = 'image-16-9';
+			imageContainer.appendChild(img);
+			studyCard.appendChild(imageContainer);
+		}
+		if (studyRevealed || !showImage) {
+			appendStudyText('study-term arabic', item.arabic);
+		}
+
+		if (!studyRevealed) {
+			studyActions.appendChild(createStudyButton(t('study.showAnswer'), revealStudyAnswer, t('study.spaceKey')));
+			return;
+		}
+
+		appendStudyText('modal-transliteration latin', item.transliteration);
+		appendStudyText('modal-translation latin', item.translation);
+		appendStudyText('modal-text latin', item.meaning);
+
+		const now = Date.now();
+		const card = studyProgress[getEntryKey(item)];
+		STUDY_GRADES.forEach(({ grade, labelKey, key }) => {
+			const next = window.QD.srs.review(card, grade, now);
+			studyActions.appendChild(createStudyButton(t(labelKey), () => gradeStudyCard(grade), `${key} · ${formatStudyInterval(next.dueAt - now)}`));
+		});
+	}
+
+	/**
+	 * Render the end of a session: when the next card is due, and an offer to continue with more new cards
+	 */
+	function renderStudyDone() {
+		const now = Date.now();
+		const deck = getSelectedCategoryEntries();
+		const nextDue = Math.min(...deck.map(item => studyProgress[getEntryKey(item)]?.dueAt).filter(dueAt => dueAt > now));
+		const remainingNew = deck.filter(item => !studyProgress[getEntryKey(item)]).length;
+
+		if (deck.length === 0) {
+			appendStudyText('text-center opacity-70', t('study.emptyDeck'));
+			return;
+		}
+		appendStudyText('text-center text-lg font-semibold', t('study.done'));
+		if (Number.isFinite(nextDue)) {
+			appendStudyText('text-center opacity-70', t('study.nextReview', { interval: formatStudyInterval(nextDue - now) }));
+		}
+		if (remainingNew > 0) {
+			studyActions.appendChild(createStudyButton(t('study.moreNew', { count: Math.min(remainingNew, STUDY_NEW_CARDS_PER_SESSION) }), () => {
+				studyQueue = buildStudyQueue();
+				studyRevealed = false;
+				renderStudyCard();
+			}));
+		}
+	}
+
+	/**
+	 * Reveal the answer side of the current card
+	 */
+	function revealStudyAnswer() {
+		if (studyRevealed || studyQueue.length === 0) return;
+		studyRevealed = true;
+		renderStudyCard();
+	}
+
+	/**
+	 * Grade the current card, save its new schedule and move to the next card
+	 * Forgotten cards (grade below 3) go back to the end of the queue to be repeated this session
+	 * @param {number} grade - SM-2 grade (see STUDY_GRADES)
+	 */
+	function gradeStudyCard(grade) {
+		const item = studyQueue.shift();
+		if (!item) return;
+		studyProgress[getEntryKey(item)] = window.QD.srs.review(studyProgress[getEntryKey(item)], grade);
+		saveStudyProgress();
+		if (grade < 3) studyQueue.push(item);
+		studyRevealed = false;
+		renderStudyCard();
+	}
+
+	/**
+	 * Open the study modal and start a session over the current deck
+	 */
+	function openStudyModal() {
+		if (!studyModal) return;
+		const savedPrompt = localStorage.getItem('studyPrompt');
+		studyPrompt = savedPrompt === 'image' ? 'image' : 'term';
+		updateStudyPromptToggle();
+		studyQueue = buildStudyQueue();
+		studyRevealed = false;
+		renderStudyCard();
+		studyModal.classList.remove('hidden');
+		document.body.style.overflow = 'hidden';
+		activateDialog(studyModal);
+	}
+
+	/**
+	 * Close the study modal
+	 * Progress is saved after every answer, so the session can simply be abandoned
+	 */
+	function closeStudyModal() {
+		if (!studyModal) return;
+		studyModal.classList.add('hidden');
+		document.body.style.overflow = '';
+		deactivateDialog(studyModal);
+		studyQueue = [];
+	}
+
+	// ============================================================================
+	// QUIZZES
+	// ============================================================================
+
+	/**
+	 * Get the URL parameters describing a quiz: its seed, and its length and question types when not the defaults
+	 * Together with the 'category' parameter they reproduce the quiz exactly (for the same dictionary data)
+	 * @param {Object} settings - Quiz settings { seed, count, types }
+	 * @returns {URLSearchParams} Parameters
+	 */
+	function getQuizParams(settings) {
+		const params = new URLSearchParams();
+		params.set('quiz', settings.seed);
+		if (settings.count !== QUIZ_DEFAULT_COUNT) {
+			params.set('questions', String(settings.count));
+		}
+		if (settings.types.length !== QUIZ_TYPES.length) {
+			params.set('types', settings.types.join(','));
+		}
+		return params;
+	}
+
+	/**
+	 * Read quiz settings from URL parameters
+	 * @param {URLSearchParams} params - URL parameters
+	 * @returns {Object|null} Settings { seed, count, types }, or null without a 'quiz' parameter
+	 */
+	function parseQuizParams(params) {
+		const seed = params.get('quiz');
+		if (!seed) return null;
+		const count = parseInt(params.get('questions'), 10);
+		const types = (params.get('types') || '').split(',').filter(type => QUIZ_TYPES.includes(type));
+		return {
+			seed,
+			count: Number.isFinite(count) ? Math.max(1, Math.min(QUIZ_MAX_COUNT, count)) : QUIZ_DEFAULT_COUNT,
+			types: types.length > 0 ? QUIZ_TYPES.filter(type => types.includes(type)) : [...QUIZ_TYPES]
+		};
+	}
+
+	/**
+	 * Get a quiz's shareable link: the page URL with the quiz and category parameters only
+	 * @param {Object} settings - Quiz settings
+	 * @returns {string} Absolute URL
+	 */
+	function getQuizURL(settings) {
+		const params = getQuizParams(settings);
+		if (selectedCategories.size > 0) {
+			params.set('category', Array.from(selectedCategories).join(','));
+		}
+		return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+	}
+
+	/**
+	 * Create a multiple-choice question
+	 * Distractors are drawn from the entry's category first, then from the rest of the pool;
+	 * options with the same text as another option are skipped so every choice is distinct
+	 * @param {string} type - 'ar-en', 'en-ar' or 'image'
+	 * @param {Object} entry - Entry asked about
+	 * @param {Array} pool - Question pool
+	 * @param {Object} random - Seeded generator from QD.random.createRandom
+	 * @returns {Object} Question { type, entry, options, answer } where answer is the index of entry in options
+	 */
+	function createChoiceQuestion(type, entry, pool, random) {
+		const field = type === 'ar-en' ? 'translation' : 'arabic';
+		const candidates = random.shuffle(pool.filter(item => item !== entry));
+		const ordered = [
+			...candidates.filter(item => item.category === entry.category),
+			...candidates.filter(item => item.category !== entry.category)
+		];
+
+		const seen = new Set([normalizeSearchText(entry[field])]);
+		const distractors = [];
+		for (const item of ordered) {
+			if (distractors.length === QUIZ_OPTION_COUNT - 1) break;
+			const text = normalizeSearchText(item[field]);
+			if (seen.has(text)) continue;
+			seen.add(text);
+			distractors.push(item);
+		}
+
+		const options = random.shuffle([entry, ...distractors]);
+		return { type, entry, options, answer: options.indexOf(entry) };
+	}
+
+	/**
+	 * Create a category-matching exercise: terms from different categories to match to their category
+	 * @param {Array} pool - Question pool
+	 * @param {Array<string>} categories - Categories of the pool
+	 * @param {Object} random - Seeded generator
+	 * @returns {Object} Question { type: 'match', entries, categories }
+	 */
+	function createMatchQuestion(pool, categories, random) {
+		const chosen = random.sample(categories, Math.min(QUIZ_MATCH_TERMS, categories.length));
+		const entries = chosen.map(category => {
+			const inCategory = pool.filter(item => item.category === category);
+			return inCategory[random.int(inCategory.length)];
+		});
+		return { type: 'match', entries, categories: random.shuffle(chosen) };
+	}
+
+	/**
+	 * Generate the questions of a quiz
+	 * Everything is drawn from a generator seeded with the quiz seed, so the same settings, categories
+	 * and data always give the same quiz. Types that the pool cannot support are left out: image questions
+	 * need entries with images, matching needs two categories
+	 * @param {Object} settings - Quiz settings { seed, count, types }
+	 * @returns {Array} Questions
+	 */
+	function generateQuiz(settings) {
+		const random = window.QD.random.createRandom(settings.seed);
+		const pool = getSelectedCategoryEntries().filter(item => item.arabic && item.translation);
+		const imagePool = pool.filter(item => item.imageUrl);
+		const categories = [...new Set(pool.map(item => item.category).filter(Boolean))];
+		if (pool.length < 2) return [];
+
+		const types = settings.types.filter(type =>
+			(type !== 'image' || imagePool.length > 0) && (type !== 'match' || categories.length >= 2)
+		);
+		if (types.length === 0) return [];
+
+		// Entries are asked in a shuffled order, starting over once every entry was asked
+		const queues = { all: random.shuffle(pool), image: random.shuffle(imagePool) };
+		const positions = { all: 0, image: 0 };
+		const nextEntry = (queue) => queues[queue][positions[queue]++ % queues[queue].length];
+
+		const questions = [];
+		for (let i = 0; i < settings.count; i++) {
+			const type = types[random.int(types.length)];
+			if (type === 'match') {
+				questions.push(createMatchQuestion(pool, categories, random));
+			} else {
+				questions.push(createChoiceQuestion(type, nextEntry(type === 'image' ? 'image' : 'all'), pool, random));
+			}
+		}
+		return questions;
+	}
+
+	/**
+	 * Check an answer
+	 * @param {Object} question - Question
+	 * @param {number|Array<string>} answer - Chosen option index, or chosen categories of a matching exercise
+	 * @returns {boolean} True if correct
+	 */
+	function isQuizAnswerCorrect(question, answer) {
+		if (question.type === 'match') {
+			return Array.isArray(answer) && question.entries.every((entry, i) => answer[i] === entry.category);
+		}
+		return answer === question.answer;
+	}
+
+	/**
+	 * Count the correct answers given so far
+	 * @returns {number} Score
+	 */
+	function getQuizScore() {
+		return quizAnswers.filter((answer, i) => answer !== undefined && isQuizAnswerCorrect(quizQuestions[i], answer)).length;
+	}
+
+	/**
+	 * Append an element with text to a container
+	 * @param {HTMLElement} container - Parent element
+	 * @param {string} tag - Tag name
+	 * @param {string} className - CSS class
+	 * @param {string} text - Text content
+	 * @returns {HTMLElement} Created element
+	 */
+	function appendQuizElement(container, tag, className, text) {
+		const element = document.createElement(tag);
+		element.className = className;
+		element.textContent = text;
+		container.appendChild(element);
+		return element;
+	}
+
+	/**
+	 * Get the text of an answer option (a translation, or an Arabic term)
+	 * @param {Object} question - Question
+	 * @param {Object} item - Option entry
+	 * @returns {string} Option text
+	 */
+	function getQuizOptionText(question, item) {
+		return question.type === 'ar-en' ? item.translation : item.arabic;
+	}
+
+	/**
+	 * Render the prompt of a question
+	 * @param {HTMLElement} container - Parent element
+	 * @param {Object} question - Question
+	 */
+	function renderQuizPrompt(container, question) {
+		const { type, entry } = question;
+		if (type === 'ar-en') {
+			appendQuizElement(container, 'p', 'quiz-instruction', t('quiz.askMeaning'));
+			appendQuizElement(container, 'p', 'quiz-prompt arabic', entry.arabic);
+		} else if (type === 'en-ar') {
+			appendQuizElement(container, 'p', 'quiz-instruction', t('quiz.askTerm'));
+			appendQuizElement(container, 'p', 'quiz-prompt latin', entry.translation);
+		} else if (type === 'image') {
+			appendQuizElement(container, 'p', 'quiz-instruction', t('quiz.askImage'));
+			const imageContainer = document.createElement('div');
+			imageContainer.className = 'image-container-16-9 mb-4';
+			const img = document.createElement('img');
+			img.src = entry.imageUrl;
+			img.alt = t('quiz.imageAlt');
+			img.className = 'image-16-9';
+			imageContainer.appendChild(img);
+			container.appendChild(imageContainer);
+		} else {
+			appendQuizElement(container, 'p', 'quiz-instruction', t('quiz.askMatch'));
+		}
+	}
+
+	/**
+	 * Render the current question, or the results after the last one
+	 * Answered questions show which option was right; a Next button moves on
+	 */
+	function renderQuizQuestion() {
+		if (!quizBody) return;
+		const question = quizQuestions[quizIndex];
+		if (!question) {
+			renderQuizResults();
+			return;
+		}
+
+		const answer = quizAnswers[quizIndex];
+		const answered = answer !== undefined;
+		if (quizSummary) {
+			quizSummary.textContent = t('quiz.progress', { number: quizIndex + 1, total: quizQuestions.length, score: getQuizScore() });
+		}
+
+		quizBody.innerHTML = '';
+		renderQuizPrompt(quizBody, question);
+
+		if (question.type === 'match') {
+			renderQuizMatch(question, answer);
+		} else {
+			const options = document.createElement('div');
+			options.className = 'quiz-options';
+			question.options.forEach((item, i) => {
+				const button = document.createElement('button');
+				button.type = 'button';
+				button.className = `quiz-option ${question.type === 'ar-en' ? 'latin' : 'arabic'}`;
+				button.textContent = getQuizOptionText(question, item);
+				if (answered) {
+					button.disabled = true;
+					if (i === question.answer) button.classList.add('correct');
+					else if (i === answer) button.classList.add('incorrect');
+				}
+				button.addEventListener('click', () => answerQuizQuestion(i));
+				options.appendChild(button);
+			});
+			quizBody.appendChild(options);
+		}
+
+		if (answered) {
+			const actions = document.createElement('div');
+			actions.className = 'mt-4 flex justify-end';
+			const next = appendQuizElement(actions, 'button', 'badge', t(quizIndex + 1 < quizQuestions.length ? 'quiz.next' : 'quiz.seeResults'));
+			next.addEventListener('click', () => {
+				quizIndex++;
+				renderQuizQuestion();
+			});
+			quizBody.appendChild(actions);
+			next.focus();
+		}
+	}
+
+	/**
+	 * Render a category-matching exercise: one category menu per term, checked together
+	 * @param {Object} question - Matching question
+	 * @param {Array<string>|undefined} answer - Chosen categories once checked
+	 */
+	function renderQuizMatch(question, answer) {
+		const answered = answer !== undefined;
+		const selects = [];
+		const rows = document.createElement('div');
+		rows.className = 'quiz-match';
+
+		question.entries.forEach((entry, i) => {
+			const row = document.createElement('label');
+			row.className = 'quiz-match-row';
+			const term = document.createElement('span');
+			appendQuizElement(term, 'span', 'arabic quiz-match-term', entry.arabic);
+			appendQuizElement(term, 'span', 'opacity-70 latin', ` ${entry.translation}`);
+			row.appendChild(term);
+
+			const select = document.createElement('select');
+			select.className = 'input quiz-select';
+			appendQuizElement(select, 'option', '', t('quiz.chooseCategory')).value = '';
+			question.categories.forEach(category => {
+				appendQuizElement(select, 'option', '', category).value = category;
+			});
+			if (answered) {
+				select.value = answer[i] || '';
+				select.disabled = true;
+				row.classList.add(answer[i] === entry.category ? 'correct' : 'incorrect');
+			}
+			selects.push(select);
+			row.appendChild(select);
+			if (answered && answer[i] !== entry.category) {
+				appendQuizElement(row, 'span', 'quiz-correction', `→ ${entry.category}`);
+			}
+			rows.appendChild(row);
+		});
+		quizBody.appendChild(rows);
+
+		if (!answered) {
+			const actions = document.createElement('div');
+			actions.className = 'mt-4 flex justify-end';
+			const check = appendQuizElement(actions, 'button', 'badge', t('quiz.check'));
+			check.addEventListener('click', () => answerQuizQuestion(selects.map(select => select.value)));
+			quizBody.appendChild(actions);
+		}
+	}
+
+	/**
+	 * Record the answer to the current question and show whether it was right
+	 * @param {number|Array<string>} answer - Chosen option index, or chosen categories
+	 */
+	function answerQuizQuestion(answer) {
+		if (quizAnswers[quizIndex] !== undefined) return;
+		quizAnswers[quizIndex] = answer;
+		renderQuizQuestion();
+	}
+
+	/**
+	 * Render the final score and a review of every wrong answer, with actions to retake the same quiz,
+	 * share it, or set up a new one
+	 */
+	function renderQuizResults() {
+		const score = getQuizScore();
+		const total = quizQuestions.length;
+		if (quizSummary) {
+			quizSummary.textContent = t('quiz.score', { score, total, percent: Math.round((score / total) * 100) });
+		}
+
+		quizBody.innerHTML = '';
+		const wrong = quizQuestions
+			.map((question, i) => ({ question, answer: quizAnswers[i] }))
+			.filter(({ question, answer }) => !isQuizAnswerCorrect(question, answer));
+
+		if (wrong.length === 0) {
+			appendQuizElement(quizBody, 'p', 'text-center text-lg font-semibold', t('quiz.allCorrect'));
+		} else {
+			appendQuizElement(quizBody, 'h3', 'font-semibold mb-2', t('quiz.review'));
+			const list = document.createElement('ul');
+			list.className = 'quiz-review';
+			wrong.forEach(({ question, answer }) => {
+				if (question.type === 'match') {
+					question.entries.forEach((entry, i) => {
+						if (answer?.[i] === entry.category) return;
+						appendQuizElement(list, 'li', '', t('quiz.reviewMatch', {
+							term: `${entry.arabic} (${entry.translation})`,
+							category: entry.category,
+							given: answer?.[i] || t('quiz.nothing')
+						}));
+					});
+					return;
+				}
+				const { entry } = question;
+				const chosen = question.options[answer];
+				const given = chosen ? getQuizOptionText(question, chosen) : t('quiz.nothing');
+				appendQuizElement(list, 'li', '', t('quiz.reviewChoice', {
+					answer: `${entry.arabic} – ${entry.translation}${entry.transliteration ? ` (${entry.transliteration})` : ''}`,
+					given
+				}));
+			});
+			quizBody.appendChild(list);
+		}
+
+		const actions = document.createElement('div');
+		actions.className = 'mt-4 flex flex-wrap justify-end gap-2';
+		appendQuizElement(actions, 'button', 'badge', t('quiz.retake')).addEventListener('click', showQuiz);
+		const copy = appendQuizElement(actions, 'button', 'badge', t('quiz.copyLink'));
+		copy.addEventListener('click', () => copyQuizLink(copy));
+		appendQuizElement(actions, 'button', 'badge', t('quiz.new')).addEventListener('click', () => {
+			quizSettings = null;
+			updateURL();
+			renderQuizSetup();
+		});
+		quizBody.appendChild(actions);
+	}
+
+	/**
+	 * Show the quiz setup form (question types and length)
+	 */
+	function renderQuizSetup() {
+		quizQuestions = [];
+		quizKey = '';
+		if (quizBody) quizBody.classList.add('hidden');
+		if (quizSetup) quizSetup.classList.remove('hidden');
+		if (quizSetupMessage) quizSetupMessage.textContent = '';
+		if (quizSummary) {
+			const pool = getSelectedCategoryEntries();
+			const from = selectedCategories.size > 0 ? [...selectedCategories].join(t('common.listSeparator')) : t('quiz.allCategories');
+			quizSummary.textContent = t('quiz.pool', { from, entries: t('common.entries', { count: pool.length }) });
+		}
+	}
+
+	/**
+	 * Start a new quiz with the setup form's choices and a random seed
+	 * The quiz is added to the URL, so the link reproduces it and the back button closes it
+	 */
+	function startQuiz() {
+		const types = [...document.querySelectorAll('input[name="quizType"]:checked')].map(input => input.value);
+		if (types.length === 0) {
+			if (quizSetupMessage) quizSetupMessage.textContent = t('quiz.noTypes');
+			return;
+		}
+
+		quizSettings = {
+			seed: Math.random().toString(36).slice(2, 8),
+			count: parseInt(quizCountSelect?.value, 10) || QUIZ_DEFAULT_COUNT,
+			types: QUIZ_TYPES.filter(type => types.includes(type))
+		};
+		if (!showQuiz()) {
+			quizSettings = null;
+			return;
+		}
+		updateURL();
+	}
+
+	/**
+	 * Generate and show the quiz described by quizSettings, from its first question
+	 * @returns {boolean} False if the selected entries cannot make a quiz (the setup form then explains why)
+	 */
+	function showQuiz() {
+		if (!quizModal || !quizSettings) return false;
+		quizQuestions = generateQuiz(quizSettings);
+		if (quizQuestions.length === 0) {
+			renderQuizSetup();
+			if (quizSetupMessage) {
+				quizSetupMessage.textContent = t('quiz.notEnoughEntries');
+			}
+			openQuizModal();
+			return false;
+		}
+
+		quizKey = getQuizParams(quizSettings).toString();
+		quizIndex = 0;
+		quizAnswers = [];
+		if (quizSetup) quizSetup.classList.add('hidden');
+		quizBody.classList.remove('hidden');
+		renderQuizQuestion();
+		openQuizModal();
+		return true;
+	}
+
+	/**
+	 * Show the quiz modal, prevent body scrolling, and move the focus into it
+	 */
+	function openQuizModal() {
+		if (!quizModal) return;
+		quizModal.classList.remove('hidden');
+		document.body.style.overflow = 'hidden';
+		activateDialog(quizModal);
+	}
+
+	/**
+	 * Hide the quiz modal and restore body scroll and the focus
+	 */
+	function hideQuizModal() {
+		if (!quizModal) return;
+		quizModal.classList.add('hidden');
+		document.body.style.overflow = '';
+		deactivateDialog(quizModal);
+	}
+
+	/**
+	 * Close the quiz
+	 * Goes back in history when the quiz's URL was pushed by startQuiz (as closeModal does for entries),
+	 * otherwise removes the quiz from the URL
+	 */
+	function closeQuiz() {
+		const seed = quizSettings?.seed;
+		quizSettings = null;
+		quizKey = '';
+		hideQuizModal();
+
+		if (seed && window.history.state?.quiz === seed) {
+			window.history.back();
+		} else if (seed) {
+			updateURL();
+		}
+	}
+
+	/**
+	 * Show or hide the quiz to match quizSettings (as parsed from the URL)
+	 * A quiz that is already showing keeps its answers
+	 */
+	function syncQuizWithURL() {
+		if (quizSettings) {
+			if (quizModal?.classList.contains('hidden') || getQuizParams(quizSettings).toString() !== quizKey) {
+				showQuiz();
+			}
+		} else if (quizModal && !quizModal.classList.contains('hidden')) {
+			hideQuizModal();
+		}
+	}
+
+	/**
+	 * Copy the current quiz's link to the clipboard
+	 * Briefly confirms on the button; falls back to a prompt where the Clipboard API is unavailable
+	 * @param {HTMLButtonElement} button - Copy button
+	 * @returns {Promise<void>}
+	 */
+	async function copyQuizLink(button) {
+		if (!quizSettings) return;
+		const url = getQuizURL(quizSettings);
+
+		try {
+			await navigator.clipboard.writeText(url);
+			button.textContent = t('common.linkCopied');
+			setTimeout(() => { button.textContent = t('quiz.copyLink'); }, 2000);
+		} catch (_) {
+			window.prompt(t('common.copyPrompt'), url);
+		}
+	}
+
+	// ============================================================================
+	// EXPORT AND PRINT
+	// ============================================================================
+
+	/**
+	 * Get the export columns: every mapped entry field with its source header
+	 * The first header of each field in SOURCE_CONFIG.mapping is used, so an exported CSV maps back to
+	 * the same entries when loaded as a data source
+	 * @returns {Array<{field: string, header: string}>} Columns in mapping order
+	 */
+	function getExportColumns() {
+		return Object.keys(SOURCE_CONFIG.mapping).map(field => ({
+			field,
+			header: [].concat(SOURCE_CONFIG.mapping[field] || [])[0] || field
+		}));
+	}
+
+	/**
+	 * Get the file name of an export: the selected categories (or "all") and today's date
+	 * @param {string} extension - File extension without the dot
+	 * @returns {string} File name (e.g. 'quran-dictionary-acts-of-worship-2026-10-19.csv')
+	 */
+	function getExportFilename(extension) {
+		const scope = selectedCategories.size > 0 ? [...selectedCategories].map(slugify).join('-') : 'all';
+		return `quran-dictionary-${scope || 'results'}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+	}
+
+	/**
+	 * Escape text for use in HTML (Anki note fields)
+	 * @param {string} text - Plain text
+	 * @returns {string} HTML-safe text
+	 */
+	function escapeHTML(text) {
+		return String(text ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	/**
+	 * Build an Anki note for an entry
+	 * The front holds the Arabic term, the back the transliteration, translation and meanings (Arabic text
+	 * marked right-to-left); the category becomes a tag and the GUID lets a re-import update existing notes.
+	 * Attributes use single quotes so fields need no CSV quoting
+	 * @param {Object} item - Dictionary entry
+	 * @returns {string[]} Note fields: GUID, front, back, tags
+	 */
+	function createAnkiNote(item) {
+		const line = (text, attributes = '') => (text ? `<div${attributes}>${escapeHTML(text)}</div>` : '');
+		const front = line(item.arabic, " dir='rtl' lang='ar' style='font-size: 2em;'");
+		const back = [
+			line(item.transliteration, " style='font-style: italic;'"),
+			line(item.translation, " style='font-weight: bold;'"),
+			line(item.meaning),
+			line(item.arabicDescription, " dir='rtl' lang='ar'")
+		].join('');
+		const tags = item.category ? `quran-dictionary ${item.category.trim().replace(/\s+/g, '_')}` : 'quran-dictionary';
+		return [`quran-dictionary-${getEntrySlug(item)}`, front, back, tags];
+	}
+
+	/**
+	 * Download the current results (filteredData, in the displayed order)
+	 * - 'csv': one row per entry under the source headers, with a BOM for spreadsheet apps;
+	 *   parses back with QD.csv.parseCSVToObjects
+	 * - 'json': the entries with the search and filters that produced them; loads as a JSON data source
+	 * - 'anki': tab-separated notes with Anki's import headers (HTML fields, GUID and tags columns)
+	 * @param {string} format - 'csv', 'json' or 'anki'
+	 */
+	function exportResults(format) {
+		const columns = getExportColumns();
+		const entries = filteredData.map(item => Object.fromEntries(columns.map(({ field }) => [field, item[field] ?? ''])));
+		if (exportMenu) exportMenu.open = false;
+
+		if (format === 'json') {
+			const file = {
+				exportedAt: new Date().toISOString(),
+				query: stringifySearchQuery(parsedQuery),
+				categories: [...selectedCategories],
+				total: entries.length,
+				entries
+			};
+			downloadFile(getExportFilename('json'), JSON.stringify(file, null, 2), 'application/json');
+			return;
+		}
+
+		if (format === 'anki') {
+			const header = ['#separator:tab', '#html:true', '#columns:GUID\tFront\tBack\tTags', '#guid column:1', '#tags column:4'];
+			const notes = window.QD.csv.stringify(filteredData.map(createAnkiNote), { delimiter: '\t' });
+			downloadFile(getExportFilename('txt'), `${header.join('\n')}\n${notes}`, 'text/tab-separated-values;charset=utf-8');
+			return;
+		}
+
+		const rows = [columns.map(({ header }) => header), ...entries.map(entry => columns.map(({ field }) => entry[field]))];
+		// Prefix a BOM so spreadsheet apps read the Arabic text as UTF-8
+		downloadFile(getExportFilename('csv'), '\uFEFF' + window.QD.csv.stringify(rows), 'text/csv;charset=utf-8');
+	}
+
+	/**
+	 * Fill the printable handout with the current results
+	 * The handout is only visible when printing (see the print stylesheet in index.html); it lists each entry's
+	 * Arabic term, transliteration, translation and meanings, with the Arabic columns set right-to-left.
+	 * Also runs on the browser's beforeprint event, so printing from the browser menu gives the same handout
+	 */
+	function renderPrintHandout() {
+		if (!printHandout) return;
+		printHandout.innerHTML = '';
+
+		const title = document.createElement('h1');
+		title.className = 'print-title';
+		title.textContent = selectedCategories.size > 0 ? [...selectedCategories].join(' · ') : t('app.title');
+		printHandout.appendChild(title);
+
+		const details = [
+			t('print.terms', { count: filteredData.length }),
+			stringifySearchQuery(parsedQuery) ? t('print.search', { query: stringifySearchQuery(parsedQuery) }) : '',
+			new Date().toLocaleDateString(translator.getLocale())
+		].filter(Boolean);
+		const subtitle = document.createElement('p');
+		subtitle.className = 'print-subtitle';
+		subtitle.textContent = details.join(' · ');
+		printHandout.appendChild(subtitle);
+
+		const table = document.createElement('table');
+		table.className = 'print-table';
+		const columns = [
+			{ label: '#' },
+			{ label: 'المصطلح', field: 'arabic', arabic: true },
+			{ label: 'Transliteration', field: 'transliteration' },
+			{ label: 'Translation', field: 'translation' },
+			{ label: 'Meaning', field: 'meaning' },
+			{ label: 'المعنى', field: 'arabicDescription', arabic: true }
+		];
+
+		const headerRow = document.createElement('tr');
+		columns.forEach(column => {
+			const th = document.createElement('th');
+			th.textContent = column.label;
+			if (column.arabic) {
+				th.className = 'arabic';
+				th.dir = 'rtl';
+				th.lang = 'ar';
+			}
+			headerRow.appendChild(th);
+		});
+		const thead = document.createElement('thead');
+		thead.appendChild(headerRow);
+		table.appendChild(thead);
+
+		const tbody = document.createElement('tbody');
+		filteredData.forEach((item, index) => {
+			const row = document.createElement('tr');
+			columns.forEach(column => {
+				const td = document.createElement('td');
+				td.textContent = column.field ? item[column.field] || '' : String(index + 1);
+				if (column.arabic) {
+					td.className = column.field === 'arabic' ? 'arabic print-term' : 'arabic';
+					td.dir = 'rtl';
+					td.lang = 'ar';
+				}
+				row.appendChild(td);
+			});
+			tbody.appendChild(row);
+		});
+		table.appendChild(tbody);
+		printHandout.appendChild(table);
+	}
+
+	/**
+	 * Print the current results as a handout
+	 */
+	function printResults() {
+		if (exportMenu) exportMenu.open = false;
+		renderPrintHandout();
+		window.print();
+	}
+
+	// ============================================================================
+	// PRONUNCIATION
+	// ============================================================================
+
+	/**
+	 * Check whether an entry can be played: it has a recording, or an Arabic term and the browser can speak
+	 * @param {Object} item - Dictionary entry
+	 * @returns {boolean} True if a play button should be shown
+	 */
+	function canPlayPronunciation(item) {
+		return Boolean(item.audioUrl) || (Boolean(item.arabic) && 'speechSynthesis' in window);
+	}
+
+	/**
+	 * Find an Arabic speech synthesis voice, preferring voices that work offline
+	 * Voices load asynchronously, so this may return undefined on the first call
+	 * @returns {SpeechSynthesisVoice|undefined} Arabic voice
+	 */
+	function getArabicVoice() {
+		const voices = window.speechSynthesis?.getVoices() || [];
+		const arabic = voices.filter(voice => /^ar\b/i.test(voice.lang));
+		return arabic.find(voice => voice.localService) || arabic[0];
+	}
+
+	/**
+	 * Speak Arabic text with the browser's speech synthesis, slightly slower than normal for learners
+	 * Without an Arabic voice the text is still spoken with lang 'ar', leaving the choice to the browser
+	 * @param {string} text - Arabic text
+	 * @param {Function} onEnd - Called when speaking ends or fails
+	 * @returns {boolean} False if speech synthesis is unavailable
+	 */
+	function speakArabic(text, onEnd) {
+		if (!text || !('speechSynthesis' in window) || typeof SpeechSynthesisUtterance === 'undefined') {
+			return false;
+		}
+		const utterance = new SpeechSynthesisUtterance(text);
+		const voice = getArabicVoice();
+		if (voice) utterance.voice = voice;
+		utterance.lang = voice?.lang || 'ar';
+		utterance.rate = 0.8;
+		utterance.onend = onEnd;
+		utterance.onerror = onEnd;
+		window.speechSynthesis.cancel();
+		window.speechSynthesis.speak(utterance);
+		return true;
+	}
+
+	/**
+	 * Update a play button's symbol and label
+	 * @param {HTMLButtonElement} button - Play button
+	 * @param {boolean} playing - Whether its entry is playing
+	 */
+	function updatePlayButton(button, playing) {
+		if (!button) return;
+		button.classList.toggle('playing', playing);
+		button.textContent = playing ? '■' : '▶';
+		button.setAttribute('aria-label', t(playing ? 'pronunciation.stop' : 'pronunciation.play'));
+		button.title = t(playing ? 'pronunciation.stopShort' : 'pronunciation.play');
+	}
+
+	/**
+	 * Stop the recording or speech that is playing, if any
+	 */
+	function stopPronunciation() {
+		if (pronunciationAudio) {
+			pronunciationAudio.pause();
+			pronunciationAudio = null;
+		}
+		if ('speechSynthesis' in window) {
+			window.speechSynthesis.cancel();
+		}
+		updatePlayButton(activePlayButton, false);
+		activePlayButton = null;
+	}
+
+	/**
+	 * Play an entry's pronunciation: its recording when it has one, otherwise (or when the recording fails
+	 * to load, e.g. offline before it was cached) the Arabic term through speech synthesis
+	 * Pressing the playing button again stops it
+	 * @param {Object} item - Dictionary entry
+	 * @param {HTMLButtonElement} button - Button that started playback
+	 * @returns {Promise<void>}
+	 */
+	async function playPronunciation(item, button) {
+		const wasPlaying = activePlayButton === button;
+		stopPronunciation();
+		if (wasPlaying) return;
+
+		activePlayButton = button;
+		updatePlayButton(button, true);
+		const done = () => {
+			if (activePlayButton !== button) return;
+			updatePlayButton(button, false);
+			activePlayButton = null;
+			pronunciationAudio = null;
+		};
+
+		if (item.audioUrl) {
+			const audio = new Audio(item.audioUrl);
+			pronunciationAudio = audio;
+			audio.addEventListener('ended', done);
+			try {
+				await audio.play();
+				return;
+			} catch (error) {
+				// Stopped before playback started, or replaced by another entry
+				if (pronunciationAudio !== audio) return;
+				console.warn('Failed to play recording, using speech synthesis:', error);
+				pronunciationAudio = null;
+			}
+		}
+
+		if (!speakArabic(item.arabic, done)) {
+			done();
+		}
+	}
+
+	/**
+	 * Create a play button for a card or table row
+	 * Clicks do not reach the card underneath
+	 * @param {Object} item - Dictionary entry
+	 * @returns {HTMLButtonElement} Play button
+	 */
+	function createPlayButton(item) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'play-button';
+		updatePlayButton(button, false);
+		button.addEventListener('click', (e) => {
+			e.stopPropagation();
+			playPronunciation(item, button);
+		});
+		return button;
+	}
+
+	// ============================================================================
+	// VERSE REFERENCES
+	// ============================================================================
+
+	/**
+	 * Count the verses an entry occurs in (its references, with ranges counted verse by verse)
+	 * Used as the 'occurrences' sort key
+	 * @param {Object} item - Dictionary entry
+	 * @returns {number} Number of referenced verses
+	 */
+	function getOccurrenceCount(item) {
+		return item.verses?.length || 0;
+	}
+
+	/**
+	 * Load the bundled Quran text (QURAN_TEXT_URL) once
+	 * A failed load resolves to an empty map, so the references are still listed. When the server answered
+	 * (the file is missing) the empty map is kept; a network failure is retried on the first entry opened
+	 * after the browser is back online
+	 * @returns {Promise<Map<string, string>>} Verse text by reference (see QD.quran.parseText)
+	 */
+	function loadQuranText() {
+		if (!quranTextPromise) {
+			quranTextPromise = window.QD.http.fetchWithRetry(QURAN_TEXT_URL, {
+				retries: 2,
+				backoffMs: 500,
+				timeoutMs: 15000,
+				acceptTypes: 'text/plain, */*'
+			}).then(response => window.QD.quran.parseText(response.text)).catch(error => {
+				console.warn('Failed to load the Quran text:', error);
+				if (error.status == null) {
+					window.addEventListener('online', () => { quranTextPromise = null; }, { once: true });
+				}
+				return new Map();
+			});
+		}
+		return quranTextPromise;
+	}
+
+	/**
+	 * Get the normalized strings to highlight in an entry's verses
+	 * The term is normalized like the search (removeTashkeel), without the definite article since verses
+	 * attach other particles to it, and with a final taa marbuta also matched as ت (صلاة → صلاتهم).
+	 * The Uthmani spelling is matched too: a long ā before a final taa marbuta written as و (صَلَوٰة), and
+	 * elsewhere as a dagger alif, which normalizes away (كِتَٰب)
+	 * @param {Object} item - Dictionary entry
+	 * @returns {string[]} Needles for setHighlightedText
+	 */
+	function getVerseNeedles(item) {
+		const term = (normalizeSearchText(item.arabic) || '').replace(/[^\u0621-\u064A\s]/g, '').trim();
+		if (!term) return [];
+		const stem = term.replace(/^\u0627\u0644(?=\S{3})/, ''); // ال
+		const uthmani = /\u0627\u0647$/.test(stem)
+			? stem.replace(/\u0627\u0647$/, '\u0648\u0647') // اه → وه
+			: stem.replace(/(?!^)\u0627/g, ''); // medial ا
+		const spellings = uthmani.replace(/\s/g, '').length >= 3 ? [stem, uthmani] : [stem];
+		return [...new Set(spellings.flatMap(spelling => [spelling, spelling.replace(/\u0647$/, '\u062A')]))]; // ه → ت
+	}
+
+	/**
+	 * Render the modal's list of verse references and occurrence count
+	 * The verse text is filled in once the Quran text has loaded, with the term highlighted; verses missing
+	 * from the text file are marked as unavailable
+	 * @param {Object} item - Entry shown in the modal
+	 */
+	function renderModalVerses(item) {
+		if (!modalVerses || !modalVerseList) return;
+		const verses = item.verses || [];
+		modalVerseList.innerHTML = '';
+		modalVerses.classList.toggle('hidden', verses.length === 0);
+		if (verses.length === 0) return;
+
+		if (modalOccurrences) {
+			modalOccurrences.textContent = t('verses.count', { count: verses.length });
+		}
+
+		const textElements = verses.map(reference => {
+			const listItem = document.createElement('li');
+			listItem.className = 'verse-item';
+
+			const label = document.createElement('span');
+			label.className = 'verse-reference badge';
+			label.textContent = window.QD.quran.formatReference(reference);
+			listItem.appendChild(label);
+
+			const text = document.createElement('p');
+			text.className = 'verse-text verse-text-pending';
+			text.textContent = t('verses.loading');
+			listItem.appendChild(text);
+
+			modalVerseList.appendChild(listItem);
+			return text;
+		});
+
+		loadQuranText().then(quranText => {
+			// The modal has moved on to another entry
+			if (!modalVerseList.contains(textElements[0])) return;
+
+			const needles = getVerseNeedles(item);
+			verses.forEach((reference, index) => {
+				const element = textElements[index];
+				const verseText = quranText.get(window.QD.quran.formatReference(reference));
+				if (verseText) {
+					element.className = 'verse-text arabic';
+					element.lang = 'ar';
+					element.dir = 'rtl';
+					setHighlightedText(element, verseText, needles);
+				} else {
+					element.className = 'verse-text verse-text-pending';
+					element.textContent = t('verses.unavailable');
+				}
+			});
+		});
+	}
+
+	// ============================================================================
+	// RELATED TERMS
+	// ============================================================================
+
+	/**
+	 * Split the entry IDs listed in a relation field (see RELATION_TYPES)
+	 * @param {string} text - IDs separated by commas, semicolons or spaces
+	 * @returns {string[]} IDs
+	 */
+	function parseIdList(text) {
+		return String(text || '').split(/[\s,;]+/).filter(Boolean);
+	}
+
+	/**
+	 * Build the links between the entries of dictionaryData from their relation fields
+	 * Links go both ways: an entry listing another under "See also" is listed under "See also" of that entry too.
+	 * IDs matching no entry are skipped (validateEntries reports them); with duplicate IDs the first entry wins,
+	 * as in findEntryByParam
+	 * Called once after data is loaded, like buildSearchIndex
+	 */
+	function buildRelations() {
+		const byId = new Map();
+		dictionaryData.forEach(item => {
+			if (item.id && !byId.has(item.id)) byId.set(item.id, item);
+		});
+
+		relatedEntries = new Map();
+		const link = (from, field, to) => {
+			if (!relatedEntries.has(from)) relatedEntries.set(from, {});
+			const links = relatedEntries.get(from);
+			(links[field] = links[field] || new Set()).add(to);
+		};
+
+		dictionaryData.forEach(item => {
+			RELATION_TYPES.forEach(({ field }) => {
+				parseIdList(item[field]).forEach(id => {
+					const target = byId.get(id);
+					if (!target || target === item) return;
+					link(item, field, target);
+					link(target, field, item);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Get an entry's related entries grouped by relation type, in RELATION_TYPES order
+	 * @param {Object} item - Dictionary entry
+	 * @returns {{type: Object, entries: Object[]}[]} Groups that have at least one entry
+	 */
+	function getRelatedGroups(item) {
+		const links = relatedEntries.get(item) || {};
+		return RELATION_TYPES
+			.filter(type => links[type.field]?.size > 0)
+			.map(type => ({ type, entries: [...links[type.field]] }));
+	}
+
+	/**
+	 * Create a link to a related entry for the modal
+	 * The link points to the entry's URL (so it can be opened in a new tab); a plain click opens the entry
+	 * in the modal with openRelatedEntry
+	 * @param {Object} item - Related entry
+	 * @returns {HTMLAnchorElement} Link
+	 */
+	function createRelatedLink(item) {
+		const link = document.createElement('a');
+		link.className = 'badge related-link';
+		link.href = getEntryURL(item);
+		if (item.color) link.style.borderColor = item.color;
+
+		const arabic = document.createElement('span');
+		arabic.className = 'arabic';
+		arabic.textContent = item.arabic || '';
+		link.appendChild(arabic);
+
+		if (item.translation) {
+			const translation = document.createElement('span');
+			translation.className = 'related-link-translation';
+			translation.textContent = item.translation;
+			link.appendChild(translation);
+		}
+
+		link.addEventListener('click', (e) => {
+			if (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+			e.preventDefault();
+			openRelatedEntry(item);
+		});
+		return link;
+	}
+
+	/**
+	 * Render the modal's related terms, one group per relation type
+	 * @param {Object} item - Entry shown in the modal
+	 */
+	function renderModalRelated(item) {
+		if (!modalRelated) return;
+		const groups = getRelatedGroups(item);
+		modalRelated.innerHTML = '';
+		modalRelated.classList.toggle('hidden', groups.length === 0);
+
+		groups.forEach(({ type, entries }) => {
+			const group = document.createElement('div');
+			group.className = 'related-group';
+
+			const title = document.createElement('h4');
+			title.className = 'modal-section-title';
+			title.textContent = t(type.labelKey);
+			group.appendChild(title);
+
+			const links = document.createElement('div');
+			links.className = 'flex flex-wrap gap-2';
+			entries.forEach(entry => links.appendChild(createRelatedLink(entry)));
+			group.appendChild(links);
+
+			modalRelated.appendChild(group);
+		});
+	}
+
+	/**
+	 * Render the breadcrumb of entries visited before the open one via related-term links
+	 * Each earlier entry can be clicked to go back to it (see openTrailEntry)
+	 */
+	function renderModalBreadcrumb() {
+		if (!modalBreadcrumb) return;
+		modalBreadcrumb.innerHTML = '';
+		modalBreadcrumb.classList.toggle('hidden', modalTrail.length === 0);
+		if (modalTrail.length === 0 || !openEntry) return;
+
+		modalTrail.forEach((item, index) => {
+			const crumb = document.createElement('button');
+			crumb.type = 'button';
+			crumb.className = 'breadcrumb-link arabic';
+			crumb.textContent = item.arabic || item.translation;
+			crumb.title = item.translation || '';
+			crumb.addEventListener('click', () => openTrailEntry(index));
+
+			const separator = document.createElement('span');
+			separator.className = 'breadcrumb-separator';
+			separator.setAttribute('aria-hidden', 'true');
+			separator.textContent = t('common.breadcrumbSeparator');
+
+			modalBreadcrumb.append(crumb, separator);
+		});
+
+		const current = document.createElement('span');
+		current.className = 'breadcrumb-current arabic';
+		current.setAttribute('aria-current', 'page');
+		current.textContent = openEntry.arabic || openEntry.translation;
+		modalBreadcrumb.appendChild(current);
+	}
+
+	/**
+	 * Get how many consecutive history entries of the open modal precede (and include) the current one
+	 * Recorded in the history state by updateURL; 0 when the current history entry has no open entry
+	 * @returns {number} Number of history entries
+	 */
+	function getModalHistoryDepth() {
+		const state = window.history.state;
+		return state?.entry ? (state.modalDepth || 1) : 0;
+	}
+
+	/**
+	 * Show an entry in the open modal, scrolled to the top, with the pronunciation of the previous one stopped
+	 * @param {Object} item - Entry to show
+	 * @param {Object} options - Optional settings
+	 * @param {boolean} options.replace - Replace the entry's history step instead of adding one (see updateURL)
+	 */
+	function switchModalEntry(item, options = {}) {
+		stopPronunciation();
+		openEntry = item;
+		showModal(item);
+		const content = modal.querySelector('.modal-content');
+		if (content) content.scrollTop = 0;
+		updateURL(options);
+	}
+
+	/**
+	 * Open a related entry in the modal, adding the current entry to the breadcrumb trail
+	 * The step is pushed to the browser history, so Back returns to the previous entry
+	 * @param {Object} item - Related entry
+	 */
+	function openRelatedEntry(item) {
+		if (!openEntry || item === openEntry) return;
+		modalTrail.push(openEntry);
+		switchModalEntry(item);
+	}
+
+	/**
+	 * Go back to an entry of the breadcrumb trail
+	 * Goes back in history when the steps since that entry were pushed by openRelatedEntry (so the breadcrumb
+	 * and the back button agree), otherwise shows the entry as a new step
+	 * @param {number} index - Index of the entry in modalTrail
+	 */
+	function openTrailEntry(index) {
+		const steps = modalTrail.length - index;
+		if (getModalHistoryDepth() > steps) {
+			window.history.go(-steps);
+			return;
+		}
+		const item = modalTrail[index];
+		modalTrail = modalTrail.slice(0, index);
+		switchModalEntry(item);
+	}
+
+	// ============================================================================
+	// RELATIONSHIP GRAPH
+	// ============================================================================
+
+	/**
+	 * Fill the graph's category menu, keeping its selection
+	 * Defaults to the first selected category, or the first category with related terms
+	 */
+	function renderGraphCategoryOptions() {
+		if (!graphCategorySelect) return;
+		const categories = [...new Set(dictionaryData.map(item => item.category).filter(Boolean))].sort();
+		const previous = graphCategorySelect.value;
+		const fallback = [...selectedCategories][0] ||
+			categories.find(category => dictionaryData.some(item => item.category === category && relatedEntries.has(item))) ||
+			'';
+
+		graphCategorySelect.innerHTML = '';
+		graphCategorySelect.appendChild(new Option(t('common.allCategories'), ''));
+		categories.forEach(category => graphCategorySelect.appendChild(new Option(category, category)));
+		graphCategorySelect.value = categories.includes(previous) ? previous : fallback;
+	}
+
+	/**
+	 * Draw the relationships of the selected category as a graph
+	 * Entries of the category that have related terms are placed on a circle together with the entries they
+	 * link to (those from other categories drawn faded), and each link is a line colored by relation type.
+	 * Clicking a term opens it in the entry modal
+	 */
+	function renderGraph() {
+		if (!graphCanvas) return;
+		const SVG_NS = 'http://www.w3.org/2000/svg';
+		const category = graphCategorySelect?.value || '';
+		const inCategory = item => !category || item.category === category;
+
+		// Collect the links of the category's entries, once per pair and relation type
+		const nodes = new Set();
+		const edges = [];
+		const seen = new Set();
+		dictionaryData.filter(inCategory).forEach(item => {
+			getRelatedGroups(item).forEach(({ type, entries }) => {
+				entries.forEach(other => {
+					const key = [type.field, ...[getEntryKey(item), getEntryKey(other)].sort()].join('\u0000');
+					nodes.add(item);
+					nodes.add(other);
+					if (seen.has(key)) return;
+					seen.add(key);
+					edges.push({ from: item, to: other, type });
+				});
+			});
+		});
+
+		graphCanvas.innerHTML = '';
+		if (graphLegend) {
+			graphLegend.innerHTML = '';
+			RELATION_TYPES.filter(type => edges.some(edge => edge.type === type)).forEach(type => {
+				const item = document.createElement('span');
+				item.className = 'graph-legend-item';
+				const swatch = document.createElement('span');
+				swatch.className = `graph-legend-swatch graph-edge-${type.field}`;
+				item.append(swatch, t(type.labelKey));
+				graphLegend.appendChild(item);
+			});
+		}
+		if (graphMessage) {
+			graphMessage.textContent = nodes.size === 0
+				? t('graph.empty')
+				: t('graph.summary', { terms: t('graph.terms', { count: nodes.size }), links: t('graph.links', { count: edges.length }) });
+		}
+		if (nodes.size === 0) return;
+
+		// Entries of the category first, each group in sheet order, evenly spaced on a circle
+		const ordered = dictionaryData.filter(item => nodes.has(item))
+			.sort((a, b) => Number(!inCategory(a)) - Number(!inCategory(b)));
+		const size = 640;
+		const center = size / 2;
+		const radius = ordered.length === 1 ? 0 : 230;
+		const positions = new Map(ordered.map((item, index) => {
+			const angle = (2 * Math.PI * index) / ordered.length - Math.PI / 2;
+			return [item, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle), angle }];
+		}));
+
+		const svg = document.createElementNS(SVG_NS, 'svg');
+		svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+		svg.setAttribute('class', 'graph-svg');
+		svg.setAttribute('role', 'group');
+		svg.setAttribute('aria-label', category ? t('graph.labelInCategory', { category }) : t('graph.title'));
+
+		edges.forEach(({ from, to, type }) => {
+			const line = document.createElementNS(SVG_NS, 'line');
+			const start = positions.get(from);
+			const end = positions.get(to);
+			line.setAttribute('x1', start.x);
+			line.setAttribute('y1', start.y);
+			line.setAttribute('x2', end.x);
+			line.setAttribute('y2', end.y);
+			line.setAttribute('class', `graph-edge graph-edge-${type.field}`);
+			svg.appendChild(line);
+		});
+
+		ordered.forEach(item => {
+			const { x, y, angle } = positions.get(item);
+			const node = document.createElementNS(SVG_NS, 'g');
+			node.setAttribute('class', `graph-node${inCategory(item) ? '' : ' graph-node-external'}`);
+			node.setAttribute('tabindex', '0');
+			node.setAttribute('role', 'button');
+			node.setAttribute('aria-label', [item.arabic, item.translation].filter(Boolean).join(' – '));
+
+			const title = document.createElementNS(SVG_NS, 'title');
+			title.textContent = [item.translation, item.category].filter(Boolean).join(' · ');
+			node.appendChild(title);
+
+			const circle = document.createElementNS(SVG_NS, 'circle');
+			circle.setAttribute('cx', x);
+			circle.setAttribute('cy', y);
+			circle.setAttribute('r', 7);
+			if (item.color) circle.style.fill = item.color;
+			node.appendChild(circle);
+
+			// Labels sit outside the circle, centered on the node's direction
+			const label = document.createElementNS(SVG_NS, 'text');
+			label.setAttribute('x', x + 24 * Math.cos(angle));
+			label.setAttribute('y', y + 24 * Math.sin(angle));
+			label.setAttribute('text-anchor', 'middle');
+			label.setAttribute('dominant-baseline', 'middle');
+			label.setAttribute('class', 'graph-label arabic');
+			label.textContent = item.arabic || item.translation;
+			node.appendChild(label);
+
+			const open = () => {
+				closeGraphModal();
+				openModal(item);
+			};
+			node.addEventListener('click', open);
+			node.addEventListener('keydown', (e) => {
+				if (e.key === 'Enter' || e.key === ' ') {
+					e.preventDefault();
+					open();
+				}
+			});
+			svg.appendChild(node);
+		});
+
+		graphCanvas.appendChild(svg);
+	}
+
+	/**
+	 * Open the relationship graph
+	 */
+	function openGraphModal() {
+		if (!graphModal) return;
+		renderGraphCategoryOptions();
+		renderGraph();
+		graphModal.classList.remove('hidden');
+		document.body.style.overflow = 'hidden';
+		activateDialog(graphModal);
+	}
+
+	/**
+	 * Close the relationship graph, returning the focus to the element focused before it opened
+	 */
+	function closeGraphModal() {
+		if (!graphModal) return;
+		graphModal.classList.add('hidden');
+		document.body.style.overflow = '';
+		deactivateDialog(graphModal);
+	}
+
+	// ============================================================================
+	// SEARCH AND FILTERING
+	// ============================================================================
+
+	/**
+	 * Remove Arabic diacritics (tashkeel) from text for search normalization
+	 * Also normalizes various Alif forms and interchangeable characters
+	 * This allows searching without needing exact diacritics
+	 * @param {string} text - Arabic text to normalize
+	 * @returns {string} Normalized text without diacritics
+	 */
+	function removeTashkeel(text) {
+		if (!text || typeof text !== 'string') return text;
+		
+		return text
+			// Remove Arabic diacritics (Unicode ranges: 064B-065F, 0670, 06D6-06ED)
+			.replace(/[\u064B-\u065F\u0670\u06D6-\u06ED\u06F0-\u06F9]/g, '')
+			// Remove tatweel (elongation mark)
+			.replace(/[\u0640]/g, '')
+			// Normalize all Alif variants to regular Alif (ا)
+			.replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // آ أ إ ٱ → ا
+			// Normalize Ya variants (ي and ى are interchangeable)
+			.replace(/\u0649/g, '\u064A') // ى → ي
+			// Normalize Taa marbuta and Haa (ة and ه are interchangeable)
+			.replace(/\u0629/g, '\u0647'); // ة → ه
+	}
+
+	/**
+	 * Fold Latin text to plain ASCII letters for search normalization
+	 * The Latin counterpart of removeTashkeel: strips transliteration diacritics (ā, ṣ, ḥ, ...)
+	 * and the ʿayn/hamza marks so "Ṣalāh", "salāh" and "salah" are searched alike
+	 * Arabic letters are left untouched
+	 * @param {string} text - Text to normalize
+	 * @returns {string} Text with Latin diacritics removed
+	 */
+	function foldLatin(text) {
+		if (!text || typeof text !== 'string') return text;
+
+		return text
+			// Decompose, drop Latin combining marks (U+0300-036F), and recompose the rest
+			.normalize('NFD')
+			.replace(/[\u0300-\u036F]/g, '')
+			.normalize('NFC')
+			// Remove ʿayn/hamza marks and apostrophes used in transliteration
+			.replace(/[\u02BE\u02BF\u02BB\u02BC\u2018\u2019'`]/g, '');
+	}
+
+	/**
+	 * Normalize text for searching: Arabic with removeTashkeel, Latin with foldLatin
+	 * Works character by character, so normalizing a string equals concatenating its normalized characters
+	 * (highlighting relies on this to map matches back to the original text)
+	 * @param {string} text - Text to normalize
+	 * @returns {string} Normalized text
+	 */
+	function normalizeSearchText(text) {
+		return foldLatin(removeTashkeel(text));
+	}
+
+	/**
+	 * Extract the (usually trilateral) root of an Arabic word with a light stemmer
+	 * Strips the definite article and attached particles, pronoun/plural suffixes, pattern letters
+	 * (long vowels, the ت of افتعل) and imperfect/participle prefixes until three letters remain,
+	 * so that كتاب, كاتب, مكتوب and يكتبون all reduce to كتب
+	 * Weak letters and hamza carriers are folded together so hollow, defective and hamzated
+	 * roots (صوم/صيام, صلاة/صلوات, إيمان/مؤمن) still match
+	 * @param {string} word - Arabic word (with or without diacritics)
+	 * @returns {string} Root or light stem, or empty string if the word has no Arabic letters
+	 */
+	function extractRoot(word) {
+		let w = (removeTashkeel(word) || '').replace(/[^\u0621-\u064A]/g, '');
+		if (!w) return '';
+
+		const article = ROOT_ARTICLE_PREFIXES.find(p => w.startsWith(p) && w.length - p.length >= 3);
+		if (article) w = w.slice(article.length);
+
+		let suffix;
+		while (w.length > 3 && (suffix = ROOT_SUFFIXES.find(sfx => w.endsWith(sfx) && w.length - sfx.length >= 3))) {
+			w = w.slice(0, -suffix.length);
+		}
+
+		while (w.length > 3) {
+			// Pattern vowels inside the word (فاعل, فعال, مفعول, فعيل)
+			const weakIndex = [...w.slice(1, -1)].findIndex(ch => ROOT_WEAK_LETTERS.includes(ch));
+			if (weakIndex !== -1) {
+				w = w.slice(0, weakIndex + 1) + w.slice(weakIndex + 2);
+			} else if (w[1] === '\u062A') {
+				// Infixed ت of افتعل/استفعل
+				w = w[0] + w.slice(2);
+			} else if (ROOT_PREFIX_LETTERS.includes(w[0])) {
+				w = w.slice(1);
+			} else {
+				break;
+			}
+		}
+
+		return w[0].replace(/[\u0621\u0624\u0626]/, '\u0627') + w.slice(1).replace(/[\u0621\u0624\u0626\u0648\u064A]/g, '\u0627');
+	}
+
+	/**
+	 * Build the inverted search index over dictionaryData
+	 * Text is normalized with normalizeSearchText; Latin fields tolerate typos
+	 * Called once after data is loaded so searching does not re-normalize every entry per keystroke
+	 */
+	function buildSearchIndex() {
+		searchIndex = window.QD.search.createSearchIndex(dictionaryData, {
+			fields: SEARCH_FIELDS,
+			normalize: normalizeSearchText,
+			stem: extractRoot,
+			fuzzyFields: FUZZY_SEARCH_FIELDS,
+			scopedFields: SCOPED_SEARCH_FIELDS
+		});
+	}
+
+	/**
+	 * Parse search box text into a structured query using the app's field aliases
+	 * @param {string} text - Search box text
+	 * @returns {Object} Parsed query (see QD.query.parse)
+	 */
+	function parseSearchQuery(text) {
+		return window.QD.query.parse(text, { fields: QUERY_FIELD_ALIASES });
+	}
+
+	/**
+	 * Serialize a structured query back to canonical search box text
+	 * @param {Object} parsed - Parsed query (see QD.query.parse)
+	 * @returns {string} Canonical query text
+	 */
+	function stringifySearchQuery(parsed) {
+		return window.QD.query.stringify(parsed, { fields: QUERY_FIELD_ALIASES });
+	}
+
+	/**
+	 * Apply search and category filters to dictionary data
+	 * Filters by category selection and evaluates the structured search query against the search index
+	 * (field scoping, "exact phrases", -exclusions and OR; see QD.query.parse)
+	 * In root search mode, Arabic query words match every entry word sharing the same root
+	 * Records a relevance score per matching entry so applySort can rank results
+	 * Updates filteredData, applies sorting, renders results, and updates URL
+	 */
+	function applyFilters() {
+		parsedQuery = parseSearchQuery(searchQuery);
+		const matches = searchIndex ? searchIndex.evaluate(parsedQuery, { stem: searchMode === 'root' }) : null;
+		searchScores = matches || new Map();
+		
+		filteredData = dictionaryData.filter(item => {
+			// Category filter
+			if (selectedCategories.size > 0 && !selectedCategories.has(item.category)) {
+				return false;
+			}
+
+			// Word list filter (entries in any selected list)
+			if (selectedLists.size > 0 && ![...selectedLists].some(listId => isInWordList(getWordList(listId), item))) {
+				return false;
+			}
+
+			// Search filter
+			return !matches || matches.has(item);
+		});
+
+		applySort();
+		renderResults();
+		updateURL();
+	}
+
+	// ============================================================================
+	// SORTING
+	// ============================================================================
+
+	/**
+	 * Get the key an entry is sorted by for a field
+	 * Arabic fields are collated with arabicCollator (the order chosen in arabicCollation), the other text
+	 * fields with textCollator, ignoring case, accents and transliteration marks; occurrence counts are numbers
+	 * @param {Object} item - Dictionary entry
+	 * @param {string} field - Sort field (a key of SORT_FIELDS)
+	 * @returns {string|number|Object} Sort key (see compareSortKeys)
 	 */
-	function initializeApp() {
-		loadingState.classList.add('hidden');
-		initializeDarkMode();
-		initializeViewMode();
-		renderCategoryFilters();
-		parseURLParams();
+	function getSortKey(item, field) {
+		switch (field) {
+			case 'arabic':
+			case 'arabicDescription':
+				return getArabicCollator().getKey(item[field] || '');
+			case 'occurrences':
+				return getOccurrenceCount(item);
+			default:
+				return textCollator.getKey(String(item[field] ?? '').trim());
+		}
+	}
+
+	/**
+	 * Compare two sort keys of a field in ascending order
+	 * IDs are compared as text with digit sequences as numbers, so "9" comes before "10"
+	 * @param {string} field - Sort field
+	 * @param {string|number|Object} a - First key (see getSortKey)
+	 * @param {string|number|Object} b - Second key
+	 * @returns {number} Negative, zero, or positive
+	 */
+	function compareSortKeys(field, a, b) {
+		switch (field) {
+			case 'arabic':
+			case 'arabicDescription':
+				return getArabicCollator().compare(a, b);
+			case 'occurrences':
+				return a - b;
+			default:
+				return textCollator.compare(a, b);
+		}
+	}
+
+	/**
+	 * Get the collator of the Arabic fields for the current arabicCollation, creating it on first use
+	 * The 'root' order uses the roots found by extractRoot
+	 * @returns {{getKey: Function, compare: Function}} Collator (see QD.collation.createArabicCollator)
+	 */
+	function getArabicCollator() {
+		if (!arabicCollator) {
+			arabicCollator = window.QD.collation.createArabicCollator({ mode: arabicCollation, getRoot: extractRoot });
+		}
+		return arabicCollator;
+	}
+
+	/**
+	 * Apply sorting to filtered data based on sortKeys
+	 * Entries are compared by the first sort key, ties by the next one, and so on; the keys are computed
+	 * once per entry before sorting
+	 * While a search query is active, results are ranked by relevance first and the sort keys break ties.
+	 * In the browse view, entries are ordered by group before anything else (see getBrowseGroupRanks)
+	 */
+	function applySort() {
+		const keys = new Map(filteredData.map(item => [item, sortKeys.map(({ field }) => getSortKey(item, field))]));
+		const groupRanks = viewMode === 'browse' ? getBrowseGroupRanks() : null;
+		filteredData.sort((a, b) => {
+			const groupDiff = groupRanks ? groupRanks.get(a) - groupRanks.get(b) : 0;
+			if (groupDiff !== 0) return groupDiff;
+
+			const scoreDiff = (searchScores.get(b) || 0) - (searchScores.get(a) || 0);
+			if (scoreDiff !== 0) return scoreDiff;
+
+			const keysA = keys.get(a);
+			const keysB = keys.get(b);
+			for (let i = 0; i < sortKeys.length; i++) {
+				const diff = compareSortKeys(sortKeys[i].field, keysA[i], keysB[i]);
+				if (diff !== 0) return sortKeys[i].order === 'asc' ? diff : -diff;
+			}
+			return 0;
+		});
+	}
+
+	/**
+	 * Set the order of the Arabic fields and re-sort the results
+	 * Saves the choice to localStorage
+	 * @param {string} collation - One of ARABIC_COLLATIONS
+	 */
+	function setArabicCollation(collation) {
+		if (!ARABIC_COLLATIONS.includes(collation)) return;
+		arabicCollation = collation;
+		arabicCollator = null;
+		localStorage.setItem('arabicCollation', collation);
+		if (arabicCollationSelect) arabicCollationSelect.value = collation;
+		applySort();
+		renderResults();
+	}
+
+	/**
+	 * Handle a click on a sort button or table header
+	 * A plain click sorts by the field alone, toggling its order when it already was the first sort key;
+	 * with options.add (Shift+click) the field is added as the next sort key, or its order toggled when it
+	 * is one already. A new sort key starts in the field's SORT_FIELDS order (descending for occurrences,
+	 * so the most frequent terms come first). The sort keys are saved in localStorage
+	 * @param {string} sortField - Field to sort by (a key of SORT_FIELDS)
+	 * @param {Object} options - Optional settings
+	 * @param {boolean} options.add - Add the field to the sort keys instead of replacing them
+	 */
+	function handleSort(sortField, options = {}) {
+		if (!Object.hasOwn(SORT_FIELDS, sortField)) return;
+		const existing = sortKeys.find(key => key.field === sortField);
+		const toggled = existing?.order === 'asc' ? 'desc' : 'asc';
+
+		if (options.add) {
+			if (existing) {
+				existing.order = toggled;
+			} else {
+				sortKeys.push({ field: sortField, order: SORT_FIELDS[sortField] });
+			}
+		} else if (existing && sortKeys[0] === existing) {
+			sortKeys = [{ field: sortField, order: toggled }];
+		} else {
+			sortKeys = [{ field: sortField, order: SORT_FIELDS[sortField] }];
+		}
+
+		localStorage.setItem('sortKeys', JSON.stringify(sortKeys));
 		updateSortButtons();
-		applyFilters();
-		setupEventListeners();
+		applySort();
+		renderResults();
 	}
 
 	/**
-	 * Initialize dark mode from localStorage or default to dark theme
-	 * Updates document class and icon visibility
+	 * Update sort button and table header active states and order indicators
+	 * Highlights the buttons of the sort keys (aria-pressed) and shows their direction (↑ or ↓), numbered
+	 * when sorting by more than one field; the table header of the first sort key gets aria-sort
 	 */
-	function initializeDarkMode() {
-		const savedTheme = localStorage.getItem('theme');
-		const isDark = savedTheme === 'dark' || savedTheme === null; // Default to dark
-		
-		if (isDark) {
-			document.documentElement.classList.add('dark');
-			sunIcon.classList.remove('hidden');
-			moonIcon.classList.add('hidden');
+	function updateSortButtons() {
+		const sortButtons = document.querySelectorAll('[data-sort]');
+		sortButtons.forEach(button => {
+			const field = button.getAttribute('data-sort');
+			const index = sortKeys.findIndex(key => key.field === field);
+			button.setAttribute('aria-pressed', String(index !== -1));
+			button.classList.toggle('active', index !== -1);
+
+			// Update button text to show order
+			const orderIcon = button.querySelector('.sort-order');
+			if (orderIcon) {
+				orderIcon.textContent = index === -1 ? ''
+					: `${sortKeys[index].order === 'asc' ? '↑' : '↓'}${sortKeys.length > 1 ? formatNumber(index + 1) : ''}`;
+			}
+
+			const header = button.closest('th');
+			if (header) {
+				if (index === 0) {
+					header.setAttribute('aria-sort', sortKeys[0].order === 'asc' ? 'ascending' : 'descending');
+				} else {
+					header.removeAttribute('aria-sort');
+				}
+			}
+		});
+	}
+
+	// ============================================================================
+	// TABLE COLUMNS
+	// ============================================================================
+
+	/**
+	 * Get the table view's visible columns in display order
+	 * @returns {Array<Object>} Columns (TABLE_COLUMNS definitions with the user's visible flag and width)
+	 */
+	function getVisibleTableColumns() {
+		return tableColumns
+			.filter(column => column.visible)
+			.map(column => ({ ...TABLE_COLUMNS.find(definition => definition.id === column.id), ...column }));
+	}
+
+	/**
+	 * Store the table columns (order, visibility and widths) in localStorage
+	 */
+	function saveTableColumns() {
+		localStorage.setItem('tableColumns', JSON.stringify(tableColumns));
+	}
+
+	/**
+	 * Save the table columns and rebuild the table and the column menu with them
+	 * The cached table rows are dropped, since their cells follow the columns
+	 */
+	function updateTableColumns() {
+		saveTableColumns();
+		renderColumnMenu();
+		tableRowNodes.clear();
+		resultsTableBody = null;
+		if (viewMode === 'table' && dictionaryData.length > 0) renderResults();
+	}
+
+	/**
+	 * Create the header cell of a table column
+	 * Sortable columns get a button sorting by the column's field (Shift+click adds it to the sort keys, see
+	 * handleSort), and every column a handle to resize it (see createColumnResizer)
+	 * @param {Object} column - Visible column (see getVisibleTableColumns)
+	 * @returns {HTMLTableCellElement} Header cell
+	 */
+	function createTableHeader(column) {
+		const th = document.createElement('th');
+		th.dataset.column = column.id;
+		if (column.width) th.style.width = `${column.width}px`;
+
+		const label = t(column.labelKey);
+		const text = document.createElement('span');
+		text.textContent = label;
+		if (column.sortField) {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'table-sort-button';
+			button.title = t('table.sortHint');
+			button.setAttribute('data-sort', column.sortField);
+			const order = document.createElement('span');
+			order.className = 'sort-order';
+			button.append(text, order);
+			button.addEventListener('click', (e) => handleSort(column.sortField, { add: e.shiftKey }));
+			th.appendChild(button);
 		} else {
-			document.documentElement.classList.remove('dark');
-			sunIcon.classList.add('hidden');
-			moonIcon.classList.remove('hidden');
+			if (column.hideHeader) text.className = 'sr-only';
+			th.appendChild(text);
 		}
+
+		th.appendChild(createColumnResizer(column, th, label));
+		return th;
 	}
 
 	/**
-	 * Toggle between dark and light mode
-	 * Updates localStorage, document class, and icon visibility
+	 * Create the resize handle at the end edge of a column header
+	 * Dragging it or pressing the arrow keys on it changes the column's width (by COLUMN_RESIZE_STEP pixels,
+	 * the arrow pointing away from the column widening it in either reading direction), and double-clicking
+	 * it restores the automatic width
+	 * @param {Object} column - Visible column
+	 * @param {HTMLTableCellElement} th - Header cell of the column
+	 * @param {string} label - Column name
+	 * @returns {HTMLElement} Resize handle (a focusable separator)
 	 */
-	function toggleDarkMode() {
-		const isDark = document.documentElement.classList.contains('dark');
-		
-		if (isDark) {
-			document.documentElement.classList.remove('dark');
-			localStorage.setItem('theme', 'light');
-			sunIcon.classList.add('hidden');
-			moonIcon.classList.remove('hidden');
+	function createColumnResizer(column, th, label) {
+		const resizer = document.createElement('span');
+		resizer.className = 'column-resizer';
+		resizer.tabIndex = 0;
+		resizer.setAttribute('role', 'separator');
+		resizer.setAttribute('aria-orientation', 'vertical');
+		resizer.setAttribute('aria-label', t('table.resize', { column: label }));
+		resizer.setAttribute('aria-valuemin', String(MIN_COLUMN_WIDTH));
+		if (column.width) resizer.setAttribute('aria-valuenow', String(column.width));
+
+		resizer.addEventListener('pointerdown', (e) => startColumnResize(e, column.id, th));
+		resizer.addEventListener('dblclick', () => {
+			setColumnWidth(column.id, th, null);
+			saveTableColumns();
+		});
+		resizer.addEventListener('keydown', (e) => {
+			if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+			e.preventDefault();
+			const wider = translator.getDirection() === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+			const width = th.getBoundingClientRect().width + (e.key === wider ? COLUMN_RESIZE_STEP : -COLUMN_RESIZE_STEP);
+			setColumnWidth(column.id, th, width);
+			saveTableColumns();
+		});
+		return resizer;
+	}
+
+	/**
+	 * Set the width of a table column, at least MIN_COLUMN_WIDTH (not saved, see saveTableColumns)
+	 * @param {string} columnId - Column ID
+	 * @param {HTMLTableCellElement} th - Header cell of the column
+	 * @param {number|null} width - Width in pixels, or null for the automatic width
+	 */
+	function setColumnWidth(columnId, th, width) {
+		const column = tableColumns.find(entry => entry.id === columnId);
+		if (!column) return;
+		const resizer = th.querySelector('.column-resizer');
+
+		if (width === null) {
+			delete column.width;
+			th.style.width = '';
+			resizer?.removeAttribute('aria-valuenow');
 		} else {
-			document.documentElement.classList.add('dark');
-			localStorage.setItem('theme', 'dark');
-			sunIcon.classList.remove('hidden');
-			moonIcon.classList.add('hidden');
+			column.width = Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+			th.style.width = `${column.width}px`;
+			resizer?.setAttribute('aria-valuenow', String(column.width));
+		}
+	}
+
+	/**
+	 * Resize a column while its resize handle is dragged, saving the width when it is released
+	 * @param {PointerEvent} e - Pointerdown event on the resize handle
+	 * @param {string} columnId - Column ID
+	 * @param {HTMLTableCellElement} th - Header cell of the column
+	 */
+	function startColumnResize(e, columnId, th) {
+		if (e.button !== 0) return;
+		e.preventDefault();
+		const startX = e.clientX;
+		const startWidth = th.getBoundingClientRect().width;
+		// The handle is on the column's end edge: the right in left-to-right text, the left in right-to-left
+		const direction = translator.getDirection() === 'rtl' ? -1 : 1;
+
+		const move = (event) => setColumnWidth(columnId, th, startWidth + (event.clientX - startX) * direction);
+		const end = () => {
+			window.removeEventListener('pointermove', move);
+			window.removeEventListener('pointerup', end);
+			window.removeEventListener('pointercancel', end);
+			saveTableColumns();
+		};
+		window.addEventListener('pointermove', move);
+		window.addEventListener('pointerup', end);
+		window.addEventListener('pointercancel', end);
+	}
+
+	/**
+	 * Render the Columns menu: a checkbox showing or hiding each column, buttons moving it up or down
+	 * (earlier or later in the table), and a reset button
+	 * The last visible column cannot be hidden
+	 */
+	function renderColumnMenu() {
+		if (!columnMenuList) return;
+		columnMenuList.innerHTML = '';
+		const visibleCount = tableColumns.filter(column => column.visible).length;
+
+		tableColumns.forEach((column, index) => {
+			const label = t(TABLE_COLUMNS.find(definition => definition.id === column.id).labelKey);
+			const item = document.createElement('div');
+			item.className = 'column-menu-item';
+
+			const toggle = document.createElement('label');
+			toggle.className = 'flex items-center gap-2 flex-1';
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.checked = column.visible;
+			checkbox.disabled = column.visible && visibleCount === 1;
+			checkbox.addEventListener('change', () => setTableColumnVisible(column.id, checkbox.checked));
+			toggle.append(checkbox, label);
+			item.appendChild(toggle);
+
+			[[-1, '↑', 'columns.moveUp'], [1, '↓', 'columns.moveDown']].forEach(([offset, symbol, key]) => {
+				const button = document.createElement('button');
+				button.type = 'button';
+				button.className = 'column-move-button';
+				button.textContent = symbol;
+				button.disabled = index + offset < 0 || index + offset >= tableColumns.length;
+				button.setAttribute('aria-label', t(key, { column: label }));
+				button.title = t(key, { column: label });
+				button.dataset.move = `${column.id}:${offset}`;
+				button.addEventListener('click', () => moveTableColumn(column.id, offset));
+				item.appendChild(button);
+			});
+
+			columnMenuList.appendChild(item);
+		});
+
+		const reset = document.createElement('button');
+		reset.type = 'button';
+		reset.className = 'export-menu-item';
+		reset.textContent = t('columns.reset');
+		reset.addEventListener('click', resetTableColumns);
+		columnMenuList.appendChild(reset);
+	}
+
+	/**
+	 * Show or hide a table column
+	 * @param {string} columnId - Column ID
+	 * @param {boolean} visible - Whether the column is shown
+	 */
+	function setTableColumnVisible(columnId, visible) {
+		const column = tableColumns.find(entry => entry.id === columnId);
+		if (!column || (!visible && tableColumns.filter(entry => entry.visible).length === 1)) return;
+		column.visible = visible;
+		updateTableColumns();
+	}
+
+	/**
+	 * Move a table column one place earlier or later
+	 * The focus stays on the move button, which is rebuilt with the menu
+	 * @param {string} columnId - Column ID
+	 * @param {number} offset - -1 to move it earlier, 1 to move it later
+	 */
+	function moveTableColumn(columnId, offset) {
+		const index = tableColumns.findIndex(entry => entry.id === columnId);
+		const target = index + offset;
+		if (index === -1 || target < 0 || target >= tableColumns.length) return;
+		[tableColumns[index], tableColumns[target]] = [tableColumns[target], tableColumns[index]];
+		updateTableColumns();
+
+		const button = columnMenuList?.querySelector(`[data-move="${columnId}:${offset}"]`);
+		if (button && !button.disabled) {
+			button.focus();
+		} else {
+			columnMenuList?.querySelector(`[data-move="${columnId}:${-offset}"]`)?.focus();
+		}
+	}
+
+	/**
+	 * Restore the default columns (TABLE_COLUMNS order and visibility, automatic widths)
+	 */
+	function resetTableColumns() {
+		tableColumns = TABLE_COLUMNS.map(({ id, visible }) => ({ id, visible }));
+		updateTableColumns();
+	}
+
+	// ============================================================================
+	// RENDERING
+	// ============================================================================
+
+	/**
+	 * Render dictionary entries based on view mode (grid, table or browse)
+	 * Updates results count (announced to screen readers) and the open modal's position in the results,
+	 * shows/hides empty state, and calls appropriate render function
+	 */
+	function renderResults() {
+		// Update results count (a live region: unchanged text is not set again, so it is not announced again)
+		const totalCount = dictionaryData.length;
+		const filteredCount = filteredData.length;
+		if (resultsCount) {
+			const countText = filteredCount === totalCount
+				? t('common.entries', { count: totalCount })
+				: t('results.filteredCount', { count: totalCount, shown: filteredCount });
+			if (resultsCount.textContent !== countText) resultsCount.textContent = countText;
+		}
+
+		// The open entry's position among the results may have changed
+		if (openEntry) renderModalNav(openEntry);
+
+		if (filteredData.length === 0) {
+			emptyState.classList.remove('hidden');
+			renderSuggestion();
+			resultsContainer.innerHTML = '';
+			if (resultsTableContainer) {
+				resultsTableContainer.innerHTML = '';
+			}
+			browseGroups?.replaceChildren();
+			browseJumpBar?.replaceChildren();
+			return;
+		}
+
+		emptyState.classList.add('hidden');
+
+		if (viewMode === 'table') {
+			renderTableView();
+		} else if (viewMode === 'browse') {
+			renderBrowseView();
+		} else {
+			renderGridView();
+		}
+	}
+
+	/**
+	 * Get the normalized strings to highlight in each field of an entry for the current query
+	 * @param {Object} item - Dictionary entry
+	 * @returns {Object<string, string[]>} Map of field name to normalized strings (empty when no query is active)
+	 */
+	function getHighlights(item) {
+		if (!searchIndex || parsedQuery.clauses.length === 0) return {};
+		return searchIndex.highlight(item, parsedQuery, { stem: searchMode === 'root' });
+	}
+
+	/**
+	 * Set an element's text, wrapping matched spans in <mark> elements
+	 * Needles are matched against the normalized text (see normalizeSearchText) and mapped back to the
+	 * original characters, so a match on "صلاه" highlights the vocalized "صَلَاة" including its diacritics
+	 * @param {HTMLElement} element - Element whose content is replaced
+	 * @param {string} text - Original text
+	 * @param {string[]} needles - Normalized strings to highlight
+	 */
+	function setHighlightedText(element, text, needles) {
+		const original = text || '';
+		if (!needles || needles.length === 0) {
+			element.textContent = original;
+			return;
+		}
+
+		// Normalize character by character, remembering which original character each normalized unit came from
+		const chars = [...original];
+		const starts = [];
+		let normalized = '';
+		const sourceIndex = [];
+		let offset = 0;
+		chars.forEach((char, index) => {
+			starts.push(offset);
+			offset += char.length;
+			const folded = (normalizeSearchText(char) || '').toLowerCase();
+			for (let k = 0; k < folded.length; k++) sourceIndex.push(index);
+			normalized += folded;
+		});
+		starts.push(offset);
+
+		// Collect matched character ranges, extended over trailing marks that normalize away (diacritics)
+		const ranges = [];
+		needles.forEach(needle => {
+			if (!needle) return;
+			let from = normalized.indexOf(needle);
+			while (from !== -1) {
+				const first = sourceIndex[from];
+				let last = sourceIndex[from + needle.length - 1];
+				while (last + 1 < chars.length && !(normalizeSearchText(chars[last + 1]) || '')) last++;
+				ranges.push([first, last + 1]);
+				from = normalized.indexOf(needle, from + needle.length);
+			}
+		});
+		if (ranges.length === 0) {
+			element.textContent = original;
+			return;
+		}
+
+		// Merge overlapping ranges and build the content
+		ranges.sort((a, b) => a[0] - b[0]);
+		const merged = [ranges[0]];
+		ranges.slice(1).forEach(range => {
+			const previous = merged[merged.length - 1];
+			if (range[0] <= previous[1]) previous[1] = Math.max(previous[1], range[1]);
+			else merged.push(range);
+		});
+
+		const fragment = document.createDocumentFragment();
+		let cursor = 0;
+		merged.forEach(([first, end]) => {
+			if (first > cursor) fragment.append(original.slice(starts[cursor], starts[first]));
+			const mark = document.createElement('mark');
+			mark.className = 'search-highlight';
+			mark.textContent = original.slice(starts[first], starts[end]);
+			fragment.appendChild(mark);
+			cursor = end;
+		});
+		if (cursor < chars.length) fragment.append(original.slice(starts[cursor]));
+
+		element.textContent = '';
+		element.appendChild(fragment);
+	}
+
+	/**
+	 * Render a "Did you mean…" link in the empty state when the query looks misspelled
+	 * Clicking the suggestion replaces the search query with it
+	 */
+	function renderSuggestion() {
+		if (!emptyStateSuggestion) return;
+		emptyStateSuggestion.innerHTML = '';
+		emptyStateSuggestion.classList.add('hidden');
+
+		const corrected = searchIndex ? searchIndex.suggest(parsedQuery) : null;
+		if (!corrected) return;
+		const suggestion = stringifySearchQuery(corrected);
+
+		const link = document.createElement('button');
+		link.type = 'button';
+		link.className = 'suggestion-link';
+		link.textContent = suggestion;
+		link.addEventListener('click', () => {
+			searchQuery = suggestion;
+			searchInput.value = suggestion;
+			applyFilters();
+		});
+
+		const [before, after] = t('search.didYouMean').split('{suggestion}');
+		emptyStateSuggestion.append(before, link, after ?? '');
+		emptyStateSuggestion.classList.remove('hidden');
+	}
+
+	/**
+	 * Render dictionary entries as cards (grid view)
+	 * Only the cards around the viewport are in the page for long lists (see renderResultsWindow)
+	 */
+	function renderGridView() {
+		if (resultsTableContainer && !resultsTableContainer.classList.contains('hidden')) {
+			resultsTableContainer.innerHTML = '';
+			resultsTableContainer.classList.add('hidden');
+		}
+		hideBrowseView();
+		resultsContainer.classList.remove('hidden');
+		renderResultsWindow(true);
+	}
+
+	/**
+	 * Render dictionary entries as table (table view)
+	 * The table and its header (the visible columns of tableColumns) are built once and kept, and rebuilt
+	 * when the columns change (see updateTableColumns); only the rows around the viewport are in the page
+	 * for long lists (see renderResultsWindow), and the table's aria-rowcount gives screen readers the full count
+	 */
+	function renderTableView() {
+		if (resultsContainer && !resultsContainer.classList.contains('hidden')) {
+			resultsContainer.innerHTML = '';
+			resultsContainer.classList.add('hidden');
+		}
+		hideBrowseView();
+		if (!resultsTableContainer) return;
+		resultsTableContainer.classList.remove('hidden');
+
+		if (!resultsTableBody || !resultsTableContainer.contains(resultsTableBody)) {
+			const table = document.createElement('table');
+			table.className = 'results-table';
+
+			// Table header
+			const thead = document.createElement('thead');
+			const headerRow = document.createElement('tr');
+			headerRow.setAttribute('aria-rowindex', '1');
+			getVisibleTableColumns().forEach(column => headerRow.appendChild(createTableHeader(column)));
+			thead.appendChild(headerRow);
+			table.appendChild(thead);
+
+			resultsTableBody = document.createElement('tbody');
+			table.appendChild(resultsTableBody);
+			resultsTableContainer.innerHTML = '';
+			resultsTableContainer.appendChild(table);
+			updateSortButtons();
+		}
+		// Rows outside the rendered window are counted too (see renderResultsWindow)
+		resultsTableBody.parentElement.setAttribute('aria-rowcount', String(filteredData.length + 1));
+		renderResultsWindow(true);
+	}
+
+	/**
+	 * Get the layout of the current view: its container, the number of entries per row (the grid's
+	 * columns, 1 in the table and the browse view), the gap between rows, and the measured or estimated row height
+	 * @returns {{isTable: boolean, container: HTMLElement|null, columns: number, gap: number, rowHeight: number}}
+	 */
+	function getResultsLayout() {
+		if (viewMode === 'browse') {
+			return { isTable: false, container: browseGroups, columns: 1, gap: 0, rowHeight: 0 };
+		}
+		const isTable = viewMode === 'table';
+		const container = isTable ? resultsTableBody : resultsContainer;
+		const rowHeight = measuredRowHeights[viewMode] || (isTable ? ESTIMATED_TABLE_ROW_HEIGHT : ESTIMATED_CARD_ROW_HEIGHT);
+		if (!container || isTable) return { isTable, container, columns: 1, gap: 0, rowHeight };
+
+		const style = window.getComputedStyle(container);
+		const template = style.gridTemplateColumns;
+		const columns = template && template !== 'none' ? template.trim().split(/\s+/).length : 1;
+		return { isTable, container, columns, gap: parseFloat(style.rowGap) || 0, rowHeight };
+	}
+
+	/**
+	 * Render the entries of filteredData that are near the viewport in the current view
+	 * Lists up to VIRTUAL_RENDER_THRESHOLD entries are rendered whole. Longer lists are rendered in a window
+	 * of rows around the viewport, with spacers standing in for the rows above and below it; row heights
+	 * are estimated from the rows rendered last. Cards and table rows are reused between renders
+	 * (see getResultNode), so typing and scrolling only build the entries that come into view
+	 * Rendered entries are numbered with their position in filteredData (data-index, and the ARIA position
+	 * of the whole list), and a focused entry keeps the focus
+	 * @param {boolean} force - Render even if the window is unchanged (the entries or their order changed)
+	 */
+	function renderResultsWindow(force) {
+		const { isTable, container, columns, gap, rowHeight } = getResultsLayout();
+		if (!container) return;
+
+		// Rows within VIRTUAL_OVERSCAN of the viewport (positions are estimated from the row height)
+		const count = filteredData.length;
+		const rows = Math.ceil(count / columns);
+		let firstRow = 0;
+		let lastRow = rows;
+		if (count > VIRTUAL_RENDER_THRESHOLD) {
+			const offset = -container.getBoundingClientRect().top;
+			firstRow = Math.min(rows - 1, Math.max(0, Math.floor((offset - VIRTUAL_OVERSCAN) / rowHeight)));
+			lastRow = Math.min(rows, Math.max(firstRow + 1, Math.ceil((offset + window.innerHeight + VIRTUAL_OVERSCAN) / rowHeight)));
+		}
+
+		const windowKey = `${viewMode}:${columns}:${firstRow}:${lastRow}`;
+		if (!force && windowKey === renderedWindowKey) return;
+		renderedWindowKey = windowKey;
+
+		const cache = isTable ? tableRowNodes : gridCardNodes;
+		const nodes = filteredData.slice(firstRow * columns, lastRow * columns)
+			.map(item => getResultNode(cache, item, isTable ? createResultRow : createResultCard));
+		const children = [...nodes];
+		if (firstRow > 0) children.unshift(createVirtualSpacer(isTable, firstRow * rowHeight - gap));
+		if (lastRow < rows) children.push(createVirtualSpacer(isTable, (rows - lastRow) * rowHeight - gap));
+		const focused = container.contains(document.activeElement) ? document.activeElement : null;
+		container.replaceChildren(...children);
+		if (focused?.isConnected && document.activeElement !== focused) focused.focus({ preventScroll: true });
+
+		nodes.forEach((node, offset) => {
+			const index = firstRow * columns + offset;
+			node.dataset.index = String(index);
+			if (isTable) {
+				node.setAttribute('aria-rowindex', String(index + 2));
+			} else {
+				node.setAttribute('aria-posinset', String(index + 1));
+				node.setAttribute('aria-setsize', String(count));
+			}
+		});
+		updateResultTabStop(container);
+
+		// Refine the row height estimate with the rows just rendered
+		const height = nodes[nodes.length - 1].getBoundingClientRect().bottom - nodes[0].getBoundingClientRect().top + gap;
+		if (height > 0) {
+			measuredRowHeights[viewMode] = height / (lastRow - firstRow);
 		}
+
+		// Keep the most recently used nodes for the next renders
+		[...cache.keys()].slice(0, Math.max(0, cache.size - RESULT_NODE_CACHE_SIZE)).forEach(key => cache.delete(key));
 	}
 
 	/**
-	 * Initialize view mode from localStorage or default to grid
-	 * Updates view toggle button appearance
+	 * Re-render the results window after scrolling or resizing, at most once per animation frame
+	 * Short lists (and the browse view) are always rendered whole, so nothing needs to change for them
 	 */
-	function initializeViewMode() {
-		const savedViewMode = localStorage.getItem('viewMode');
-		if (savedViewMode === 'table' || savedViewMode === 'grid') {
-			viewMode = savedViewMode;
-		} else {
-			viewMode = 'grid';
-		}
-		updateViewToggleButton();
+	function scheduleResultsWindow() {
+		if (resultsWindowFrame || viewMode === 'browse' || filteredData.length <= VIRTUAL_RENDER_THRESHOLD) return;
+		resultsWindowFrame = window.requestAnimationFrame(() => {
+			resultsWindowFrame = 0;
+			renderResultsWindow(false);
+		});
 	}
 
 	/**
-	 * Toggle view mode between grid and table
-	 * Saves preference to localStorage and re-renders results
+	 * Create an element standing in for the rows of the results that are not rendered
+	 * @param {boolean} isTable - Whether the spacer is a table row (otherwise a full-width grid item)
+	 * @param {number} height - Height in pixels
+	 * @returns {HTMLElement} Spacer
 	 */
-	function toggleViewMode() {
-		viewMode = viewMode === 'grid' ? 'table' : 'grid';
-		localStorage.setItem('viewMode', viewMode);
-		updateViewToggleButton();
-		renderResults();
+	function createVirtualSpacer(isTable, height) {
+		const spacer = document.createElement(isTable ? 'tr' : 'div');
+		spacer.className = 'virtual-spacer';
+		spacer.setAttribute('aria-hidden', 'true');
+		if (isTable) {
+			const cell = document.createElement('td');
+			cell.colSpan = getVisibleTableColumns().length;
+			cell.style.height = `${Math.max(0, height)}px`;
+			spacer.appendChild(cell);
+		} else {
+			spacer.style.height = `${Math.max(0, height)}px`;
+		}
+		return spacer;
 	}
 
 	/**
-	 * Update view toggle button appearance based on current view mode
-	 * Shows/hides grid and table icons appropriately
+	 * Get the card or table row of an entry, reusing the one built for a previous render
+	 * Nodes are keyed by entry object, so a data refresh builds new ones, and are rebuilt when the entry's
+	 * search highlights change; the star button is updated in place
+	 * @param {Map<Object, Object>} cache - Nodes of the view by entry (most recently used last)
+	 * @param {Object} item - Dictionary entry
+	 * @param {Function} build - Builds the node from the entry and its highlights
+	 * @returns {HTMLElement} Card or table row
 	 */
-	function updateViewToggleButton() {
-		if (!viewToggle) return;
-		const gridIcon = viewToggle.querySelector('#gridIcon');
-		const tableIcon = viewToggle.querySelector('#tableIcon');
-		if (viewMode === 'grid') {
-			gridIcon?.classList.remove('hidden');
-			tableIcon?.classList.add('hidden');
+	function getResultNode(cache, item, build) {
+		const highlights = getHighlights(item);
+		const signature = JSON.stringify(highlights);
+		let cached = cache.get(item);
+		if (!cached || cached.signature !== signature) {
+			cached = { signature, element: build(item, highlights) };
 		} else {
-			gridIcon?.classList.add('hidden');
-			tableIcon?.classList.remove('hidden');
+			const star = cached.element.querySelector('.star-button');
+			if (star) updateStarButton(star, isFavorite(item));
 		}
+		cache.delete(item);
+		cache.set(item, cached);
+		return cached.element;
 	}
 
-	// ============================================================================
-	// URL PARAMETER HANDLING
-	// ============================================================================
-
 	/**
-	 * Parse URL parameters and apply them to filters
-	 * Supports 'q' or 'search' for search query, 'category' or 'categories' for category filters
+	 * Create an entry image that loads when it comes near the viewport
+	 * Uses an IntersectionObserver shared by all result images; without one, the image loads at once
+	 * @param {string} url - Image URL
+	 * @param {string} alt - Alternative text
+	 * @param {string} className - Image class
+	 * @returns {HTMLImageElement} Image
 	 */
-	function parseURLParams() {
-		const params = new URLSearchParams(window.location.search);
-		
-		// Get search query from URL
-		const urlQuery = params.get('q') || params.get('search');
-		if (urlQuery) {
-			searchQuery = urlQuery;
-			searchInput.value = urlQuery;
+	function createLazyImage(url, alt, className) {
+		const img = document.createElement('img');
+		img.alt = alt;
+		img.className = className;
+		img.decoding = 'async';
+
+		if (!('IntersectionObserver' in window)) {
+			img.src = url;
+			return img;
 		}
-		
-		// Get categories from URL (comma-separated)
-		const urlCategories = params.get('category') || params.get('categories');
-		if (urlCategories) {
-			selectedCategories = new Set(urlCategories.split(',').filter(Boolean));
-			// Update badge states (will be applied after renderCategoryFilters)
+		if (!imageObserver) {
+			imageObserver = new IntersectionObserver((entries) => {
+				entries.forEach(entry => {
+					if (!entry.isIntersecting) return;
+					entry.target.src = entry.target.dataset.src;
+					imageObserver.unobserve(entry.target);
+				});
+			}, { rootMargin: LAZY_IMAGE_MARGIN });
 		}
+		img.dataset.src = url;
+		imageObserver.observe(img);
+		return img;
 	}
 
 	/**
-	 * Update URL with current filter state
-	 * Adds search query and selected categories as URL parameters
-	 * Uses pushState to update URL without page reload
+	 * Create the card of an entry (grid view)
+	 * Images are shown in 16/9 containers with white backgrounds, and spans matching the search query are
+	 * highlighted; clicking the card (or pressing Enter on it, see handleResultsKeydown) opens the modal
+	 * @param {Object} item - Dictionary entry
+	 * @param {Object<string, string[]>} highlights - Strings to highlight per field (see getHighlights)
+	 * @returns {HTMLElement} Card
 	 */
-	function updateURL() {
-		const params = new URLSearchParams();
-		
-		if (searchQuery.trim()) {
-			params.set('q', searchQuery.trim());
+	function createResultCard(item, highlights) {
+		const card = document.createElement('div');
+		card.className = 'card relative cursor-pointer hover:shadow-lg transition-shadow';
+		card.setAttribute('role', 'listitem');
+		card.tabIndex = -1;
+
+		// Apply color border if available
+		if (item.color) {
+			card.style.borderColor = item.color;
+			card.style.borderWidth = '2px';
 		}
-		
-		if (selectedCategories.size > 0) {
-			params.set('category', Array.from(selectedCategories).join(','));
+
+		card.addEventListener('click', () => openModal(item));
+		card.appendChild(createStarButton(item));
+
+		// Image in 16/9 container with white background (always show container, even if no image)
+		const imageContainer = document.createElement('div');
+		imageContainer.className = 'image-container-16-9';
+		imageContainer.style.marginBottom = '1rem';
+		if (item.imageUrl) {
+			const img = createLazyImage(item.imageUrl, item.arabic || item.translation || t('results.imageAlt'), 'image-16-9');
+			img.onerror = function() {
+				this.style.display = 'none';
+				// Keep container visible even if image fails to load
+			};
+			imageContainer.appendChild(img);
 		}
-		
-		const newURL = params.toString() 
-			? `${window.location.pathname}?${params.toString()}`
-			: window.location.pathname;
-		
-		window.history.pushState({}, '', newURL);
+		card.appendChild(imageContainer);
+
+		const cardContent = document.createElement('div');
+		cardContent.className = 'card-content';
+
+		// Arabic term, with its play button
+		if (item.arabic) {
+			const titleRow = document.createElement('div');
+			titleRow.className = 'card-title-row mb-2';
+			const arabicTitle = document.createElement('h2');
+			arabicTitle.className = 'card-title arabic';
+			setHighlightedText(arabicTitle, item.arabic, highlights.arabic);
+			titleRow.appendChild(arabicTitle);
+			if (canPlayPronunciation(item)) titleRow.appendChild(createPlayButton(item));
+			cardContent.appendChild(titleRow);
+		}
+
+		// Transliteration
+		if (item.transliteration) {
+			const transliteration = document.createElement('p');
+			transliteration.className = 'text-sm italic mb-2 opacity-70 latin';
+			setHighlightedText(transliteration, item.transliteration, highlights.transliteration);
+			cardContent.appendChild(transliteration);
+		}
+
+		// Translation
+		if (item.translation) {
+			const translation = document.createElement('p');
+			translation.className = 'text-base font-semibold latin';
+			setHighlightedText(translation, item.translation, highlights.translation);
+			cardContent.appendChild(translation);
+		}
+
+		card.appendChild(cardContent);
+		return card;
+	}
+
+	/**
+	 * Create the table row of an entry (table view)
+	 * Shows a cell for each visible column (see createTableCell), highlighting spans that match the search
+	 * query; clicking the row (or pressing Enter on it) opens the modal
+	 * @param {Object} item - Dictionary entry
+	 * @param {Object<string, string[]>} highlights - Strings to highlight per field (see getHighlights)
+	 * @returns {HTMLTableRowElement} Row
+	 */
+	function createResultRow(item, highlights) {
+		const row = document.createElement('tr');
+		row.className = 'cursor-pointer';
+		row.tabIndex = -1;
+		row.addEventListener('click', () => openModal(item));
+		getVisibleTableColumns().forEach(column => row.appendChild(createTableCell(column, item, highlights)));
+		return row;
+	}
+
+	/**
+	 * Create the cell of a table column for an entry
+	 * Images are contained within row height with white backgrounds
+	 * @param {Object} column - Column (see TABLE_COLUMNS)
+	 * @param {Object} item - Dictionary entry
+	 * @param {Object<string, string[]>} highlights - Strings to highlight per field (see getHighlights)
+	 * @returns {HTMLTableCellElement} Cell
+	 */
+	function createTableCell(column, item, highlights) {
+		const cell = document.createElement('td');
+
+		switch (column.id) {
+			case 'actions':
+				// Star (favorites) and play button
+				cell.className = 'table-actions';
+				cell.appendChild(createStarButton(item));
+				if (canPlayPronunciation(item)) cell.appendChild(createPlayButton(item));
+				break;
+
+			case 'image':
+				// Image with white background, contained in row
+				if (item.imageUrl) {
+					const imgContainer = document.createElement('div');
+					imgContainer.className = 'table-image-container';
+					const img = createLazyImage(item.imageUrl, item.arabic || item.translation || '', 'table-image');
+					img.onerror = function() {
+						this.style.display = 'none';
+						imgContainer.style.display = 'none';
+					};
+					imgContainer.appendChild(img);
+					cell.appendChild(imgContainer);
+				}
+				break;
+
+			case 'arabic':
+			case 'arabicDescription':
+				if (item[column.id]) {
+					cell.className = 'arabic';
+					setHighlightedText(cell, item[column.id], highlights[column.id]);
+				}
+				break;
+
+			case 'transliteration':
+				cell.className = 'italic opacity-70 latin';
+				setHighlightedText(cell, item.transliteration, highlights.transliteration);
+				break;
+
+			case 'translation':
+			case 'meaning':
+				cell.className = 'latin';
+				setHighlightedText(cell, item[column.id], highlights[column.id]);
+				break;
+
+			case 'category':
+				if (item.category) {
+					const categoryBadge = document.createElement('span');
+					categoryBadge.className = 'badge text-xs';
+					setHighlightedText(categoryBadge, item.category, highlights.category);
+					categoryBadge.style.cursor = 'default';
+					categoryBadge.style.pointerEvents = 'none';
+
+					// Apply color if available
+					if (item.color) {
+						categoryBadge.style.borderColor = item.color;
+						categoryBadge.style.color = item.color;
+					}
+
+					cell.appendChild(categoryBadge);
+				}
+				break;
+
+			case 'id':
+				cell.className = 'latin';
+				setHighlightedText(cell, item.id, highlights.id);
+				break;
+
+			case 'occurrences':
+				cell.textContent = getOccurrenceCount(item) > 0 ? formatNumber(getOccurrenceCount(item)) : '';
+				break;
+		}
+
+		return cell;
 	}
 
 	// ============================================================================
-	// CATEGORY FILTERING
+	// BROWSE VIEW
 	// ============================================================================
 
 	/**
-	 * Get color for a category by finding the first dictionary entry with that category and a color
-	 * @param {string} category - Category name to look up
-	 * @returns {string} Color value or empty string if not found
+	 * Get the letters the browse view lists Arabic terms under, in order: abjad order when the Arabic order
+	 * is abjad, alphabetical otherwise
+	 * @returns {string} Letters
 	 */
-	function getCategoryColor(category) {
-		const item = dictionaryData.find(d => d.category === category && d.color);
-		return item ? item.color : '';
+	function getBrowseLetters() {
+		return arabicCollation === 'abjad' ? window.QD.collation.ABJAD_ORDER : BROWSE_ARABIC_LETTERS;
 	}
 
 	/**
-	 * Extract unique categories and render filter badges
-	 * Creates clickable badge buttons for each category, applying colors if available
-	 * Marks categories as active if they're in the selectedCategories set
+	 * Get the browse view group of an entry: its category, or the first letter of its Arabic term (hamza
+	 * forms count as alif)
+	 * @param {Object} item - Dictionary entry
+	 * @returns {string} Group key ('' for entries without a category or an Arabic first letter)
 	 */
-	function renderCategoryFilters() {
-		const categories = [...new Set(dictionaryData.map(item => item.category).filter(Boolean))].sort();
-		
-		categoryFilters.innerHTML = '';
-		
-		categories.forEach(category => {
-			const badge = document.createElement('button');
-			badge.className = 'badge';
-			badge.textContent = category;
-			badge.setAttribute('data-category', category);
-			
-			// Apply color if available
-			const color = getCategoryColor(category);
-			if (color) {
-				badge.style.borderColor = color;
-				badge.style.color = color;
-			}
-			
-			// If category is selected (from URL params), mark as active and maintain color
-			if (selectedCategories.has(category)) {
-				badge.classList.add('active');
-				if (color) {
-					badge.style.backgroundColor = 'transparent';
-				}
-			}
-			
-			badge.addEventListener('click', () => toggleCategory(category, badge));
-			categoryFilters.appendChild(badge);
-		});
+	function getBrowseGroupKey(item) {
+		if (browseGroupBy === 'category') return (item.category || '').trim();
+		const first = (removeTashkeel(item.arabic || '') || '').trim().charAt(0).replace('ء', 'ا');
+		return getBrowseLetters().includes(first) ? first : '';
 	}
 
 	/**
-	 * Toggle category filter on/off
-	 * Updates selectedCategories set and badge appearance
-	 * @param {string} category - Category to toggle
-	 * @param {HTMLElement} badgeElement - Badge button element to update
+	 * Get the heading of a browse view group
+	 * @param {string} key - Group key (see getBrowseGroupKey)
+	 * @returns {string} Heading
 	 */
-	function toggleCategory(category, badgeElement) {
-		const color = getCategoryColor(category);
-		
-		if (selectedCategories.has(category)) {
-			selectedCategories.delete(category);
-			badgeElement.classList.remove('active');
-			// Restore original color when inactive
-			if (color) {
-				badgeElement.style.borderColor = color;
-				badgeElement.style.color = color;
-			}
-		} else {
-			selectedCategories.add(category);
-			badgeElement.classList.add('active');
-			// Maintain color when active
-			if (color) {
-				badgeElement.style.borderColor = color;
-				badgeElement.style.color = color;
-				badgeElement.style.backgroundColor = 'transparent';
-			}
-		}
-		
-		applyFilters();
+	function getBrowseGroupLabel(key) {
+		if (key) return key;
+		return t(browseGroupBy === 'category' ? 'browse.uncategorized' : 'browse.other');
 	}
 
-	// ============================================================================
-	// SEARCH AND FILTERING
-	// ============================================================================
+	/**
+	 * Compare two browse view groups: letters in getBrowseLetters order, categories alphabetically; the
+	 * group of entries without a letter or category comes last
+	 * @param {string} a - First group key
+	 * @param {string} b - Second group key
+	 * @returns {number} Negative, zero, or positive
+	 */
+	function compareBrowseGroups(a, b) {
+		if (!a !== !b) return a ? -1 : 1;
+		if (browseGroupBy === 'category') return textCollator.compare(textCollator.getKey(a), textCollator.getKey(b));
+		const letters = getBrowseLetters();
+		return letters.indexOf(a) - letters.indexOf(b);
+	}
 
 	/**
-	 * Remove Arabic diacritics (tashkeel) from text for search normalization
-	 * Also normalizes various Alif forms and interchangeable characters
-	 * This allows searching without needing exact diacritics
-	 * @param {string} text - Arabic text to normalize
-	 * @returns {string} Normalized text without diacritics
+	 * Get the position of each filtered entry's group in the browse view (see applySort)
+	 * @returns {Map<Object, number>} Map of entry to group rank
 	 */
-	function removeTashkeel(text) {
-		if (!text || typeof text !== 'string') return text;
-		
-		return text
-			// Remove Arabic diacritics (Unicode ranges: 064B-065F, 0670, 06D6-06ED)
-			.replace(/[\u064B-\u065F\u0670\u06D6-\u06ED\u06F0-\u06F9]/g, '')
-			// Remove tatweel (elongation mark)
-			.replace(/[\u0640]/g, '')
-			// Normalize all Alif variants to regular Alif (ا)
-			.replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // آ أ إ ٱ → ا
-			// Normalize Ya variants (ي and ى are interchangeable)
-			.replace(/\u0649/g, '\u064A') // ى → ي
-			// Normalize Taa marbuta and Haa (ة and ه are interchangeable)
-			.replace(/\u0629/g, '\u0647'); // ة → ه
+	function getBrowseGroupRanks() {
+		const keys = new Map(filteredData.map(item => [item, getBrowseGroupKey(item)]));
+		const ranks = new Map([...new Set(keys.values())].sort(compareBrowseGroups).map((key, rank) => [key, rank]));
+		return new Map([...keys].map(([item, key]) => [item, ranks.get(key)]));
 	}
 
 	/**
-	 * Apply search and category filters to dictionary data
-	 * Filters by category selection and search query (searches across all text fields)
-	 * Normalizes Arabic text for better search matching
-	 * Updates filteredData, applies sorting, renders results, and updates URL
+	 * Render dictionary entries grouped like a printed dictionary (browse view)
+	 * filteredData is already ordered by group (see applySort). Each group is a section with a sticky
+	 * heading that collapses it and shows its entry count; entries of collapsed groups are not rendered.
+	 * The lists are not virtualized: entries are compact rows, and the browser skips laying out groups
+	 * far from the viewport (content-visibility)
 	 */
-	function applyFilters() {
-		const query = searchQuery.toLowerCase().trim();
-		
-		// Normalize Arabic query by removing tashkeel
-		const normalizedQuery = removeTashkeel(query);
-		
-		filteredData = dictionaryData.filter(item => {
-			// Category filter
-			if (selectedCategories.size > 0 && !selectedCategories.has(item.category)) {
-				return false;
+	function renderBrowseView() {
+		[resultsContainer, resultsTableContainer].forEach(container => {
+			if (container && !container.classList.contains('hidden')) {
+				container.innerHTML = '';
+				container.classList.add('hidden');
 			}
+		});
+		if (!resultsBrowseContainer || !browseGroups) return;
+		resultsBrowseContainer.classList.remove('hidden');
 
-			// Search filter
-			if (!query) {
-				return true;
-			}
+		const groups = new Map();
+		filteredData.forEach((item, index) => {
+			const key = getBrowseGroupKey(item);
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push({ item, index });
+		});
 
-			// Search across all fields, normalizing Arabic text
-			const searchableText = [
-				removeTashkeel(item.arabic),
-				item.transliteration,
-				item.translation,
-				item.meaning,
-				removeTashkeel(item.arabicDescription)
-			].join(' ').toLowerCase();
+		const focused = browseGroups.contains(document.activeElement) ? document.activeElement : null;
+		browseGroups.replaceChildren(...[...groups].map(([key, entries], position) => createBrowseGroup(key, entries, position)));
+		if (focused?.isConnected && document.activeElement !== focused) focused.focus({ preventScroll: true });
 
-			return searchableText.includes(normalizedQuery);
-		});
+		renderBrowseJumpBar([...groups.keys()]);
+		updateResultTabStop(browseGroups);
+		updateBrowseStickyOffset();
 
-		applySort();
-		renderResults();
-		updateURL();
+		// Keep the rendered entries (at least) for the next renders
+		const rendered = browseGroups.querySelectorAll('[data-index]').length;
+		[...browseEntryNodes.keys()]
+			.slice(0, Math.max(0, browseEntryNodes.size - Math.max(RESULT_NODE_CACHE_SIZE, rendered)))
+			.forEach(key => browseEntryNodes.delete(key));
 	}
 
-	// ============================================================================
-	// SORTING
-	// ============================================================================
-
 	/**
-	 * Apply sorting to filtered data based on sortBy and sortOrder
-	 * Supports sorting by 'arabic', 'translation', or 'category'
-	 * Normalizes Arabic text for consistent sorting
+	 * Create the section of a browse view group: a heading button collapsing or expanding it, with the
+	 * group's entry count, and the list of its entries
+	 * @param {string} key - Group key (see getBrowseGroupKey)
+	 * @param {Array<{item: Object, index: number}>} entries - Entries of the group with their index in filteredData
+	 * @param {number} position - Position of the group (used for element IDs)
+	 * @returns {HTMLElement} Section
 	 */
-	function applySort() {
-		filteredData.sort((a, b) => {
-			let aVal, bVal;
-
-			switch (sortBy) {
-				case 'arabic':
-					aVal = removeTashkeel(a.arabic || '').toLowerCase();
-					bVal = removeTashkeel(b.arabic || '').toLowerCase();
-					break;
-				case 'translation':
-					aVal = (a.translation || '').toLowerCase();
-					bVal = (b.translation || '').toLowerCase();
-					break;
-				case 'category':
-					aVal = (a.category || '').toLowerCase();
-					bVal = (b.category || '').toLowerCase();
-					break;
-				default:
-					return 0;
-			}
-
-			if (aVal < bVal) return sortOrder === 'asc' ? -1 : 1;
-			if (aVal > bVal) return sortOrder === 'asc' ? 1 : -1;
-			return 0;
-		});
+	function createBrowseGroup(key, entries, position) {
+		const collapsed = collapsedGroups.has(key);
+		const label = getBrowseGroupLabel(key);
+		const listId = `browseGroup${position}`;
+
+		const section = document.createElement('section');
+		section.className = 'browse-group';
+		section.dataset.group = key;
+
+		const heading = document.createElement('h2');
+		heading.className = 'browse-group-heading';
+		const toggle = document.createElement('button');
+		toggle.type = 'button';
+		toggle.className = 'browse-group-toggle';
+		toggle.setAttribute('aria-expanded', String(!collapsed));
+		toggle.setAttribute('aria-controls', listId);
+		toggle.setAttribute('aria-label', `${label} – ${t('common.entries', { count: entries.length })}`);
+
+		const chevron = document.createElement('span');
+		chevron.className = 'browse-group-chevron';
+		chevron.setAttribute('aria-hidden', 'true');
+		chevron.textContent = '▾';
+		const name = document.createElement('span');
+		name.className = `browse-group-label${browseGroupBy === 'letter' && key ? ' arabic' : ''}`;
+		name.textContent = label;
+		const count = document.createElement('span');
+		count.className = 'browse-group-count';
+		count.textContent = formatNumber(entries.length);
+		toggle.append(chevron, name, count);
+		toggle.addEventListener('click', () => toggleBrowseGroup(key));
+		heading.appendChild(toggle);
+		section.appendChild(heading);
+
+		const list = document.createElement('div');
+		list.id = listId;
+		list.className = 'browse-group-list';
+		list.setAttribute('role', 'list');
+		list.setAttribute('aria-label', label);
+		list.hidden = collapsed;
+		if (!collapsed) {
+			entries.forEach(({ item, index }, offset) => {
+				const node = getResultNode(browseEntryNodes, item, createBrowseEntry);
+				node.dataset.index = String(index);
+				node.setAttribute('aria-posinset', String(offset + 1));
+				node.setAttribute('aria-setsize', String(entries.length));
+				list.appendChild(node);
+			});
+		}
+		section.appendChild(list);
+		return section;
 	}
 
 	/**
-	 * Handle sort button click
-	 * Toggles sort order if same field clicked, otherwise sets new field with ascending order
-	 * @param {string} sortField - Field to sort by ('arabic', 'translation', or 'category')
+	 * Create the compact row of an entry (browse view): Arabic term, transliteration and translation, with
+	 * play and star buttons; clicking the row (or pressing Enter on it) opens the modal
+	 * @param {Object} item - Dictionary entry
+	 * @param {Object<string, string[]>} highlights - Strings to highlight per field (see getHighlights)
+	 * @returns {HTMLElement} Row
 	 */
-	function handleSort(sortField) {
-		if (sortBy === sortField) {
-			// Toggle order if same field
-			sortOrder = sortOrder === 'asc' ? 'desc' : 'asc';
-		} else {
-			// New field, default to ascending
-			sortBy = sortField;
-			sortOrder = 'asc';
-		}
-		updateSortButtons();
-		applySort();
-		renderResults();
+	function createBrowseEntry(item, highlights) {
+		const entry = document.createElement('div');
+		entry.className = 'browse-entry cursor-pointer';
+		entry.setAttribute('role', 'listitem');
+		entry.tabIndex = -1;
+		if (item.color) entry.style.borderInlineStartColor = item.color;
+		entry.addEventListener('click', () => openModal(item));
+
+		const arabic = document.createElement('span');
+		arabic.className = 'browse-entry-arabic arabic';
+		setHighlightedText(arabic, item.arabic, highlights.arabic);
+
+		const transliteration = document.createElement('span');
+		transliteration.className = 'browse-entry-transliteration latin';
+		setHighlightedText(transliteration, item.transliteration, highlights.transliteration);
+
+		const translation = document.createElement('span');
+		translation.className = 'browse-entry-translation latin';
+		setHighlightedText(translation, item.translation, highlights.translation);
+
+		entry.append(arabic, transliteration, translation);
+		if (canPlayPronunciation(item)) entry.appendChild(createPlayButton(item));
+		entry.appendChild(createStarButton(item));
+		return entry;
 	}
 
 	/**
-	 * Update sort button active states and order indicators
-	 * Highlights the active sort button and shows sort direction (↑ or ↓)
+	 * Render the browse view's jump bar: a button for each letter (ا–ي when grouping by letter, A–Z for
+	 * categories) scrolling to the first group under it; letters without a group are disabled
+	 * @param {string[]} keys - Keys of the rendered groups, in order
 	 */
-	function updateSortButtons() {
-		const sortButtons = document.querySelectorAll('[data-sort]');
-		sortButtons.forEach(button => {
-			const field = button.getAttribute('data-sort');
-			if (field === sortBy) {
-				button.classList.add('active');
-				// Update button text to show order
-				const orderIcon = button.querySelector('.sort-order');
-				if (orderIcon) {
-					orderIcon.textContent = sortOrder === 'asc' ? '↑' : '↓';
-				}
-			} else {
-				button.classList.remove('active');
-			}
-		});
+	function renderBrowseJumpBar(keys) {
+		if (!browseJumpBar) return;
+		const byCategory = browseGroupBy === 'category';
+		const letters = byCategory ? BROWSE_LATIN_LETTERS : getBrowseLetters();
+		browseJumpBar.classList.toggle('arabic', !byCategory);
+		browseJumpBar.replaceChildren(...[...letters].map(letter => {
+			const target = keys.find(key => key && (byCategory ? (foldLatin(key) || '').charAt(0).toUpperCase() === letter : key === letter));
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'browse-jump-button';
+			button.textContent = letter;
+			button.setAttribute('aria-label', t('browse.jumpTo', { letter }));
+			button.disabled = target === undefined;
+			if (target !== undefined) button.addEventListener('click', () => jumpToBrowseGroup(target));
+			return button;
+		}));
 	}
 
-	// ============================================================================
-	// RENDERING
-	// ============================================================================
-
 	/**
-	 * Render dictionary entries based on view mode
-	 * Updates results count, shows/hides empty state, and calls appropriate render function
+	 * Get the section of a browse view group
+	 * @param {string} key - Group key
+	 * @returns {HTMLElement|null} Section, or null if the group is not rendered
 	 */
-	function renderResults() {
-		// Update results count
-		const totalCount = dictionaryData.length;
-		const filteredCount = filteredData.length;
-		if (resultsCount) {
-			if (filteredCount === totalCount) {
-				resultsCount.textContent = `${totalCount} ${totalCount === 1 ? 'entry' : 'entries'}`;
-			} else {
-				resultsCount.textContent = `Showing ${filteredCount} of ${totalCount} ${totalCount === 1 ? 'entry' : 'entries'}`;
-			}
-		}
+	function getBrowseGroupSection(key) {
+		return browseGroups ? [...browseGroups.children].find(section => section.dataset.group === key) || null : null;
+	}
 
-		if (filteredData.length === 0) {
-			emptyState.classList.remove('hidden');
-			resultsContainer.innerHTML = '';
-			if (resultsTableContainer) {
-				resultsTableContainer.innerHTML = '';
-			}
-			return;
-		}
+	/**
+	 * Scroll to a browse view group and focus its heading
+	 * @param {string} key - Group key
+	 */
+	function jumpToBrowseGroup(key) {
+		const section = getBrowseGroupSection(key);
+		if (!section) return;
+		section.scrollIntoView({ block: 'start' });
+		section.querySelector('.browse-group-toggle')?.focus({ preventScroll: true });
+	}
 
-		emptyState.classList.add('hidden');
+	/**
+	 * Hide the browse view and remove its groups (when switching to the grid or table view)
+	 */
+	function hideBrowseView() {
+		if (!resultsBrowseContainer || resultsBrowseContainer.classList.contains('hidden')) return;
+		resultsBrowseContainer.classList.add('hidden');
+		browseGroups?.replaceChildren();
+		browseJumpBar?.replaceChildren();
+	}
 
-		if (viewMode === 'table') {
-			renderTableView();
+	/**
+	 * Collapse or expand a browse view group, keeping the focus on its heading
+	 * @param {string} key - Group key
+	 */
+	function toggleBrowseGroup(key) {
+		if (collapsedGroups.has(key)) {
+			collapsedGroups.delete(key);
 		} else {
-			renderGridView();
+			collapsedGroups.add(key);
 		}
+		renderBrowseView();
+		getBrowseGroupSection(key)?.querySelector('.browse-group-toggle')?.focus({ preventScroll: true });
 	}
 
 	/**
-	 * Render dictionary entries as cards (grid view)
-	 * Creates card elements with images in 16/9 containers with white backgrounds
-	 * Images are clickable and open the modal
+	 * Group the browse view by first letter or by category, expanding every group
+	 * Saves the choice to localStorage and re-sorts the results (see applySort)
+	 * @param {string} mode - One of BROWSE_GROUP_MODES
 	 */
-	function renderGridView() {
-		resultsContainer.innerHTML = '';
-		if (resultsTableContainer) {
-			resultsTableContainer.innerHTML = '';
-			resultsTableContainer.classList.add('hidden');
-		}
-		resultsContainer.classList.remove('hidden');
-
-		filteredData.forEach(item => {
-			const card = document.createElement('div');
-			card.className = 'card cursor-pointer hover:shadow-lg transition-shadow';
-			
-			// Apply color border if available
-			if (item.color) {
-				card.style.borderColor = item.color;
-				card.style.borderWidth = '2px';
-			}
-			
-			card.addEventListener('click', () => openModal(item));
-
-			// Image in 16/9 container with white background (always show container, even if no image)
-			const imageContainer = document.createElement('div');
-			imageContainer.className = 'image-container-16-9';
-			imageContainer.style.marginBottom = '1rem';
-			if (item.imageUrl) {
-				const img = document.createElement('img');
-				img.src = item.imageUrl;
-				img.alt = item.arabic || item.translation || 'Dictionary entry';
-				img.className = 'image-16-9';
-				img.onerror = function() {
-					this.style.display = 'none';
-					// Keep container visible even if image fails to load
-				};
-				imageContainer.appendChild(img);
-			}
-			card.appendChild(imageContainer);
-
-			const cardContent = document.createElement('div');
-			cardContent.className = 'card-content';
+	function setBrowseGroupBy(mode) {
+		if (!BROWSE_GROUP_MODES.includes(mode)) return;
+		browseGroupBy = mode;
+		collapsedGroups.clear();
+		localStorage.setItem('browseGroupBy', mode);
+		if (browseGroupBySelect) browseGroupBySelect.value = mode;
+		if (viewMode !== 'browse') return;
+		applySort();
+		renderResults();
+	}
 
-			// Arabic term
-			if (item.arabic) {
-				const arabicTitle = document.createElement('h2');
-				arabicTitle.className = 'card-title arabic mb-2';
-				arabicTitle.textContent = item.arabic;
-				cardContent.appendChild(arabicTitle);
-			}
+	/**
+	 * Place the sticky group headings below the browse view's sticky toolbar, whose height depends on
+	 * how the jump bar wraps
+	 */
+	function updateBrowseStickyOffset() {
+		if (viewMode !== 'browse' || !resultsBrowseContainer || !browseToolbar) return;
+		resultsBrowseContainer.style.setProperty('--browse-toolbar-height', `${browseToolbar.offsetHeight}px`);
+	}
 
-			// Transliteration
-			if (item.transliteration) {
-				const transliteration = document.createElement('p');
-				transliteration.className = 'text-sm italic mb-2 opacity-70';
-				transliteration.textContent = item.transliteration;
-				cardContent.appendChild(transliteration);
-			}
+	// ============================================================================
+	// KEYBOARD NAVIGATION AND FOCUS
+	// ============================================================================
 
-			// Translation
-			if (item.translation) {
-				const translation = document.createElement('p');
-				translation.className = 'text-base font-semibold';
-				translation.textContent = item.translation;
-				cardContent.appendChild(translation);
-			}
+	/**
+	 * Give the active result (or the first rendered one) the only tab stop of the results
+	 * Arrow keys move between results (see handleResultsKeydown), so Tab enters and leaves them in one step
+	 * @param {HTMLElement} container - Grid container or table body
+	 */
+	function updateResultTabStop(container) {
+		const nodes = [...container.querySelectorAll('[data-index]')];
+		const active = nodes.find(node => filteredData[Number(node.dataset.index)] === activeResult) || nodes[0];
+		nodes.forEach(node => { node.tabIndex = node === active ? 0 : -1; });
+	}
 
-			card.appendChild(cardContent);
-			resultsContainer.appendChild(card);
-		});
+	/**
+	 * Get the rendered card or table row of a result
+	 * @param {number} index - Index in filteredData
+	 * @returns {HTMLElement|null} Node, or null if the result is outside the rendered window
+	 */
+	function getRenderedResult(index) {
+		const { container } = getResultsLayout();
+		return container ? container.querySelector(`[data-index="${index}"]`) : null;
 	}
 
 	/**
-	 * Render dictionary entries as table (table view)
-	 * Creates a table with all entry fields
-	 * Images are contained within row height with white backgrounds
+	 * Move the focus to a result, scrolling it into the rendered window first when the list is virtualized
+	 * In the browse view, a result in a collapsed group expands the group
+	 * @param {number} index - Index in filteredData (clamped to the list)
 	 */
-	function renderTableView() {
-		if (resultsContainer) {
-			resultsContainer.innerHTML = '';
-			resultsContainer.classList.add('hidden');
-		}
-		if (!resultsTableContainer) return;
+	function focusResult(index) {
+		if (filteredData.length === 0) return;
+		const target = Math.max(0, Math.min(filteredData.length - 1, index));
+		activeResult = filteredData[target];
 
-		resultsTableContainer.innerHTML = '';
-		resultsTableContainer.classList.remove('hidden');
+		let node = getRenderedResult(target);
+		if (!node && viewMode === 'browse') {
+			collapsedGroups.delete(getBrowseGroupKey(activeResult));
+			renderBrowseView();
+			node = getRenderedResult(target);
+			if (!node) return;
+		} else if (!node) {
+			const { container, columns, rowHeight } = getResultsLayout();
+			if (!container) return;
+			const top = container.getBoundingClientRect().top + window.scrollY + Math.floor(target / columns) * rowHeight;
+			window.scrollTo(0, top - (window.innerHeight - rowHeight) / 2);
+			renderResultsWindow(false);
+			node = getRenderedResult(target);
+			if (!node) return;
+		}
+		updateResultTabStop(getResultsLayout().container);
+		node.focus();
+	}
 
-		const table = document.createElement('table');
-		table.className = 'results-table';
+	/**
+	 * Handle keys pressed on a result (grid card or table row)
+	 * Arrow keys move to the neighbouring result (left/right follow the reading direction in the grid, up/down
+	 * move by a row), Home/End to the first/last result, ArrowUp on the first row back to the search box,
+	 * and Enter or Space opens the entry. In the browse view, up/down skip the entries of collapsed groups.
+	 * Keys pressed on the star and play buttons keep their own behavior
+	 * @param {KeyboardEvent} e - Keydown event
+	 */
+	function handleResultsKeydown(e) {
+		const node = e.target;
+		if (!node.dataset?.index || e.altKey || e.ctrlKey || e.metaKey) return;
+		const index = Number(node.dataset.index);
+		const { isTable, container, columns } = getResultsLayout();
+		const isBrowse = viewMode === 'browse';
+		const forward = translator.getDirection() === 'rtl' ? -1 : 1;
 
-		// Table header
-		const thead = document.createElement('thead');
-		const headerRow = document.createElement('tr');
-		const headers = ['Image', 'Arabic Term', 'Transliteration', 'Translation', 'Meaning', 'Category', 'Arabic Description'];
-		headers.forEach(headerText => {
-			const th = document.createElement('th');
-			th.textContent = headerText;
-			headerRow.appendChild(th);
-		});
-		thead.appendChild(headerRow);
-		table.appendChild(thead);
+		// Rendered entries in the browse view (collapsed groups have none)
+		const rendered = isBrowse ? [...container.querySelectorAll('[data-index]')].map(entry => Number(entry.dataset.index)) : [];
+		const position = rendered.indexOf(index);
 
-		// Table body
-		const tbody = document.createElement('tbody');
-		filteredData.forEach(item => {
-			const row = document.createElement('tr');
+		let next;
+		switch (e.key) {
+			case 'ArrowDown': next = isBrowse ? rendered[position + 1] ?? filteredData.length : index + columns; break;
+			case 'ArrowUp': next = isBrowse ? rendered[position - 1] ?? -1 : index - columns; break;
+			case 'ArrowRight': next = isTable || isBrowse ? null : index + forward; break;
+			case 'ArrowLeft': next = isTable || isBrowse ? null : index - forward; break;
+			case 'Home': next = isBrowse ? rendered[0] : 0; break;
+			case 'End': next = isBrowse ? rendered[rendered.length - 1] : filteredData.length - 1; break;
+			case 'Enter':
+			case ' ':
+				e.preventDefault();
+				openModal(filteredData[index]);
+				return;
+			default: return;
+		}
+		if (next === null) return;
+		e.preventDefault();
 
-			// Image with white background, contained in row
-			const imageCell = document.createElement('td');
-			if (item.imageUrl) {
-				const imgContainer = document.createElement('div');
-				imgContainer.className = 'table-image-container';
-				const img = document.createElement('img');
-				img.src = item.imageUrl;
-				img.alt = item.arabic || item.translation || '';
-				img.className = 'table-image';
-				img.onerror = function() {
-					this.style.display = 'none';
-					imgContainer.style.display = 'none';
-				};
-				imgContainer.appendChild(img);
-				imageCell.appendChild(imgContainer);
-			}
-			row.appendChild(imageCell);
+		if (next < 0 && e.key === 'ArrowUp') {
+			searchInput.focus();
+		} else if (next >= 0 && next < filteredData.length) {
+			focusResult(next);
+		}
+	}
 
-			// Arabic term
-			const arabicCell = document.createElement('td');
-			if (item.arabic) {
-				arabicCell.className = 'arabic';
-				arabicCell.textContent = item.arabic;
-			}
-			row.appendChild(arabicCell);
+	/**
+	 * Make a result that receives focus (by click or Tab) the active one
+	 * @param {FocusEvent} e - Focusin event
+	 */
+	function handleResultsFocus(e) {
+		const index = e.target.dataset?.index;
+		if (index === undefined || filteredData[Number(index)] === activeResult) return;
+		activeResult = filteredData[Number(index)];
+		updateResultTabStop(getResultsLayout().container);
+	}
 
-			// Transliteration
-			const transliterationCell = document.createElement('td');
-			transliterationCell.className = 'italic opacity-70';
-			transliterationCell.textContent = item.transliteration || '';
-			row.appendChild(transliterationCell);
+	/**
+	 * Get the open dialog that has the focus trap (the last one opened)
+	 * @returns {HTMLElement|null} Dialog element (role="dialog"), or null when no dialog is open
+	 */
+	function getTopDialog() {
+		return openDialogs.length > 0 ? openDialogs[openDialogs.length - 1].dialog : null;
+	}
 
-			// Translation
-			const translationCell = document.createElement('td');
-			translationCell.textContent = item.translation || '';
-			row.appendChild(translationCell);
+	/**
+	 * Move the focus into a modal being shown and trap it there (see trapDialogFocus)
+	 * The element focused before is remembered so deactivateDialog can return to it. Called again for a modal
+	 * that is already shown (e.g. another entry in the entry modal), the dialog is focused only if the focus
+	 * has left it, so screen readers announce the new content
+	 * @param {HTMLElement} modalElement - Modal wrapper (its role="dialog" element receives the focus)
+	 */
+	function activateDialog(modalElement) {
+		const dialog = modalElement.querySelector('[role="dialog"]') || modalElement;
+		if (!openDialogs.some(entry => entry.dialog === dialog)) {
+			openDialogs.push({ dialog, returnFocus: document.activeElement });
+		}
+		if (!dialog.contains(document.activeElement)) dialog.focus();
+	}
 
-			// Meaning
-			const meaningCell = document.createElement('td');
-			meaningCell.textContent = item.meaning || '';
-			row.appendChild(meaningCell);
+	/**
+	 * Release a modal being hidden and return the focus to the element focused before it opened
+	 * A result focused before the entry modal opened is replaced by the result of the last entry shown (the
+	 * modal's next/previous buttons move through the results); nothing is focused while another modal is open
+	 * @param {HTMLElement} modalElement - Modal wrapper
+	 */
+	function deactivateDialog(modalElement) {
+		const dialog = modalElement.querySelector('[role="dialog"]') || modalElement;
+		const index = openDialogs.findIndex(entry => entry.dialog === dialog);
+		if (index === -1) return;
+		const [{ returnFocus }] = openDialogs.splice(index, 1);
+		if (openDialogs.length > 0) return;
 
-			// Category
-			const categoryCell = document.createElement('td');
-			if (item.category) {
-				const categoryBadge = document.createElement('span');
-				categoryBadge.className = 'badge text-xs';
-				categoryBadge.textContent = item.category;
-				categoryBadge.style.cursor = 'default';
-				categoryBadge.style.pointerEvents = 'none';
-				
-				// Apply color if available
-				if (item.color) {
-					categoryBadge.style.borderColor = item.color;
-					categoryBadge.style.color = item.color;
-				}
-				
-				categoryCell.appendChild(categoryBadge);
-			}
-			row.appendChild(categoryCell);
+		if (returnFocus?.dataset?.index !== undefined && filteredData.includes(activeResult)) {
+			focusResult(filteredData.indexOf(activeResult));
+		} else if (returnFocus?.isConnected && typeof returnFocus.focus === 'function') {
+			returnFocus.focus();
+		}
+	}
 
-			// Arabic Description
-			const arabicDescCell = document.createElement('td');
-			if (item.arabicDescription) {
-				arabicDescCell.className = 'arabic';
-				arabicDescCell.textContent = item.arabicDescription;
-			}
-			row.appendChild(arabicDescCell);
+	/**
+	 * Keep Tab and Shift+Tab inside the open dialog, wrapping around at its first and last controls
+	 * @param {KeyboardEvent} e - Keydown event
+	 */
+	function trapDialogFocus(e) {
+		const dialog = getTopDialog();
+		if (e.key !== 'Tab' || !dialog) return;
 
-			tbody.appendChild(row);
-		});
-		table.appendChild(tbody);
-		resultsTableContainer.appendChild(table);
+		const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)]
+			.filter(element => !element.disabled && !element.closest('.hidden'));
+		const active = document.activeElement;
+		if (focusable.length === 0) {
+			e.preventDefault();
+			dialog.focus();
+		} else if (e.shiftKey && (active === focusable[0] || active === dialog || !dialog.contains(active))) {
+			e.preventDefault();
+			focusable[focusable.length - 1].focus();
+		} else if (!e.shiftKey && (active === focusable[focusable.length - 1] || !dialog.contains(active))) {
+			e.preventDefault();
+			focusable[0].focus();
+		}
 	}
 
 	// ============================================================================
@@ -1104,11 +7689,63 @@
 
 	/**
 	 * Open modal with item details
-	 * Populates modal with all entry information including image in 16/9 container
+	 * Records the entry in the URL (?entry=<id or slug>) so the link can be shared and the back button closes it
 	 * @param {Object} item - Dictionary entry object to display
 	 */
 	function openModal(item) {
 		if (!modal) return;
+		openEntry = item;
+		modalTrail = [];
+		showModal(item);
+		updateURL();
+	}
+
+	/**
+	 * Close modal
+	 * Goes back in history when the modal's URLs were pushed by openModal and openRelatedEntry (so Back and
+	 * the close button agree), otherwise removes the entry from the URL
+	 */
+	function closeModal() {
+		if (!modal) return;
+		const slug = openEntry ? getEntrySlug(openEntry) : null;
+		const steps = modalTrail.length + 1;
+		openEntry = null;
+		modalTrail = [];
+		hideModal();
+
+		if (slug && window.history.state?.entry === slug && getModalHistoryDepth() === steps) {
+			window.history.go(-steps);
+		} else {
+			updateURL();
+		}
+	}
+
+	/**
+	 * Show or hide the modal to match openEntry (as parsed from the URL)
+	 * The breadcrumb trail is restored from the history state
+	 * Used on load and on browser back/forward navigation
+	 */
+	function syncModalWithURL() {
+		modalTrail = openEntry ? (window.history.state?.trail || []).map(findEntryByParam).filter(Boolean) : [];
+		if (openEntry) {
+			stopPronunciation();
+			showModal(openEntry);
+		} else if (modal && !modal.classList.contains('hidden')) {
+			hideModal();
+		}
+	}
+
+	/**
+	 * Populate and show the modal
+	 * Populates modal with all entry information including image in 16/9 container, its related terms,
+	 * the breadcrumb of entries visited before it, and its position in the results
+	 * The modal takes the focus (see activateDialog)
+	 * Spans matching the current search query are highlighted, and the document title and meta tags
+	 * describe the entry
+	 * @param {Object} item - Dictionary entry object to display
+	 */
+	function showModal(item) {
+		if (!modal) return;
 
 		// Populate modal content
 		const modalImage = document.getElementById('modalImage');
@@ -1119,6 +7756,7 @@
 		const modalMeaning = document.getElementById('modalMeaning');
 		const modalCategory = document.getElementById('modalCategory');
 		const modalArabicDesc = document.getElementById('modalArabicDesc');
+		const highlights = getHighlights(item);
 
 		if (modalImage && modalImageContainer) {
 			if (item.imageUrl) {
@@ -1132,33 +7770,161 @@
 			}
 		}
 
-		if (modalArabic) modalArabic.textContent = item.arabic || '';
-		if (modalTransliteration) modalTransliteration.textContent = item.transliteration || '';
-		if (modalTranslation) modalTranslation.textContent = item.translation || '';
-		if (modalMeaning) modalMeaning.textContent = item.meaning || '';
+		if (modalArabic) setHighlightedText(modalArabic, item.arabic, highlights.arabic);
+		if (modalPlay) {
+			modalPlay.classList.toggle('hidden', !canPlayPronunciation(item));
+			updatePlayButton(modalPlay, false);
+		}
+		if (modalTransliteration) setHighlightedText(modalTransliteration, item.transliteration, highlights.transliteration);
+		if (modalTranslation) setHighlightedText(modalTranslation, item.translation, highlights.translation);
+		if (modalMeaning) setHighlightedText(modalMeaning, item.meaning, highlights.meaning);
 		if (modalCategory) {
 			if (item.category) {
-				modalCategory.textContent = item.category;
+				setHighlightedText(modalCategory, item.category, highlights.category);
 				modalCategory.style.display = 'inline-block';
 			} else {
 				modalCategory.style.display = 'none';
 			}
 		}
-		if (modalArabicDesc) modalArabicDesc.textContent = item.arabicDescription || '';
+		if (modalArabicDesc) setHighlightedText(modalArabicDesc, item.arabicDescription, highlights.arabicDescription);
+
+		renderModalBreadcrumb();
+		renderModalRelated(item);
+		renderModalWordLists(item);
+		renderModalVerses(item);
+		renderModalNav(item);
 
 		// Show modal
 		modal.classList.remove('hidden');
 		document.body.style.overflow = 'hidden';
+		activateDialog(modal);
+		updateDocumentMeta(item);
 	}
 
 	/**
-	 * Close modal
-	 * Hides modal and restores body scroll
+	 * Hide the modal
+	 * Stops the pronunciation if playing, and restores body scroll, the focus, and the page's own title and meta tags
 	 */
-	function closeModal() {
+	function hideModal() {
 		if (!modal) return;
+		stopPronunciation();
 		modal.classList.add('hidden');
 		document.body.style.overflow = '';
+		deactivateDialog(modal);
+		restoreDocumentMeta();
+	}
+
+	/**
+	 * Show the modal's previous/next buttons with the entry's position in the results
+	 * Hidden when the entry is not among the results (e.g. opened from a related-term link or the graph)
+	 * @param {Object} item - Entry shown in the modal
+	 */
+	function renderModalNav(item) {
+		if (!modalNav) return;
+		const index = filteredData.indexOf(item);
+		modalNav.classList.toggle('hidden', index === -1);
+		if (index === -1) return;
+
+		modalPosition.textContent = t('modal.position', { index: index + 1, count: filteredData.length });
+		modalPrevious.disabled = index === 0;
+		modalNext.disabled = index === filteredData.length - 1;
+		// The previous entry is on the reading direction's start side
+		const rtl = translator.getDirection() === 'rtl';
+		modalPrevious.setAttribute('aria-keyshortcuts', rtl ? 'ArrowRight' : 'ArrowLeft');
+		modalNext.setAttribute('aria-keyshortcuts', rtl ? 'ArrowLeft' : 'ArrowRight');
+	}
+
+	/**
+	 * Show the previous or next result in the modal
+	 * The entry replaces the open one in the history and the breadcrumb, so Back skips the entries stepped
+	 * through, and becomes the active result, so closing the modal returns the focus to it
+	 * @param {number} offset - -1 for the previous result, 1 for the next one
+	 */
+	function stepModalEntry(offset) {
+		const index = openEntry ? filteredData.indexOf(openEntry) : -1;
+		const item = index === -1 ? null : filteredData[index + offset];
+		if (!item) return;
+		activeResult = item;
+		switchModalEntry(item, { replace: true });
+	}
+
+	/**
+	 * Get the shareable link of an entry (the page URL with only the entry parameter)
+	 * @param {Object} item - Dictionary entry
+	 * @returns {string} Absolute URL
+	 */
+	function getEntryURL(item) {
+		return `${window.location.origin}${window.location.pathname}?entry=${encodeURIComponent(getEntrySlug(item))}`;
+	}
+
+	/**
+	 * Set the content of a <meta> tag, creating the tag if needed
+	 * The original content is remembered (or the tag marked as added) so restoreDocumentMeta can undo it
+	 * @param {string} attribute - Attribute naming the tag ('name' or 'property')
+	 * @param {string} name - Tag name (e.g. 'description', 'og:title')
+	 * @param {string} content - New content
+	 */
+	function setMetaContent(attribute, name, content) {
+		let meta = document.head.querySelector(`meta[${attribute}="${name}"]`);
+		if (!meta) {
+			meta = document.createElement('meta');
+			meta.setAttribute(attribute, name);
+			meta.dataset.added = 'true';
+			document.head.appendChild(meta);
+		} else if (!meta.dataset.added && !('defaultContent' in meta.dataset)) {
+			meta.dataset.defaultContent = meta.getAttribute('content') || '';
+		}
+		meta.setAttribute('content', content);
+	}
+
+	/**
+	 * Describe an entry in the document title and description/Open Graph meta tags
+	 * @param {Object} item - Dictionary entry
+	 */
+	function updateDocumentMeta(item) {
+		const title = [item.arabic, item.translation].filter(Boolean).join(' – ');
+		const description = item.meaning || item.arabicDescription || item.translation || '';
+
+		document.title = `${title} | ${t('app.title')}`;
+		setMetaContent('name', 'description', description);
+		setMetaContent('property', 'og:title', title);
+		setMetaContent('property', 'og:description', description);
+		setMetaContent('property', 'og:url', getEntryURL(item));
+		if (item.imageUrl) {
+			setMetaContent('property', 'og:image', item.imageUrl);
+		} else {
+			document.head.querySelector('meta[property="og:image"][data-added]')?.remove();
+		}
+	}
+
+	/**
+	 * Restore the document title and meta tags changed by updateDocumentMeta
+	 */
+	function restoreDocumentMeta() {
+		document.title = t('app.title');
+		document.head.querySelectorAll('meta[data-added]').forEach(meta => meta.remove());
+		document.head.querySelectorAll('meta[data-default-content]').forEach(meta => {
+			meta.setAttribute('content', meta.dataset.defaultContent);
+			delete meta.dataset.defaultContent;
+		});
+	}
+
+	/**
+	 * Copy the open entry's shareable link to the clipboard
+	 * Briefly confirms on the button; falls back to a prompt where the Clipboard API is unavailable
+	 * @returns {Promise<void>}
+	 */
+	async function copyEntryLink() {
+		if (!openEntry || !modalCopyLink) return;
+		const url = getEntryURL(openEntry);
+
+		try {
+			await navigator.clipboard.writeText(url);
+			modalCopyLink.textContent = t('common.linkCopied');
+			setTimeout(() => { modalCopyLink.textContent = t('modal.copyLink'); }, 2000);
+		} catch (_) {
+			window.prompt(t('common.copyPrompt'), url);
+		}
 	}
 
 	// ============================================================================
@@ -1167,31 +7933,72 @@
 
 	/**
 	 * Setup all event listeners
-	 * Handles search input, dark mode toggle, view toggle, sort buttons, modal interactions, and browser navigation
+	 * Handles search input, keyboard navigation and shortcuts, dark mode toggle, language toggle, view toggle, sort buttons,
+	 * modal interactions (including copy link, favorites, pronunciation and previous/next), word list management, study mode
+	 * (including keyboard shortcuts), quizzes, export and print, the data-quality report, the data update notice, background refreshes, and browser navigation
 	 */
 	function setupEventListeners() {
-		// Search input
+		// Search input (filtering waits for a pause in typing)
+		const applySearch = debounce(applyFilters, SEARCH_DEBOUNCE_MS);
 		searchInput.addEventListener('input', (e) => {
 			searchQuery = e.target.value;
-			applyFilters();
+			applySearch();
+		});
+
+		// ArrowDown moves from the search box to the results
+		searchInput.addEventListener('keydown', (e) => {
+			if (e.key !== 'ArrowDown' || filteredData.length === 0) return;
+			e.preventDefault();
+			focusResult(Math.max(0, filteredData.indexOf(activeResult)));
 		});
 
+		// Keyboard navigation between results (see handleResultsKeydown)
+		[resultsContainer, resultsTableContainer, browseGroups].filter(Boolean).forEach(container => {
+			container.addEventListener('keydown', handleResultsKeydown);
+			container.addEventListener('focusin', handleResultsFocus);
+		});
+
+		// Render the results near the viewport when scrolling through a long list
+		window.addEventListener('scroll', scheduleResultsWindow, { passive: true });
+		window.addEventListener('resize', scheduleResultsWindow);
+		window.addEventListener('resize', updateBrowseStickyOffset);
+
+		// Browse view grouping
+		if (browseGroupBySelect) {
+			browseGroupBySelect.addEventListener('change', () => setBrowseGroupBy(browseGroupBySelect.value));
+		}
+
+		// Root search toggle
+		if (rootSearchToggle) {
+			rootSearchToggle.addEventListener('click', toggleSearchMode);
+		}
+
 		// Dark mode toggle
 		if (darkModeToggle) {
 			darkModeToggle.addEventListener('click', toggleDarkMode);
 		}
 
+		// Language toggle
+		if (languageToggle) {
+			languageToggle.addEventListener('click', toggleLanguage);
+		}
+
 		// View toggle
 		if (viewToggle) {
 			viewToggle.addEventListener('click', toggleViewMode);
 		}
 
-		// Sort buttons
-		const sortButtons = document.querySelectorAll('[data-sort]');
+		// Arabic sort order
+		if (arabicCollationSelect) {
+			arabicCollationSelect.addEventListener('change', () => setArabicCollation(arabicCollationSelect.value));
+		}
+
+		// Sort buttons (the table headers' sort buttons get their listeners in createTableHeader)
+		const sortButtons = document.querySelectorAll('[data-sort]:not(.table-sort-button)');
 		sortButtons.forEach(button => {
-			button.addEventListener('click', () => {
+			button.addEventListener('click', (e) => {
 				const sortField = button.getAttribute('data-sort');
-				handleSort(sortField);
+				handleSort(sortField, { add: e.shiftKey });
 			});
 		});
 
@@ -1200,21 +8007,224 @@
 			modalClose.addEventListener('click', closeModal);
 		}
 
+		if (modalCopyLink) {
+			modalCopyLink.addEventListener('click', copyEntryLink);
+		}
+
+		if (modalPlay) {
+			modalPlay.addEventListener('click', () => {
+				if (openEntry) playPronunciation(openEntry, modalPlay);
+			});
+		}
+
+		if (modalFavorite) {
+			modalFavorite.addEventListener('click', () => {
+				if (openEntry) toggleWordListEntry(FAVORITES_LIST_ID, openEntry);
+			});
+		}
+
+		if (modalPrevious) {
+			modalPrevious.addEventListener('click', () => stepModalEntry(-1));
+		}
+
+		if (modalNext) {
+			modalNext.addEventListener('click', () => stepModalEntry(1));
+		}
+
+		// Word lists
+		if (newListButton) {
+			newListButton.addEventListener('click', createWordList);
+		}
+
+		if (renameListButton) {
+			renameListButton.addEventListener('click', renameWordList);
+		}
+
+		if (deleteListButton) {
+			deleteListButton.addEventListener('click', deleteWordList);
+		}
+
+		if (exportListsButton) {
+			exportListsButton.addEventListener('click', exportWordLists);
+		}
+
+		if (importListsInput) {
+			importListsInput.addEventListener('change', () => {
+				const [file] = importListsInput.files;
+				if (file) importWordLists(file);
+				importListsInput.value = '';
+			});
+		}
+
 		if (modalBackdrop) {
 			modalBackdrop.addEventListener('click', closeModal);
 		}
 
-		// Close modal on Escape key
+		// Data-quality report
+		if (dataQualityToggle) {
+			dataQualityToggle.addEventListener('click', openReportModal);
+		}
+
+		if (reportModalClose) {
+			reportModalClose.addEventListener('click', closeReportModal);
+		}
+
+		if (reportModalBackdrop) {
+			reportModalBackdrop.addEventListener('click', closeReportModal);
+		}
+
+		if (checkImagesButton) {
+			checkImagesButton.addEventListener('click', runImageCheck);
+		}
+
+		if (exportReportCsvButton) {
+			exportReportCsvButton.addEventListener('click', () => exportReport('csv'));
+		}
+
+		if (exportReportJsonButton) {
+			exportReportJsonButton.addEventListener('click', () => exportReport('json'));
+		}
+
+		// Close modals on Escape key
 		document.addEventListener('keydown', (e) => {
-			if (e.key === 'Escape' && modal && !modal.classList.contains('hidden')) {
+			if (e.key !== 'Escape') return;
+			if (modal && !modal.classList.contains('hidden')) {
 				closeModal();
+			} else if (graphModal && !graphModal.classList.contains('hidden')) {
+				closeGraphModal();
+			} else if (reportModal && !reportModal.classList.contains('hidden')) {
+				closeReportModal();
+			} else if (studyModal && !studyModal.classList.contains('hidden')) {
+				closeStudyModal();
+			} else if (quizModal && !quizModal.classList.contains('hidden')) {
+				closeQuiz();
+			}
+		});
+
+		// Keep Tab inside the open modal
+		document.addEventListener('keydown', trapDialogFocus);
+
+		// Shortcuts: "/" focuses the search box; in the entry modal, the arrow keys show the previous/next result
+		document.addEventListener('keydown', (e) => {
+			if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+			if (e.target.closest?.('input, select, textarea')) return;
+			const dialog = getTopDialog();
+			if (!dialog && e.key === '/') {
+				e.preventDefault();
+				searchInput.focus();
+				searchInput.select();
+			} else if (dialog && modal?.contains(dialog) && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+				e.preventDefault();
+				const forward = translator.getDirection() === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+				stepModalEntry(e.key === forward ? 1 : -1);
+			}
+		});
+
+		// Export menu
+		if (exportMenu) {
+			exportMenu.querySelectorAll('[data-export]').forEach(button => {
+				button.addEventListener('click', () => exportResults(button.getAttribute('data-export')));
+			});
+		}
+
+		const printButton = document.getElementById('printResults');
+		if (printButton) {
+			printButton.addEventListener('click', printResults);
+		}
+
+		// Printing from the browser menu prints the handout too
+		window.addEventListener('beforeprint', renderPrintHandout);
+
+		// Relationship graph
+		if (graphToggle) {
+			graphToggle.addEventListener('click', openGraphModal);
+		}
+
+		if (graphModalClose) {
+			graphModalClose.addEventListener('click', closeGraphModal);
+		}
+
+		if (graphModalBackdrop) {
+			graphModalBackdrop.addEventListener('click', closeGraphModal);
+		}
+
+		if (graphCategorySelect) {
+			graphCategorySelect.addEventListener('change', renderGraph);
+		}
+
+		// Quizzes
+		if (quizToggle) {
+			quizToggle.addEventListener('click', () => {
+				renderQuizSetup();
+				openQuizModal();
+			});
+		}
+
+		if (quizModalClose) {
+			quizModalClose.addEventListener('click', closeQuiz);
+		}
+
+		if (quizModalBackdrop) {
+			quizModalBackdrop.addEventListener('click', closeQuiz);
+		}
+
+		if (quizStartButton) {
+			quizStartButton.addEventListener('click', startQuiz);
+		}
+
+		// Study mode
+		if (studyToggle) {
+			studyToggle.addEventListener('click', openStudyModal);
+		}
+
+		if (studyModalClose) {
+			studyModalClose.addEventListener('click', closeStudyModal);
+		}
+
+		if (studyModalBackdrop) {
+			studyModalBackdrop.addEventListener('click', closeStudyModal);
+		}
+
+		if (studyPromptToggle) {
+			studyPromptToggle.addEventListener('click', toggleStudyPrompt);
+		}
+
+		// Study shortcuts: Space/Enter reveals the answer, 1-4 grade it
+		document.addEventListener('keydown', (e) => {
+			if (!studyModal || studyModal.classList.contains('hidden')) return;
+			if (e.target.closest?.('input, select, textarea')) return;
+			if (!studyRevealed && (e.key === ' ' || e.key === 'Enter') && !e.target.closest?.('button')) {
+				e.preventDefault();
+				revealStudyAnswer();
+				return;
 			}
+			const shortcut = STUDY_GRADES.find(({ key }) => key === e.key);
+			if (studyRevealed && shortcut) {
+				gradeStudyCard(shortcut.grade);
+			}
+		});
+
+		// Data update notice
+		if (applyUpdateButton) {
+			applyUpdateButton.addEventListener('click', applyPendingUpdate);
+		}
+
+		if (dismissUpdateButton) {
+			dismissUpdateButton.addEventListener('click', hideUpdateNotice);
+		}
+
+		// Check for data edits when the page is shown again or the connection returns
+		document.addEventListener('visibilitychange', () => {
+			if (document.visibilityState === 'visible') refreshDataIfStale();
 		});
+		window.addEventListener('online', refreshDataIfStale);
 
 		// Handle browser back/forward navigation
 		window.addEventListener('popstate', () => {
 			parseURLParams();
 			applyFilters();
+			syncModalWithURL();
+			syncQuizWithURL();
 		});
 	}
 
@@ -1228,4 +8238,10 @@
 	} else {
 		loadData();
 	}
+
+	// Cache the app shell, data source and images for offline use
+	// (the URL the source actually fetches: a static file resolved against the page; inline text has none)
+	window.QD.offline.registerServiceWorker('sw.js', {
+		cacheUrls: [window.QD.sources.getSourceUrl(SOURCE_CONFIG)].filter(Boolean)
+	});
 })();
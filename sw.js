@@ -0,0 +1,329 @@
+/**
+ * Quran Dictionary service worker
+ * Precaches the app shell so the dictionary opens without a connection, serves the dictionary data
+ * stale-while-revalidate, and caches entry images and pronunciation recordings as they are used
+ * Bump CACHE_VERSION when the shell asset list changes to drop the old caches
+ */
+'use strict';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `qd-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `qd-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `qd-images-${CACHE_VERSION}`;
+const AUDIO_CACHE = `qd-audio-${CACHE_VERSION}`;
+
+// App shell: the page, its script, the bundled Quran text, and the third-party CSS/fonts it loads
+const SHELL_ASSETS = [
+	'./',
+	'index.html',
+	'app.js',
+	'quran-text.txt',
+	'https://cdn.tailwindcss.com',
+	'https://fonts.googleapis.com/css2?family=Scheherazade+New:wght@400;700&display=swap'
+];
+
+// Images and recordings are cached on demand; the oldest are evicted beyond these counts
+const MAX_CACHED_IMAGES = 300;
+const MAX_CACHED_AUDIO = 300;
+
+// ============================================================================
+// CACHE HELPERS
+// ============================================================================
+
+/**
+ * Check whether a response is worth caching
+ * Opaque responses (cross-origin requests without CORS, e.g. the Tailwind script) cannot be inspected
+ * and are accepted as-is
+ * @param {Response} response - Network response
+ * @returns {boolean} True if the response can be cached
+ */
+function isCacheable(response) {
+	return Boolean(response) && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Check whether a response is usable dictionary data
+ * Rejects error statuses and HTML pages (e.g. a sign-in page served instead of the sheet)
+ * @param {Response} response - Network response
+ * @returns {boolean} True if the response can be cached as data
+ */
+function isDataResponse(response) {
+	return Boolean(response) && response.ok && !(response.headers.get('Content-Type') || '').includes('text/html');
+}
+
+/**
+ * Fetch every app shell asset and store it in the shell cache
+ * Cross-origin assets are requested in no-cors mode, the way the page's <script> and <link> tags request them
+ * @returns {Promise<void>}
+ * @throws {Error} If an asset cannot be fetched (the install then fails and is retried on the next visit)
+ */
+async function precacheShell() {
+	const cache = await caches.open(SHELL_CACHE);
+	await Promise.all(SHELL_ASSETS.map(async (asset) => {
+		const url = new URL(asset, self.registration.scope);
+		const crossOrigin = url.origin !== self.location.origin;
+		const response = await fetch(new Request(url, { mode: crossOrigin ? 'no-cors' : 'same-origin', cache: 'reload' }));
+		if (!isCacheable(response)) {
+			throw new Error(`Failed to precache ${url.href}`);
+		}
+		await cache.put(url, response);
+	}));
+}
+
+/**
+ * Check whether a URL is one of the same-origin app shell assets (the query string is ignored)
+ * @param {URL} url - Request URL
+ * @returns {boolean} True if the URL is precached in the shell cache
+ */
+function isShellAsset(url) {
+	if (url.origin !== self.location.origin) return false;
+	const path = url.origin + url.pathname;
+	return SHELL_ASSETS.some(asset => new URL(asset, self.registration.scope).href === path);
+}
+
+/**
+ * Delete caches from previous versions of this worker
+ * @returns {Promise<void>}
+ */
+async function deleteOldCaches() {
+	const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE, AUDIO_CACHE];
+	const names = await caches.keys();
+	await Promise.all(names
+		.filter(name => name.startsWith('qd-') && !current.includes(name))
+		.map(name => caches.delete(name)));
+}
+
+/**
+ * Evict the oldest entries of a cache beyond a maximum count
+ * Cache keys are returned in insertion order, so the first ones are the oldest
+ * @param {string} cacheName - Cache to trim
+ * @param {number} maxEntries - Number of entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(cacheName, maxEntries) {
+	const cache = await caches.open(cacheName);
+	const keys = await cache.keys();
+	await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Cache the given URLs in the data cache unless they are already there
+ * Used for the data source, which the page may have fetched before this worker controlled it
+ * @param {string[]} urls - Absolute URLs
+ * @returns {Promise<void>}
+ */
+async function cacheDataUrls(urls) {
+	const cache = await caches.open(DATA_CACHE);
+	await Promise.all(urls.map(async (url) => {
+		if (await cache.match(url, { ignoreVary: true })) return;
+		try {
+			const response = await fetch(url);
+			if (isDataResponse(response)) await cache.put(url, response);
+		} catch (_) {
+			// Offline: the data is cached the next time the page fetches it
+		}
+	}));
+}
+
+// ============================================================================
+// CACHING STRATEGIES
+// ============================================================================
+
+/**
+ * Network-first: used for page navigations so a deployed update is picked up right away
+ * Falls back to the cached page (ignoring the query string, which holds the search state) when offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function networkFirstPage(request) {
+	const cache = await caches.open(SHELL_CACHE);
+	try {
+		const response = await fetch(request);
+		if (response.ok) {
+			await cache.put(new URL('index.html', self.registration.scope), response.clone());
+		}
+		return response;
+	} catch (error) {
+		const cached = await cache.match(new URL('index.html', self.registration.scope)) ||
+			await cache.match(request, { ignoreSearch: true });
+		if (cached) return cached;
+		throw error;
+	}
+}
+
+/**
+ * Stale-while-revalidate: answer from the cache when possible and refresh the cache in the background
+ * Without a cached copy the network response is returned directly
+ * @param {FetchEvent} event - Fetch event (kept alive until the cache is refreshed)
+ * @param {string} cacheName - Cache to read and update
+ * @param {Function} shouldCache - Predicate deciding whether a network response is stored
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName, shouldCache) {
+	const cache = await caches.open(cacheName);
+	const cached = await cache.match(event.request, { ignoreVary: true });
+
+	const revalidate = fetch(event.request).then(async (response) => {
+		if (shouldCache(response)) {
+			await cache.put(event.request, response.clone());
+		}
+		return response;
+	});
+
+	if (cached) {
+		event.waitUntil(revalidate.catch(() => {}));
+		return cached;
+	}
+	return revalidate;
+}
+
+/**
+ * Network-first: used for the app's own script, which must match the page, and for data requests made
+ * with cache mode 'no-cache' or 'reload', which ask for the current version (the page's background
+ * refresh); the cached copy is only used when offline
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read and update
+ * @param {Function} shouldCache - Predicate deciding whether a network response is stored
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, shouldCache) {
+	const cache = await caches.open(cacheName);
+	try {
+		const response = await fetch(request);
+		if (shouldCache(response)) {
+			await cache.put(request, response.clone());
+		}
+		return response;
+	} catch (error) {
+		const cached = await cache.match(request, { ignoreVary: true });
+		if (cached) return cached;
+		throw error;
+	}
+}
+
+/**
+ * Cache-first: used for images and font files, which do not change once published
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read and update
+ * @param {number} maxEntries - Optional cache size limit
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+	const cache = await caches.open(cacheName);
+	const cached = await cache.match(request);
+	if (cached) return cached;
+
+	const response = await fetch(request);
+	if (isCacheable(response)) {
+		await cache.put(request, response.clone());
+		if (maxEntries) await trimCache(cacheName, maxEntries);
+	}
+	return response;
+}
+
+/**
+ * Answer a media range request from a complete cached response
+ * Audio elements request byte ranges (and Safari requires a 206 answer); opaque responses cannot be read,
+ * so they are returned whole
+ * @param {Request} request - Media request, possibly with a Range header
+ * @param {Response} response - Complete response
+ * @returns {Promise<Response>}
+ */
+async function rangeResponse(request, response) {
+	const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range') || '');
+	if (!range || response.type === 'opaque' || response.status !== 200) return response;
+
+	const body = await response.arrayBuffer();
+	const size = body.byteLength;
+	const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+	const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+	if (start >= size || start > end) {
+		return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+	}
+
+	return new Response(body.slice(start, end + 1), {
+		status: 206,
+		statusText: 'Partial Content',
+		headers: {
+			'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+			'Content-Range': `bytes ${start}-${end}/${size}`,
+			'Content-Length': String(end - start + 1)
+		}
+	});
+}
+
+/**
+ * Cache-first for audio: used for pronunciation recordings
+ * The whole file is fetched and cached once (partial 206 responses cannot be cached), and range requests
+ * are answered from it
+ * @param {Request} request - Audio request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirstAudio(request) {
+	const cache = await caches.open(AUDIO_CACHE);
+	let response = await cache.match(request.url);
+
+	if (!response) {
+		response = await fetch(new Request(request.url, { mode: request.mode, credentials: request.credentials }));
+		if (isCacheable(response)) {
+			await cache.put(request.url, response.clone());
+			await trimCache(AUDIO_CACHE, MAX_CACHED_AUDIO);
+		}
+	}
+	return rangeResponse(request, response);
+}
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+self.addEventListener('install', (event) => {
+	event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+	event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+	if (event.data?.type === 'CACHE_URLS' && Array.isArray(event.data.urls)) {
+		event.waitUntil(cacheDataUrls(event.data.urls));
+	}
+});
+
+self.addEventListener('fetch', (event) => {
+	const { request } = event;
+	if (request.method !== 'GET') return;
+
+	const url = new URL(request.url);
+	if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+	if (request.mode === 'navigate') {
+		event.respondWith(networkFirstPage(request));
+	} else if (request.destination === 'image') {
+		event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_CACHED_IMAGES));
+	} else if (request.destination === 'audio') {
+		event.respondWith(cacheFirstAudio(request));
+	} else if (request.destination === 'font') {
+		event.respondWith(cacheFirst(request, SHELL_CACHE));
+	} else if (request.destination === 'script' && url.origin === self.location.origin) {
+		// app.js goes with the page's markup (element ids, i18n keys): fetch both the same way so a deploy
+		// never pairs the new index.html with the previous script
+		event.respondWith(networkFirst(request, SHELL_CACHE, isCacheable));
+	} else if (request.destination === 'script' || request.destination === 'style') {
+		event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, isCacheable));
+	} else if (request.destination === '' && isShellAsset(url)) {
+		// fetch() calls from the page for a bundled file (the Quran text)
+		event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, isDataResponse));
+	} else if (request.destination === '' && (request.cache === 'no-cache' || request.cache === 'reload')) {
+		// fetch() calls from the page asking for the current data source
+		event.respondWith(networkFirst(request, DATA_CACHE, isDataResponse));
+	} else if (request.destination === '') {
+		// fetch() calls from the page: the dictionary data source
+		event.respondWith(staleWhileRevalidate(event, DATA_CACHE, isDataResponse));
+	}
+});